@@ -0,0 +1,110 @@
+// functions/ai-analysis/cache.js - Read-through cache of AI analyses in Firestore
+//
+// Entries live in call_analysis_cache, one document per call, analysis type,
+// variant (e.g. the methodology scored against), prompt template version,
+// provider and model, so changing a prompt or a model never serves an answer
+// produced by the old one. Entries expire after ANALYSIS_CACHE_TTL_HOURS
+// (default 7 days); expiresAt can also drive a Firestore TTL policy.
+
+const COLLECTION = 'call_analysis_cache';
+const TTL_HOURS = Number(process.env.ANALYSIS_CACHE_TTL_HOURS) || 24 * 7;
+
+/**
+ * Cache key for one analysis configuration
+ * @param {{ analysisType: string, variant?: string, promptVersion: string, provider: string, model: string }} key
+ *   promptVersion is "<template id>@<version>"
+ */
+function getCacheDocId(callId, { analysisType, variant, promptVersion, provider, model }) {
+  // Firestore document IDs cannot contain '/'
+  return [callId, analysisType, variant, promptVersion, provider, model].filter(Boolean).join('_').replace(/\//g, '-');
+}
+
+/**
+ * Unexpired cache entries for the calls, as a Map of callId -> entry.
+ * A cache that cannot be read counts as empty, so analysis still runs.
+ * @param {(callId: string) => object} keyOf the cache key of each call
+ */
+async function getCachedAnalyses(firestore, callIds, keyOf) {
+  const entries = new Map();
+  if (callIds.length === 0) return entries;
+
+  try {
+    const refs = callIds.map(callId => firestore.collection(COLLECTION).doc(getCacheDocId(callId, keyOf(callId))));
+    const docs = await firestore.getAll(...refs);
+    const now = Date.now();
+
+    docs.filter(doc => doc.exists).forEach(doc => {
+      const entry = doc.data();
+      if (toDate(entry.expiresAt).getTime() > now) {
+        entries.set(entry.callId, entry);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to read the analysis cache:', error.message);
+  }
+
+  return entries;
+}
+
+/**
+ * Cache one successful analysis result
+ */
+async function storeCachedAnalysis(firestore, result, key) {
+  const cachedAt = new Date();
+
+  try {
+    await firestore.collection(COLLECTION).doc(getCacheDocId(result.callId, key)).set({
+      callId: result.callId,
+      analysisType: key.analysisType,
+      variant: key.variant || null,
+      promptVersion: key.promptVersion,
+      provider: key.provider,
+      model: key.model,
+      prompt: result.prompt || null,
+      analysis: result.analysis,
+      tokensUsed: result.tokensUsed || 0,
+      coverage: result.coverage || null,
+      validationWarnings: result.validationWarnings || [],
+      processedAt: result.processedAt || cachedAt.toISOString(),
+      cachedAt,
+      expiresAt: new Date(cachedAt.getTime() + TTL_HOURS * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    // The analysis is still returned; the next request just misses the cache
+    console.error(`Failed to cache analysis for call ${result.callId}:`, error.message);
+  }
+}
+
+/**
+ * The response entry for a cache hit. It used no tokens this time.
+ */
+function toCachedResult(entry) {
+  return {
+    callId: entry.callId,
+    analysis: entry.analysis,
+    analysisType: entry.analysisType,
+    provider: entry.provider,
+    model: entry.model,
+    prompt: entry.prompt || null,
+    tokensUsed: 0,
+    coverage: entry.coverage || null,
+    validationWarnings: entry.validationWarnings || [],
+    processedAt: entry.processedAt,
+    cached: true,
+    cachedAt: toDate(entry.cachedAt).toISOString()
+  };
+}
+
+// Helper Functions
+
+function toDate(timestamp) {
+  if (!timestamp) return new Date(0);
+  return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+}
+
+module.exports = {
+  TTL_HOURS,
+  getCachedAnalyses,
+  storeCachedAnalysis,
+  toCachedResult
+};
@@ -0,0 +1,186 @@
+// functions/ai-analysis/chunking.js - Map-reduce helpers for transcripts too long for one prompt
+//
+// A transcript is split at speaker turns into chunks of at most chunkTokens
+// (estimated). Each chunk is reduced to notes by its own prompt; the notes of
+// all chunks are merged here, with duplicates removed, and the analysis runs
+// on the merged notes. At most maxChunks chunks are analyzed per call, no more
+// than chunkConcurrency at a time, and the coverage reports how much of the
+// transcript that was.
+
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CHUNK_TOKENS = 3000;
+const DEFAULT_MAX_CHUNKS = 12;
+const DEFAULT_CHUNK_CONCURRENCY = 2;
+
+/**
+ * Rough token count. Good enough for budgeting; no tokenizer needed.
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split conversation text ("Speaker1: ..." lines) into chunks within the token budget.
+ * A single turn longer than the budget is split at sentence ends, or hard if it has none.
+ */
+function chunkConversation(conversationText, chunkTokens = DEFAULT_CHUNK_TOKENS) {
+  const maxChars = chunkTokens * CHARS_PER_TOKEN;
+  const chunks = [];
+  let current = '';
+
+  for (const piece of conversationText.split('\n').flatMap(line => splitLine(line, maxChars))) {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Run extract(chunk, index) on every chunk with at most `concurrency` running at
+ * once, so a long call does not send all its chunk prompts to the LLM together.
+ * Resolves with one Promise.allSettled-style result per chunk, in chunk order.
+ */
+async function settleChunks(chunks, extract, concurrency = DEFAULT_CHUNK_CONCURRENCY) {
+  const results = new Array(chunks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await extract(chunks[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(concurrency, 1), chunks.length) }, worker));
+  return results;
+}
+
+/**
+ * Merge the notes of every analyzed chunk, in transcript order, without duplicates
+ */
+function mergeNotes(notesList) {
+  const all = field => notesList.flatMap(notes => (Array.isArray(notes[field]) ? notes[field] : []));
+
+  return {
+    actionItems: dedupe(all('actionItems').filter(item => item?.task), item => item.task),
+    hurdles: dedupe(all('hurdles'), text => text),
+    buyingSignals: dedupe(all('buyingSignals'), text => text),
+    competitorMentions: dedupe(all('competitorMentions'), text => text),
+    decisionMakers: dedupe(all('decisionMakers'), text => text),
+    keyQuotes: dedupe(all('keyQuotes'), text => text),
+    evidence: dedupe(all('evidence').filter(entry => entry?.item && entry?.quote), entry => entry.item),
+    stages: notesList.map(notes => notes.stage).filter(Boolean),
+    sentiments: notesList.map(notes => notes.sentiment).filter(Boolean)
+  };
+}
+
+/**
+ * Merged notes as prompt text. Key quotes keep their "SpeakerN: " prefix.
+ */
+function formatNotes(notes, chunkCount) {
+  const list = items => (items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '- None');
+
+  return [
+    `Notes from ${chunkCount} consecutive parts of the call, in order.`,
+    `Stage by part: ${notes.stages.join(', ') || 'Unknown'}`,
+    `Sentiment by part: ${notes.sentiments.join(', ') || 'Unknown'}`,
+    'Action items:',
+    list(notes.actionItems.map(item => `${item.task} (owner: ${item.owner || 'Unknown'}, urgency: ${item.urgency || 'Medium'})`)),
+    'Hurdles:',
+    list(notes.hurdles),
+    'Buying signals:',
+    list(notes.buyingSignals),
+    `Competitors: ${notes.competitorMentions.join(', ') || 'None'}`,
+    `Decision makers: ${notes.decisionMakers.join(', ') || 'None'}`,
+    'Key quotes:',
+    ...notes.keyQuotes
+  ].join('\n');
+}
+
+/**
+ * Share of the transcript that was analyzed, by characters
+ */
+function measureCoverage(chunks, analyzedChunks) {
+  const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const analyzedChars = analyzedChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+  return {
+    percent: totalChars > 0 ? Math.round((analyzedChars / totalChars) * 1000) / 10 : 100,
+    chunks: chunks.length,
+    analyzedChunks: analyzedChunks.length,
+    transcriptTokens: estimateTokens(chunks.join('\n'))
+  };
+}
+
+// Helper Functions
+
+/**
+ * Split one long turn; every piece keeps the speaker label so it still reads as a turn
+ */
+function splitLine(line, maxChars) {
+  if (line.length <= maxChars) return [line];
+
+  const label = line.match(/^\S+: /)?.[0] || '';
+  const budget = Math.max(maxChars - label.length, 1);
+  const pieces = [];
+  let rest = line.slice(label.length);
+  while (rest.length > budget) {
+    const sentenceEnd = rest.lastIndexOf('. ', budget);
+    const cut = sentenceEnd > budget / 2 ? sentenceEnd + 1 : budget;
+    pieces.push(label + rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    pieces.push(label + rest);
+  }
+  return pieces;
+}
+
+/**
+ * Keep the first of items that normalize to the same text, or where one contains the
+ * other (then the longer one is kept in the earlier position)
+ */
+function dedupe(items, textOf) {
+  const kept = [];
+
+  for (const item of items) {
+    if (typeof textOf(item) !== 'string') continue;
+    const key = normalize(textOf(item));
+    if (!key) continue;
+
+    const index = kept.findIndex(entry => entry.key.includes(key) || key.includes(entry.key));
+    if (index === -1) {
+      kept.push({ key, item });
+    } else if (key.length > kept[index].key.length) {
+      kept[index] = { key, item };
+    }
+  }
+
+  return kept.map(entry => entry.item);
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+module.exports = {
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_MAX_CHUNKS,
+  estimateTokens,
+  chunkConversation,
+  settleChunks,
+  mergeNotes,
+  formatNotes,
+  measureCoverage
+};
@@ -0,0 +1,121 @@
+// functions/ai-analysis/chunking.test.js - Tests for transcript chunking and note merging (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  estimateTokens,
+  chunkConversation,
+  settleChunks,
+  mergeNotes,
+  formatNotes,
+  measureCoverage
+} = require('./chunking');
+
+const turns = count => Array.from({ length: count }, (value, index) =>
+  `Speaker${(index % 2) + 1}: Turn ${index} talks about the rollout plan for the team.`).join('\n');
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcd'), 1);
+  assert.equal(estimateTokens('abcde'), 2);
+});
+
+test('a conversation within the budget stays in one chunk', () => {
+  const text = turns(3);
+  assert.deepEqual(chunkConversation(text, 1000), [text]);
+});
+
+test('long conversations are split at speaker turns within the budget', () => {
+  const text = turns(40);
+  const chunks = chunkConversation(text, 100);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 400, `${chunk.length} characters`));
+  assert.equal(chunks.join('\n'), text);
+});
+
+test('a turn longer than the budget is split at sentence ends and keeps its speaker', () => {
+  const sentence = 'We need the security review finished before legal signs off. ';
+  const chunks = chunkConversation(`Speaker2: ${sentence.repeat(12).trim()}`, 50);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.match(chunk, /^Speaker2: /);
+    assert.ok(chunk.length <= 200);
+  });
+});
+
+test('settleChunks runs at most the given number of chunks at once, and keeps their order', async () => {
+  let running = 0;
+  let mostRunning = 0;
+
+  const results = await settleChunks(['a', 'b', 'c', 'd', 'e'], async (chunk, index) => {
+    running++;
+    mostRunning = Math.max(mostRunning, running);
+    await new Promise(resolve => setTimeout(resolve, 5 * (5 - index)));
+    running--;
+    return chunk.toUpperCase();
+  }, 2);
+
+  assert.equal(mostRunning, 2);
+  assert.deepEqual(results.map(result => result.value), ['A', 'B', 'C', 'D', 'E']);
+});
+
+test('settleChunks reports failed chunks without stopping the others', async () => {
+  const results = await settleChunks(['a', 'b', 'c'], async chunk => {
+    if (chunk === 'b') throw new Error('LLM timeout');
+    return chunk;
+  }, 1);
+
+  assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[1].reason.message, 'LLM timeout');
+  assert.deepEqual(await settleChunks([], async () => 'never'), []);
+});
+
+test('mergeNotes removes duplicates across chunks and keeps the fuller wording', () => {
+  const notes = mergeNotes([
+    {
+      actionItems: [{ task: 'Send pricing', owner: 'Dana' }, { task: '' }],
+      hurdles: ['Budget'],
+      buyingSignals: ['Wants a pilot'],
+      competitorMentions: ['Clari'],
+      keyQuotes: ['Speaker2: We love it'],
+      evidence: [{ item: 'Budget', quote: 'budget is tight' }, { item: 'No quote' }],
+      stage: 'Demo',
+      sentiment: 'positive'
+    },
+    {
+      actionItems: [{ task: 'Send pricing!', owner: 'Dana' }, { task: 'Book the security review' }],
+      hurdles: ['Budget approval from the CFO', 42],
+      buyingSignals: 'not a list',
+      competitorMentions: ['clari', 'Gong'],
+      stage: 'Proposal'
+    }
+  ]);
+
+  assert.deepEqual(notes.actionItems.map(item => item.task), ['Send pricing', 'Book the security review']);
+  assert.deepEqual(notes.hurdles, ['Budget approval from the CFO']);
+  assert.deepEqual(notes.buyingSignals, ['Wants a pilot']);
+  assert.deepEqual(notes.competitorMentions, ['Clari', 'Gong']);
+  assert.deepEqual(notes.evidence, [{ item: 'Budget', quote: 'budget is tight' }]);
+  assert.deepEqual(notes.stages, ['Demo', 'Proposal']);
+  assert.deepEqual(notes.sentiments, ['positive']);
+});
+
+test('formatNotes lists every merged field for the final prompt', () => {
+  const text = formatNotes(mergeNotes([{ hurdles: ['Budget'], stage: 'Demo' }]), 3);
+
+  assert.match(text, /^Notes from 3 consecutive parts of the call/);
+  assert.match(text, /Stage by part: Demo/);
+  assert.match(text, /Sentiment by part: Unknown/);
+  assert.match(text, /Hurdles:\n- Budget/);
+  assert.match(text, /Action items:\n- None/);
+  assert.match(text, /Competitors: None/);
+});
+
+test('measureCoverage reports the share of the transcript analyzed', () => {
+  const chunks = ['a'.repeat(300), 'b'.repeat(100)];
+
+  assert.deepEqual(measureCoverage(chunks, chunks), { percent: 100, chunks: 2, analyzedChunks: 2, transcriptTokens: 101 });
+  assert.equal(measureCoverage(chunks, chunks.slice(0, 1)).percent, 75);
+  assert.equal(measureCoverage([], []).percent, 100);
+});
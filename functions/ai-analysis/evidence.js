@@ -0,0 +1,213 @@
+// functions/ai-analysis/evidence.js - Ground AI insights in the transcript they came from
+//
+// The prompts ask for an "evidence" list of { item, quote } pairs: the exact
+// words behind each action item, concern and buying signal. Each quote is looked
+// up in the timed Gong transcript, first as an exact (normalized) match and then
+// as an approximate one (most of its words within a few consecutive sentences).
+// A quote found nowhere is flagged as hallucinated; the insight itself is kept.
+
+const { getCallUrl } = require('../shared/gong-client');
+
+const APPROXIMATE_MATCH_SHARE = 0.8;
+const MAX_WINDOW_SENTENCES = 3;
+
+// The lists each analysis type grounds, and where they live in the analysis
+const GROUNDED_LISTS = {
+  full: {
+    actionItems: analysis => (analysis.actionItems || []).map(item => item.task),
+    concerns: analysis => analysis.businessInsights?.concerns || [],
+    buyingSignals: analysis => analysis.businessInsights?.buyingSignals || []
+  },
+  sentiment: {
+    concerns: analysis => analysis.concerns || [],
+    enthusiasm: analysis => analysis.enthusiasm || []
+  }
+};
+
+/**
+ * Every sentence of a Gong transcript with its speaker and timing. Speakers are
+ * numbered in order of appearance, as in the conversation text the prompts get.
+ */
+function indexTranscript(transcriptArray) {
+  if (!Array.isArray(transcriptArray)) return [];
+
+  const speakerMap = new Map();
+  const sentences = [];
+
+  for (const entry of transcriptArray) {
+    if (!Array.isArray(entry.sentences)) continue;
+
+    if (!speakerMap.has(entry.speakerId)) {
+      speakerMap.set(entry.speakerId, `Speaker${speakerMap.size + 1}`);
+    }
+
+    for (const sentence of entry.sentences) {
+      if (sentence.text?.trim()) {
+        sentences.push({
+          speaker: speakerMap.get(entry.speakerId),
+          speakerId: entry.speakerId,
+          start: sentence.start ? sentence.start / 1000 : 0,
+          text: sentence.text.trim()
+        });
+      }
+    }
+  }
+
+  return sentences;
+}
+
+/**
+ * Replace the model's raw evidence list with one verified record per insight.
+ * Methodology scorecards quote per criterion instead; each criterion gets the
+ * records of its own quotes. Returns { analysis, warnings }; analysis types
+ * without insights to ground are returned as is.
+ */
+function attachEvidence(analysisType, analysis, sentences, callId) {
+  if (analysisType === 'methodology') {
+    return attachCriterionEvidence(analysis, sentences, callId);
+  }
+
+  const lists = GROUNDED_LISTS[analysisType];
+  if (!lists) {
+    return { analysis, warnings: [] };
+  }
+
+  const quotesByItem = new Map(
+    (Array.isArray(analysis.evidence) ? analysis.evidence : [])
+      .filter(entry => entry?.item && entry?.quote)
+      .map(entry => [normalize(entry.item), entry.quote])
+  );
+  const locate = (item, quote) => buildRecord(item, quote, sentences, callId);
+  const evidence = {};
+
+  Object.entries(lists).forEach(([name, itemsOf]) => {
+    evidence[name] = itemsOf(analysis).map(item => locate(item, findQuote(quotesByItem, item)));
+  });
+  if (analysisType === 'full') {
+    evidence.keyQuote = analysis.keyQuote ? locate(analysis.keyQuote, analysis.keyQuote) : null;
+  }
+
+  const records = Object.values(evidence).flat().filter(Boolean);
+  evidence.summary = summarizeRecords(records);
+
+  return { analysis: { ...analysis, evidence }, warnings: hallucinationWarnings(records) };
+}
+
+// Helper Functions
+
+function attachCriterionEvidence(analysis, sentences, callId) {
+  const criteria = (analysis.criteria || []).map(criterion => ({
+    ...criterion,
+    evidence: criterion.quotes.map(quote => buildRecord(criterion.name, quote, sentences, callId))
+  }));
+  const records = criteria.flatMap(criterion => criterion.evidence);
+
+  return {
+    analysis: { ...analysis, criteria, evidence: { summary: summarizeRecords(records) } },
+    warnings: hallucinationWarnings(records)
+  };
+}
+
+function summarizeRecords(records) {
+  return {
+    quotes: records.filter(record => record.quote).length,
+    verified: records.filter(record => record.verified).length,
+    hallucinated: records.filter(record => record.hallucinated).length,
+    missing: records.filter(record => !record.quote).length
+  };
+}
+
+function hallucinationWarnings(records) {
+  return records
+    .filter(record => record.hallucinated)
+    .map(record => `Quote not found in the transcript: "${record.quote}"`);
+}
+
+function findQuote(quotesByItem, item) {
+  const key = normalize(item);
+  if (quotesByItem.has(key)) return quotesByItem.get(key);
+
+  // The model sometimes shortens or extends the item when it repeats it
+  for (const [itemKey, quote] of quotesByItem) {
+    if (itemKey && key && (itemKey.includes(key) || key.includes(itemKey))) return quote;
+  }
+  return null;
+}
+
+function buildRecord(item, quote, sentences, callId) {
+  const found = quote ? locateQuote(quote, sentences) : null;
+  const first = found?.sentences[0];
+
+  return {
+    item,
+    quote: quote || null,
+    verified: !!found,
+    match: found?.match || null,
+    hallucinated: !!quote && !found,
+    speaker: first?.speaker || null,
+    speakerId: first?.speakerId || null,
+    start: first ? first.start : null,
+    timestamp: first ? formatTimestamp(first.start) : null,
+    sentences: found ? found.sentences.map(sentence => ({ speaker: sentence.speaker, start: sentence.start, text: sentence.text })) : [],
+    link: first ? getCallUrl(callId, first.start) : null
+  };
+}
+
+/**
+ * The sentences a quote came from: an exact match of the normalized text, or
+ * else the window of up to three sentences holding most of the quote's words
+ */
+function locateQuote(quote, sentences) {
+  // Quotes taken from the conversation text may keep its "Speaker2: " label
+  const target = normalize(quote.replace(/^Speaker_?\w+:\s*/, ''));
+  if (!target) return null;
+
+  // Padded with spaces so matches start and end on whole words
+  const normalized = sentences.map(sentence => normalize(sentence.text));
+  let text = ' ';
+  const bounds = normalized.map(sentenceText => {
+    const from = text.length;
+    text += `${sentenceText} `;
+    return { from, to: text.length };
+  });
+
+  const at = text.indexOf(` ${target} `) + 1;
+  if (at > 0) {
+    return {
+      match: 'exact',
+      sentences: sentences.filter((sentence, index) => bounds[index].to > at && bounds[index].from < at + target.length)
+    };
+  }
+
+  const words = target.split(' ').filter(word => word.length > 2);
+  if (words.length === 0) return null;
+
+  let best = null;
+  for (let start = 0; start < sentences.length; start++) {
+    for (let size = 1; size <= MAX_WINDOW_SENTENCES && start + size <= sentences.length; size++) {
+      const windowWords = new Set(normalized.slice(start, start + size).join(' ').split(' '));
+      const share = words.filter(word => windowWords.has(word)).length / words.length;
+      // The best share wins; on a tie, the window with fewer sentences
+      if (share >= APPROXIMATE_MATCH_SHARE && (!best || share > best.share || (share === best.share && size < best.sentences.length))) {
+        best = { share, sentences: sentences.slice(start, start + size) };
+      }
+    }
+  }
+
+  return best ? { match: 'approximate', sentences: best.sentences } : null;
+}
+
+function normalize(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function formatTimestamp(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+  indexTranscript,
+  attachEvidence
+};
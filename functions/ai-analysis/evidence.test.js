@@ -0,0 +1,146 @@
+// functions/ai-analysis/evidence.test.js - Tests for grounding insights in the transcript (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.GONG_APP_URL;
+
+const { indexTranscript, attachEvidence } = require('./evidence');
+
+const CALL_URL = 'https://us-22394.app.gong.io/call?id=call-1';
+
+// A Gong transcript: sentence starts are in milliseconds
+const TRANSCRIPT = [
+  {
+    speakerId: 'rep-7',
+    sentences: [
+      { start: 0, text: 'Thanks for joining today.' },
+      { start: 65000, text: 'We need the pricing by Friday.' }
+    ]
+  },
+  { speakerId: 'cust-3', sentences: 'not a list' },
+  {
+    speakerId: 'cust-3',
+    sentences: [
+      { start: 90500, text: ' Our budget is tight this quarter. ' },
+      { start: 92000, text: '   ' },
+      { start: 95000, text: 'But the team loves the demo.' }
+    ]
+  }
+];
+
+const sentences = indexTranscript(TRANSCRIPT);
+
+test('indexTranscript numbers speakers in order and times sentences in seconds', () => {
+  assert.deepEqual(sentences, [
+    { speaker: 'Speaker1', speakerId: 'rep-7', start: 0, text: 'Thanks for joining today.' },
+    { speaker: 'Speaker1', speakerId: 'rep-7', start: 65, text: 'We need the pricing by Friday.' },
+    { speaker: 'Speaker2', speakerId: 'cust-3', start: 90.5, text: 'Our budget is tight this quarter.' },
+    { speaker: 'Speaker2', speakerId: 'cust-3', start: 95, text: 'But the team loves the demo.' }
+  ]);
+  assert.deepEqual(indexTranscript(null), []);
+});
+
+test('each insight gets a record of where its quote was said', () => {
+  const { analysis, warnings } = attachEvidence('full', {
+    actionItems: [{ task: 'Send pricing by Friday' }],
+    businessInsights: { concerns: ['Budget is tight', 'Security review'], buyingSignals: [] },
+    keyQuote: 'Thanks for joining today.',
+    evidence: [
+      { item: 'Send pricing', quote: 'We need the pricing by Friday' },
+      { item: 'budget is tight', quote: 'Speaker2: our BUDGET is tight, this quarter!' },
+      { item: 'Security review' }
+    ]
+  }, sentences, 'call-1');
+
+  const [budget, security] = analysis.evidence.concerns;
+  assert.deepEqual(budget, {
+    item: 'Budget is tight',
+    quote: 'Speaker2: our BUDGET is tight, this quarter!',
+    verified: true,
+    match: 'exact',
+    hallucinated: false,
+    speaker: 'Speaker2',
+    speakerId: 'cust-3',
+    start: 90.5,
+    timestamp: '01:30',
+    sentences: [{ speaker: 'Speaker2', start: 90.5, text: 'Our budget is tight this quarter.' }],
+    link: `${CALL_URL}&start=90`
+  });
+  assert.equal(security.quote, null);
+  assert.equal(security.verified, false);
+  assert.equal(security.hallucinated, false);
+  assert.equal(security.link, null);
+
+  // A shortened item still finds its quote
+  assert.equal(analysis.evidence.actionItems[0].timestamp, '01:05');
+  // A quote from the first second links to the start of the call
+  assert.equal(analysis.evidence.keyQuote.link, CALL_URL);
+
+  assert.deepEqual(analysis.evidence.summary, { quotes: 3, verified: 3, hallucinated: 0, missing: 1 });
+  assert.deepEqual(warnings, []);
+});
+
+test('an exact quote may span consecutive sentences', () => {
+  const { analysis } = attachEvidence('sentiment', {
+    concerns: [],
+    enthusiasm: ['Team is excited'],
+    evidence: [{ item: 'Team is excited', quote: 'tight this quarter. But the team' }]
+  }, sentences, 'call-1');
+
+  const [record] = analysis.evidence.enthusiasm;
+  assert.equal(record.match, 'exact');
+  assert.equal(record.speaker, 'Speaker2');
+  assert.deepEqual(record.sentences.map(sentence => sentence.start), [90.5, 95]);
+});
+
+test('a paraphrased quote is matched approximately, in the fewest sentences', () => {
+  const { analysis } = attachEvidence('sentiment', {
+    concerns: [],
+    enthusiasm: ['Loves the demo'],
+    evidence: [{ item: 'Loves the demo', quote: 'The team really loves the demo' }]
+  }, sentences, 'call-1');
+
+  const [record] = analysis.evidence.enthusiasm;
+  assert.equal(record.verified, true);
+  assert.equal(record.match, 'approximate');
+  assert.deepEqual(record.sentences, [{ speaker: 'Speaker2', start: 95, text: 'But the team loves the demo.' }]);
+  assert.equal(record.timestamp, '01:35');
+});
+
+test('a quote found nowhere is flagged as hallucinated, and the insight is kept', () => {
+  const { analysis, warnings } = attachEvidence('sentiment', {
+    concerns: ['Contract timing'],
+    enthusiasm: [],
+    evidence: [{ item: 'Contract timing', quote: 'We will sign the contract tomorrow' }]
+  }, sentences, 'call-1');
+
+  assert.equal(analysis.concerns[0], 'Contract timing');
+  assert.deepEqual(
+    [analysis.evidence.concerns[0].verified, analysis.evidence.concerns[0].hallucinated, analysis.evidence.concerns[0].start],
+    [false, true, null]
+  );
+  assert.deepEqual(analysis.evidence.summary, { quotes: 1, verified: 0, hallucinated: 1, missing: 0 });
+  assert.deepEqual(warnings, ['Quote not found in the transcript: "We will sign the contract tomorrow"']);
+});
+
+test('methodology criteria get the records of their own quotes', () => {
+  const { analysis, warnings } = attachEvidence('methodology', {
+    criteria: [
+      { name: 'Metrics', quotes: ['We need the pricing by Friday'] },
+      { name: 'Champion', quotes: ['I will champion this internally'] },
+      { name: 'Paper process', quotes: [] }
+    ]
+  }, sentences, 'call-1');
+
+  assert.equal(analysis.criteria[0].evidence[0].item, 'Metrics');
+  assert.equal(analysis.criteria[0].evidence[0].speaker, 'Speaker1');
+  assert.equal(analysis.criteria[1].evidence[0].hallucinated, true);
+  assert.deepEqual(analysis.criteria[2].evidence, []);
+  assert.deepEqual(analysis.evidence.summary, { quotes: 2, verified: 1, hallucinated: 1, missing: 0 });
+  assert.equal(warnings.length, 1);
+});
+
+test('analysis types without insights to ground are returned as is', () => {
+  const summary = { title: 'Demo', evidence: [{ item: 'x', quote: 'y' }] };
+  assert.deepEqual(attachEvidence('summary', summary, sentences, 'call-1'), { analysis: summary, warnings: [] });
+});
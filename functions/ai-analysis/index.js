@@ -2,19 +2,52 @@
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { Firestore } = require('@google-cloud/firestore');
-const axios = require('axios');
+const { requireServiceAuth } = require('../shared/service-auth');
+const { createGongClient } = require('../shared/gong-client');
+const { isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS, getOfflineFirestore } = require('../shared/offline');
+const { trackHttpStats } = require('../shared/http');
+const { getCachedAnalyses, storeCachedAnalysis, toCachedResult } = require('./cache');
+const { createLlmClient } = require('./llm');
+const {
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_MAX_CHUNKS,
+  chunkConversation,
+  settleChunks,
+  mergeNotes,
+  formatNotes,
+  measureCoverage
+} = require('./chunking');
+const { indexTranscript, attachEvidence } = require('./evidence');
+const { DEFAULT_METHODOLOGY, loadMethodology, buildScorecard } = require('./methodologies');
+const { selectPrompt, renderPrompt, usesCallMetadata, describePrompt } = require('./prompts');
+const { ValidationError } = require('../shared/validation');
 
 // Initialize clients
 const secretClient = new SecretManagerServiceClient();
-const firestore = new Firestore();
+const firestore = isOfflineMode() ? getOfflineFirestore() : new Firestore();
 
 // Cache for secrets
 let secretsCache = {};
 let lastSecretRefresh = 0;
 const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 
+// Analysis types with a prompt of their own; any other type runs the full analysis.
+// The version of the prompt template used (prompts.js) is part of the analysis
+// cache key, with the provider and model from llm.config.json.
+const ANALYSIS_TYPES = ['full', 'sentiment', 'summary', 'batch_summary', 'methodology'];
+
+// Optional secrets (LLM provider keys), looked up once per instance
+const optionalSecrets = new Map();
+
+const llm = createLlmClient({ getSecret: getOptionalSecret });
+
 /**
  * AI Analysis Handler - Enhanced version of your Vercel ai-analysis function
+ * Analyses are served from call_analysis_cache when possible; forceRefresh: true
+ * re-runs them. Only cache misses fetch a transcript and call the LLM.
+ * analysisType 'methodology' scores calls against the methodology named in
+ * "methodology" (see methodologies.js). "team" selects that team's prompt templates.
  */
 functions.http('aiAnalysisHandler', async (req, res) => {
   // CORS headers
@@ -32,8 +65,13 @@ functions.http('aiAnalysisHandler', async (req, res) => {
     return;
   }
 
+  // Only accept calls signed by other functions in this project
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
-    const { callIds, callId, analysisType = 'full' } = req.body;
+    const { callIds, callId, analysisType = 'full', forceRefresh = false, methodology: methodologyId = DEFAULT_METHODOLOGY, team = null } = req.body;
     
     let targetCallIds = [];
     if (callIds && Array.isArray(callIds)) targetCallIds = callIds;
@@ -47,68 +85,24 @@ functions.http('aiAnalysisHandler', async (req, res) => {
     }
 
     console.log('AI analysis for calls:', targetCallIds, 'Type:', analysisType);
+
+    // Scorecards are cached per methodology and definition version
+    const methodology = analysisType === 'methodology' ? await loadMethodology(firestore, methodologyId) : null;
+    const variant = methodology ? `${methodology.id}-${methodology.version}` : null;
     
     // Get secrets
     const secrets = await getSecrets();
     const gongConfig = createGongConfig(secrets);
     
-    // Get transcripts
-    const transcripts = await getGongTranscripts(targetCallIds, gongConfig);
-    if (!transcripts || transcripts.length === 0) {
-      return res.status(404).json({ error: 'No transcripts found' });
-    }
-    
-    const results = [];
-    
-    for (const transcript of transcripts) {
-      const conversationText = extractConversationText(transcript.transcript);
-      
-      if (!conversationText || conversationText.length < 100) {
-        results.push({
-          callId: transcript.callId,
-          error: 'Insufficient transcript content'
-        });
-        continue;
-      }
-      
-      try {
-        let analysis;
-        
-        switch (analysisType) {
-          case 'summary':
-            analysis = await generateCallSummary(conversationText, transcript.callId, gongConfig);
-            break;
-          case 'sentiment':
-            analysis = await analyzeSentiment(conversationText);
-            break;
-          case 'full':
-          default:
-            analysis = await analyzeWithOpenAI(conversationText);
-            break;
-        }
-        
-        // Store analysis in Firestore for future reference
-        await storeAnalysis(transcript.callId, analysis, analysisType);
-        
-        results.push({
-          callId: transcript.callId,
-          analysis: analysis,
-          analysisType: analysisType,
-          processedAt: new Date().toISOString()
-        });
-        
-        // Rate limiting to avoid API limits
-        await sleep(1000);
-        
-      } catch (error) {
-        console.error(`AI analysis failed for call ${transcript.callId}:`, error);
-        results.push({
-          callId: transcript.callId,
-          error: 'AI analysis failed',
-          details: error.message
-        });
-      }
-    }
+    // Analyze what the cache does not have, counting outbound requests and retries
+    const { result: { results, missingCallIds, cache }, stats } = await trackHttpStats(() =>
+      analyzeCallsWithCache(targetCallIds, analysisType, gongConfig, {
+        forceRefresh,
+        variant,
+        team,
+        analyze: transcripts => analyzeTranscripts(transcripts, analysisType, gongConfig, { methodology, team })
+      })
+    );
     
     res.status(200).json({ 
       results,
@@ -116,11 +110,25 @@ functions.http('aiAnalysisHandler', async (req, res) => {
         totalRequested: targetCallIds.length,
         successful: results.filter(r => !r.error).length,
         failed: results.filter(r => r.error).length,
-        analysisType: analysisType
-      }
+        missingCallIds,
+        analysisType: analysisType,
+        methodology: methodology ? { id: methodology.id, name: methodology.name, version: methodology.version } : undefined,
+        tokensUsed: sumTokens(results),
+        coveragePercent: averageCoverage(results),
+        cache
+      },
+      httpStats: stats
     });
     
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        message: error.errors.map(problem => `${problem.field} ${problem.message}`).join('; '),
+        invalidFields: error.errors
+      });
+    }
+
     console.error('AI analysis error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -142,8 +150,13 @@ functions.http('batchAnalysis', async (req, res) => {
     return;
   }
 
+  // Only accept calls signed by other functions in this project
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
-    const { callIds, batchSize = 5 } = req.body;
+    const { callIds, batchSize = 5, forceRefresh = false, team = null } = req.body;
     
     if (!callIds || !Array.isArray(callIds)) {
       return res.status(400).json({ error: 'callIds array required' });
@@ -161,31 +174,38 @@ functions.http('batchAnalysis', async (req, res) => {
     }
     
     const allResults = [];
+    const cache = { hits: 0, misses: 0, tokensSaved: 0, forceRefresh };
     
-    for (let i = 0; i < batches.length; i++) {
-      const batch = batches[i];
-      console.log(`Processing batch ${i + 1}/${batches.length} (${batch.length} calls)`);
+    // Count outbound requests and retries across all batches
+    const { stats } = await trackHttpStats(async () => {
+      for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        console.log(`Processing batch ${i + 1}/${batches.length} (${batch.length} calls)`);
       
-      try {
-        const batchResults = await processBatch(batch, gongConfig);
-        allResults.push(...batchResults);
+        try {
+          const batchResult = await processBatch(batch, gongConfig, forceRefresh, team);
+          allResults.push(...batchResult.results);
+          cache.hits += batchResult.cache.hits;
+          cache.misses += batchResult.cache.misses;
+          cache.tokensSaved += batchResult.cache.tokensSaved;
         
-        // Wait between batches
-        if (i < batches.length - 1) {
-          await sleep(2000);
-        }
-      } catch (error) {
-        console.error(`Batch ${i + 1} failed:`, error);
-        // Add error results for failed batch
-        batch.forEach(callId => {
-          allResults.push({
-            callId,
-            error: 'Batch processing failed',
-            details: error.message
+          // Wait between batches
+          if (i < batches.length - 1) {
+            await sleep(2000);
+          }
+        } catch (error) {
+          console.error(`Batch ${i + 1} failed:`, error);
+          // Add error results for failed batch
+          batch.forEach(callId => {
+            allResults.push({
+              callId,
+              error: 'Batch processing failed',
+              details: error.message
+            });
           });
-        });
+        }
       }
-    }
+    });
     
     res.status(200).json({
       results: allResults,
@@ -193,8 +213,12 @@ functions.http('batchAnalysis', async (req, res) => {
         totalCalls: callIds.length,
         totalBatches: batches.length,
         successful: allResults.filter(r => !r.error).length,
-        failed: allResults.filter(r => r.error).length
-      }
+        failed: allResults.filter(r => r.error).length,
+        tokensUsed: sumTokens(allResults),
+        coveragePercent: averageCoverage(allResults),
+        cache
+      },
+      httpStats: stats
     });
     
   } catch (error) {
@@ -208,205 +232,382 @@ functions.http('batchAnalysis', async (req, res) => {
 
 // Helper Functions
 
-async function getGongTranscripts(callIds, gongConfig) {
-  const response = await axios.post(`${gongConfig.baseUrl}/calls/transcript`, {
-    filter: {
-      callIds: callIds,
-      fromDateTime: "2023-01-01T00:00:00Z",
-      toDateTime: "2025-12-31T23:59:59Z"
+/**
+ * Serve cached analyses and run analyze() on the transcripts of the other calls.
+ * New results are cached; results come back in the order of callIds.
+ */
+async function analyzeCallsWithCache(callIds, analysisType, gongConfig, { forceRefresh, variant, team, analyze }) {
+  // A/B tested prompts can differ per call, so every call has its own cache key
+  const cacheKeys = new Map(await Promise.all(callIds.map(async callId =>
+    [callId, await getCacheKey(analysisType, { variant, team, callId })])));
+  const cached = forceRefresh ? new Map() : await getCachedAnalyses(firestore, callIds, callId => cacheKeys.get(callId));
+  const pendingCallIds = callIds.filter(callId => !cached.has(callId));
+  console.log(`Analysis cache: ${cached.size} hits, ${pendingCallIds.length} misses${forceRefresh ? ' (forceRefresh)' : ''}`);
+
+  let fresh = [];
+  let missingCallIds = [];
+  if (pendingCallIds.length > 0) {
+    const transcriptResponse = await getGongTranscripts(pendingCallIds, gongConfig);
+    missingCallIds = transcriptResponse.missingCallIds;
+    fresh = await analyze(transcriptResponse.transcripts);
+
+    // Keyed by the prompt actually used, in case the templates changed meanwhile
+    for (const result of fresh.filter(result => !result.error)) {
+      await storeCachedAnalysis(firestore, result, { ...cacheKeys.get(result.callId), promptVersion: result.prompt.promptVersion });
     }
-  }, {
-    headers: gongConfig.headers,
-    timeout: 30000
-  });
-  
-  return response.data.callTranscripts || [];
+  }
+
+  const byCallId = new Map([
+    ...Array.from(cached.values()).map(entry => [entry.callId, toCachedResult(entry)]),
+    ...[...fresh, ...missingTranscriptResults(missingCallIds)].map(result => [result.callId, { ...result, cached: false }])
+  ]);
+
+  return {
+    results: callIds.map(callId => byCallId.get(callId)).filter(Boolean),
+    missingCallIds,
+    cache: {
+      hits: cached.size,
+      misses: pendingCallIds.length,
+      tokensSaved: Array.from(cached.values()).reduce((sum, entry) => sum + (entry.tokensUsed || 0), 0),
+      forceRefresh
+    }
+  };
 }
 
-function extractConversationText(transcriptArray) {
-  if (!Array.isArray(transcriptArray)) return '';
-  
-  const conversation = [];
-  const speakerMap = new Map();
+/**
+ * Unknown analysis types run the full analysis, so they share its prompt and model settings.
+ * variant tells apart analyses of one type with different inputs, such as methodologies.
+ */
+async function getCacheKey(analysisType, { variant = null, team, callId }) {
+  const promptType = ANALYSIS_TYPES.includes(analysisType) ? analysisType : 'full';
+  const { promptVersion } = describePrompt(await selectPrompt(firestore, promptType, { team, callId }));
+  const { provider, model } = llm.getModelConfig(promptType);
+
+  return { analysisType, variant, promptVersion, provider, model };
+}
+
+/**
+ * Run the requested analysis on each transcript, one call at a time
+ * @param {{ methodology?: object, team?: string }} options the loaded methodology for analysisType
+ *   'methodology', and the team whose prompt templates to use
+ */
+async function analyzeTranscripts(transcripts, analysisType, gongConfig, { methodology, team } = {}) {
+  const results = [];
   
-  for (const entry of transcriptArray) {
-    if (entry.sentences && Array.isArray(entry.sentences)) {
-      const speakerId = entry.speakerId;
-      let speakerName = `Speaker_${speakerId}`;
+  for (const transcript of transcripts) {
+    const source = readTranscript(transcript);
+    
+    if (!source.text || source.text.length < 100) {
+      results.push({
+        callId: transcript.callId,
+        error: 'Insufficient transcript content'
+      });
+      continue;
+    }
+    
+    try {
+      const context = { callId: transcript.callId, team, gongConfig };
+      let completion;
       
-      if (!speakerMap.has(speakerId)) {
-        const speakerNumber = speakerMap.size + 1;
-        speakerName = `Speaker${speakerNumber}`;
-        speakerMap.set(speakerId, speakerName);
-      } else {
-        speakerName = speakerMap.get(speakerId);
+      switch (analysisType) {
+        case 'summary':
+          completion = await analyzeConversation(source, 'summary', generateCallSummary, context);
+          break;
+        case 'sentiment':
+          completion = await analyzeConversation(source, 'sentiment', analyzeSentiment, context);
+          break;
+        case 'methodology':
+          completion = await analyzeConversation(source, 'methodology', (conversation, callContext) =>
+            scoreMethodology(conversation, callContext, methodology), context);
+          break;
+        case 'full':
+        default:
+          completion = await analyzeConversation(source, 'full', analyzeFullCall, context);
+          break;
       }
+
+      const { analysis, tokensUsed, provider, model, prompt, coverage, validationWarnings } = completion;
       
-      for (const sentence of entry.sentences) {
-        if (sentence.text?.trim()) {
-          conversation.push(`${speakerName}: ${sentence.text.trim()}`);
-        }
-      }
+      // Store analysis in Firestore for future reference
+      await storeAnalysis(transcript.callId, analysis, analysisType, { variant: methodology?.id, prompt });
+      
+      results.push({
+        callId: transcript.callId,
+        analysis: analysis,
+        analysisType: analysisType,
+        provider,
+        model,
+        prompt,
+        tokensUsed,
+        coverage,
+        validationWarnings,
+        processedAt: new Date().toISOString()
+      });
+      
+      // Rate limiting to avoid API limits
+      await sleep(1000);
+      
+    } catch (error) {
+      console.error(`AI analysis failed for call ${transcript.callId}:`, error);
+      results.push({
+        callId: transcript.callId,
+        error: 'AI analysis failed',
+        details: error.message
+      });
     }
   }
   
-  return conversation.join('\n');
+  return results;
 }
 
-async function analyzeWithOpenAI(conversationText) {
-  const secrets = await getSecrets();
-  const openaiKey = secrets.openaiKey;
-  
-  if (!openaiKey) {
-    throw new Error('OpenAI API key not configured');
+/**
+ * Fetch transcripts by call ID alone, so calls from any date are found
+ */
+async function getGongTranscripts(callIds, gongConfig) {
+  const { transcripts, missingCallIds } = await createGongClient(gongConfig).getTranscriptsForCalls(callIds);
+
+  if (missingCallIds.length > 0) {
+    console.warn(`No transcript returned for calls: ${missingCallIds.join(', ')}`);
   }
-  
-  // Enhanced prompt based on your existing implementation
-  const prompt = `Analyze this COMPLETE sales call transcript and provide accurate insights based on the entire conversation: ${conversationText.substring(0, 4000)}
-
-{
-  "sentiment": "Positive|Negative|Neutral",
-  "confidence": 0.85,
-  "reasoning": "Brief reason based on actual conversation content",
-  "landingPoint": {
-    "currentStage": "Discovery|Demo|Proposal|Negotiation|Closing",
-    "nextSteps": "Specific actions mentioned or agreed upon in the conversation",
-    "hurdles": "Actual obstacles discussed in the conversation",
-    "timeline": "Timeline mentioned in the conversation or realistic assessment"
-  },
-  "actionItems": [
-    {
-      "task": "Specific action mentioned or committed to in the conversation",
-      "owner": "Person who actually committed to this in the call",
-      "urgency": "High|Medium|Low",
-      "context": "Why this was discussed and what it will achieve"
-    }
-  ],
-  "keyQuote": "Exact quote from the conversation that best represents the customer's position",
-  "businessInsights": {
-    "qualificationLevel": "High|Medium|Low",
-    "buyingSignals": ["List of positive indicators"],
-    "concerns": ["List of customer concerns"],
-    "competitorMentions": ["Competitors discussed"],
-    "decisionMakers": ["People involved in decision making"]
+
+  return { transcripts, missingCallIds };
+}
+
+/**
+ * Result entries for calls Gong returned no transcript for, so they are reported rather than dropped
+ */
+function missingTranscriptResults(missingCallIds) {
+  return missingCallIds.map(callId => ({
+    callId,
+    error: 'Transcript not found',
+    details: 'Gong returned no transcript for this call ID'
+  }));
+}
+
+/**
+ * The timed sentences of a transcript and the "Speaker1: ..." text the prompts get
+ */
+function readTranscript(transcript) {
+  const sentences = indexTranscript(transcript.transcript);
+
+  return {
+    callId: transcript.callId,
+    sentences,
+    text: sentences.map(sentence => `${sentence.speaker}: ${sentence.text}`).join('\n')
+  };
+}
+
+/**
+ * Run one analysis over the whole conversation. A transcript longer than the
+ * type's chunkTokens is first reduced to notes part by part (map), the notes are
+ * merged without duplicates (reduce), and analyzeText runs on the merged notes.
+ * Quotes behind the insights are then looked up in the transcript.
+ * @param {{ callId: string, team?: string, gongConfig: object }} context the call, for its prompt templates
+ */
+async function analyzeConversation(source, analysisType, analyzeText, context) {
+  const conversation = await prepareConversation(source.text, analysisType, context);
+  const completion = await analyzeText(conversation, context);
+  const analysis = conversation.notes
+    ? applyMergedNotes(analysisType, completion.analysis, conversation.notes)
+    : completion.analysis;
+  const grounded = attachEvidence(analysisType, analysis, source.sentences, source.callId);
+
+  return {
+    ...completion,
+    analysis: grounded.analysis,
+    tokensUsed: completion.tokensUsed + conversation.tokensUsed,
+    coverage: conversation.coverage,
+    validationWarnings: [...conversation.validationWarnings, ...completion.validationWarnings, ...grounded.warnings]
+  };
+}
+
+/**
+ * The text an analysis prompt gets: the transcript itself when it fits in one
+ * chunk, otherwise the merged notes of its chunks. Chunks whose notes could not
+ * be extracted are left out of the coverage.
+ */
+async function prepareConversation(conversationText, analysisType, context) {
+  const settings = llm.getModelConfig(analysisType);
+  const chunks = chunkConversation(conversationText, settings.chunkTokens || DEFAULT_CHUNK_TOKENS);
+
+  if (chunks.length === 1) {
+    return {
+      text: conversationText,
+      notes: null,
+      tokensUsed: 0,
+      coverage: measureCoverage(chunks, chunks),
+      validationWarnings: []
+    };
   }
-}`;
-
-  const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-    model: 'gpt-4-turbo-preview',
-    messages: [
-      { role: 'system', content: 'You are a sales analyst. Return only valid JSON.' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: 1200,
-    temperature: 0.3,
-    response_format: { type: "json_object" }
-  }, {
-    headers: {
-      'Authorization': `Bearer ${openaiKey}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 30000
-  });
-  
-  return JSON.parse(response.data.choices[0].message.content);
+
+  const selected = chunks.slice(0, settings.maxChunks || DEFAULT_MAX_CHUNKS);
+  const extractions = await settleChunks(
+    selected,
+    (chunk, index) => extractChunkNotes(chunk, index, chunks.length, context),
+    settings.chunkConcurrency
+  );
+  const succeeded = extractions.filter(extraction => extraction.status === 'fulfilled');
+
+  if (succeeded.length === 0) {
+    throw extractions[0].reason;
+  }
+  if (succeeded.length < selected.length) {
+    console.warn(`Notes extraction failed for ${selected.length - succeeded.length} of ${selected.length} transcript chunks`);
+  }
+
+  const notes = mergeNotes(succeeded.map(extraction => extraction.value.analysis));
+
+  return {
+    text: formatNotes(notes, succeeded.length),
+    notes,
+    tokensUsed: succeeded.reduce((sum, extraction) => sum + extraction.value.tokensUsed, 0),
+    coverage: measureCoverage(chunks, selected.filter((chunk, index) => extractions[index].status === 'fulfilled')),
+    validationWarnings: extractions.flatMap((extraction, index) =>
+      (extraction.value?.validationWarnings || []).map(warning => `Part ${index + 1}: ${warning}`))
+  };
 }
 
-async function generateCallSummary(conversationText, callId, gongConfig) {
-  // Get call details first
-  const callResponse = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params: {
-      fromDateTime: "2023-01-01T00:00:00Z",
-      toDateTime: "2025-12-31T23:59:59Z"
-    }
-  });
-  
-  const call = callResponse.data.calls?.find(c => c.id === callId);
-  
-  const secrets = await getSecrets();
-  const openaiKey = secrets.openaiKey;
-  
-  const prompt = `Generate a concise business summary for this sales call: ${conversationText.substring(0, 1500)}
-
-Return JSON:
-{
-  "title": "Brief descriptive title for the call",
-  "duration": "${call?.duration ? Math.round(call.duration / 60) + ' minutes' : 'Unknown'}",
-  "participants": "${call?.parties?.map(p => p.name || p.emailAddress).join(', ') || 'Unknown'}",
-  "keyPoints": ["3 most important discussion points"],
-  "sentiment": "Positive|Negative|Neutral",
-  "nextSteps": "Primary next action",
-  "urgentActions": 0,
-  "businessValue": "Potential business impact or value discussed"
-}`;
-
-  const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-    model: 'gpt-4-turbo-preview',
-    messages: [
-      { role: 'system', content: 'You are a sales call summarizer. Return only valid JSON.' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: 600,
-    temperature: 0.3,
-    response_format: { type: "json_object" }
-  }, {
-    headers: {
-      'Authorization': `Bearer ${openaiKey}`,
-      'Content-Type': 'application/json'
-    }
-  });
-  
-  return JSON.parse(response.data.choices[0].message.content);
+/**
+ * Map step: the facts of one transcript chunk
+ */
+async function extractChunkNotes(chunk, index, total, context) {
+  return await completePrompt('chunk_extract', { transcript: chunk, part: index + 1, parts: total }, context);
 }
 
-async function analyzeSentiment(conversationText) {
-  const secrets = await getSecrets();
-  const openaiKey = secrets.openaiKey;
-  
-  const prompt = `Analyze the sentiment of this sales conversation: ${conversationText.substring(0, 2000)}
-
-Return JSON:
-{
-  "overallSentiment": "Positive|Negative|Neutral",
-  "confidence": 0.85,
-  "customerSentiment": "Positive|Negative|Neutral",
-  "salespersonSentiment": "Positive|Negative|Neutral",
-  "keyEmotionalMoments": ["Moments where sentiment changed"],
-  "concerns": ["Customer concerns expressed"],
-  "enthusiasm": ["Signs of customer interest"]
-}`;
-
-  const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-    model: 'gpt-4-turbo-preview',
-    messages: [
-      { role: 'system', content: 'You are a sentiment analysis expert. Return only valid JSON.' },
-      { role: 'user', content: prompt }
-    ],
-    max_tokens: 500,
-    temperature: 0.3,
-    response_format: { type: "json_object" }
-  }, {
-    headers: {
-      'Authorization': `Bearer ${openaiKey}`,
-      'Content-Type': 'application/json'
-    }
+/**
+ * Reduce step: the merged, de-duplicated lists replace the ones the final prompt
+ * rewrote from the notes, so nothing found in a chunk is dropped or repeated
+ */
+function applyMergedNotes(analysisType, analysis, notes) {
+  switch (analysisType) {
+    case 'sentiment':
+      return { ...analysis, concerns: notes.hurdles, enthusiasm: notes.buyingSignals, evidence: notes.evidence };
+    case 'summary':
+    case 'batch_summary':
+      return { ...analysis, urgentActions: notes.actionItems.filter(item => item.urgency === 'High').length };
+    case 'methodology':
+      return analysis;
+    default:
+      return {
+        ...analysis,
+        actionItems: notes.actionItems,
+        evidence: notes.evidence,
+        businessInsights: {
+          ...analysis.businessInsights,
+          buyingSignals: notes.buyingSignals,
+          concerns: notes.hurdles,
+          competitorMentions: notes.competitorMentions,
+          decisionMakers: notes.decisionMakers
+        }
+      };
+  }
+}
+
+/**
+ * Fill in the analysis type's prompt template for this call and ask the model.
+ * The call's details are fetched from Gong only when the template uses them.
+ */
+async function completePrompt(analysisType, values, context) {
+  const template = await selectPrompt(firestore, analysisType, context);
+  const call = usesCallMetadata(template)
+    ? await createGongClient(context.gongConfig).getCall(context.callId).catch(() => null)
+    : null;
+
+  const completion = await llm.completeJson(analysisType, renderPrompt(template, {
+    callId: context.callId,
+    ...describeCall(call),
+    ...values
+  }));
+
+  return { ...completion, prompt: describePrompt(template) };
+}
+
+/**
+ * Call metadata variables; the prompt still works without them
+ */
+function describeCall(call) {
+  return {
+    title: call?.title || 'Unknown',
+    date: call?.started || 'Unknown',
+    duration: call?.duration ? Math.round(call.duration / 60) + ' minutes' : 'Unknown',
+    participants: call?.parties?.map(p => p.name || p.emailAddress).join(', ') || 'Unknown'
+  };
+}
+
+/**
+ * The conversation variables, including how the prompts name what they are given
+ */
+function describeConversation(conversation) {
+  return {
+    transcript: conversation.text,
+    source: conversation.notes ? 'notes taken on every part of the transcript' : 'transcript'
+  };
+}
+
+async function analyzeFullCall(conversation, context) {
+  return await completePrompt('full', describeConversation(conversation), context);
+}
+
+async function generateCallSummary(conversation, context, analysisType = 'summary') {
+  return await completePrompt(analysisType, describeConversation(conversation), context);
+}
+
+async function analyzeSentiment(conversation, context) {
+  return await completePrompt('sentiment', describeConversation(conversation), context);
+}
+
+/**
+ * Score the call against each criterion of a methodology
+ */
+async function scoreMethodology(conversation, context, methodology) {
+  const criteria = methodology.criteria
+    .map(criterion => `- ${criterion.id} (${criterion.name}): ${criterion.description}`)
+    .join('\n');
+
+  const completion = await completePrompt('methodology', {
+    ...describeConversation(conversation),
+    methodology: methodology.name,
+    criteria
+  }, context);
+  const scorecard = buildScorecard(methodology, completion.analysis);
+
+  return {
+    ...completion,
+    analysis: scorecard.analysis,
+    validationWarnings: [...completion.validationWarnings, ...scorecard.warnings]
+  };
+}
+
+function sumTokens(results) {
+  return results.reduce((sum, result) => sum + (result.tokensUsed || 0), 0);
+}
+
+/**
+ * Mean transcript coverage of the analyzed calls, or null when none reports one
+ */
+function averageCoverage(results) {
+  const percents = results.filter(result => result.coverage).map(result => result.coverage.percent);
+  if (percents.length === 0) return null;
+
+  return Math.round((percents.reduce((sum, percent) => sum + percent, 0) / percents.length) * 10) / 10;
+}
+
+async function processBatch(callIds, gongConfig, forceRefresh, team) {
+  return await analyzeCallsWithCache(callIds, 'batch_summary', gongConfig, {
+    forceRefresh,
+    team,
+    analyze: transcripts => summarizeTranscripts(transcripts, gongConfig, team)
   });
-  
-  return JSON.parse(response.data.choices[0].message.content);
 }
 
-async function processBatch(callIds, gongConfig) {
-  // Get transcripts for the batch
-  const transcripts = await getGongTranscripts(callIds, gongConfig);
-  
-  const results = [];
-  
-  // Process all calls in the batch concurrently
+/**
+ * Summarize every transcript of a batch concurrently
+ */
+async function summarizeTranscripts(transcripts, gongConfig, team) {
   const promises = transcripts.map(async (transcript) => {
-    const conversationText = extractConversationText(transcript.transcript);
+    const source = readTranscript(transcript);
     
-    if (!conversationText || conversationText.length < 100) {
+    if (!source.text || source.text.length < 100) {
       return {
         callId: transcript.callId,
         error: 'Insufficient transcript content'
@@ -414,13 +615,22 @@ async function processBatch(callIds, gongConfig) {
     }
     
     try {
-      const analysis = await generateCallSummary(conversationText, transcript.callId, gongConfig);
-      await storeAnalysis(transcript.callId, analysis, 'batch_summary');
+      const context = { callId: transcript.callId, team, gongConfig };
+      const { analysis, tokensUsed, provider, model, prompt, coverage, validationWarnings } = await analyzeConversation(source, 'batch_summary',
+        (conversation, callContext) => generateCallSummary(conversation, callContext, 'batch_summary'), context);
+      await storeAnalysis(transcript.callId, analysis, 'batch_summary', { prompt });
       
       return {
         callId: transcript.callId,
         analysis: analysis,
-        analysisType: 'batch_summary'
+        analysisType: 'batch_summary',
+        provider,
+        model,
+        prompt,
+        tokensUsed,
+        coverage,
+        validationWarnings,
+        processedAt: new Date().toISOString()
       };
     } catch (error) {
       return {
@@ -431,17 +641,22 @@ async function processBatch(callIds, gongConfig) {
     }
   });
   
-  const batchResults = await Promise.all(promises);
-  return batchResults;
+  return await Promise.all(promises);
 }
 
-async function storeAnalysis(callId, analysis, analysisType) {
+/**
+ * Keep the latest analysis of each call and type, with the prompt that produced it
+ * so results of different prompt versions can be compared
+ */
+async function storeAnalysis(callId, analysis, analysisType, { variant = null, prompt = null } = {}) {
   try {
-    const doc = firestore.collection('call_analyses').doc(`${callId}_${analysisType}`);
+    const doc = firestore.collection('call_analyses').doc([callId, analysisType, variant].filter(Boolean).join('_'));
     await doc.set({
       callId,
       analysisType,
       analysis,
+      prompt,
+      promptVersion: prompt?.promptVersion || null,
       createdAt: new Date(),
       updatedAt: new Date()
     });
@@ -454,6 +669,10 @@ async function storeAnalysis(callId, analysis, analysisType) {
 }
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const now = Date.now();
   
   if (now - lastSecretRefresh < CACHE_DURATION && Object.keys(secretsCache).length > 0) {
@@ -474,28 +693,43 @@ async function getSecrets() {
     name: `projects/${projectId}/secrets/gong-api-base-url/versions/latest`,
   });
 
-  // Try to get OpenAI key (optional)
-  let openaiKey = null;
-  try {
-    const [openaiResponse] = await secretClient.accessSecretVersion({
-      name: `projects/${projectId}/secrets/openai-api-key/versions/latest`,
-    });
-    openaiKey = openaiResponse.payload.data.toString();
-  } catch (error) {
-    console.warn('OpenAI API key not found in Secret Manager. AI analysis features will be limited.');
-  }
-
   secretsCache = {
     accessKey: accessKeyResponse.payload.data.toString(),
     secretKey: secretKeyResponse.payload.data.toString(),
-    baseUrl: baseUrlResponse.payload.data.toString(),
-    openaiKey
+    baseUrl: baseUrlResponse.payload.data.toString()
   };
   
   lastSecretRefresh = now;
   return secretsCache;
 }
 
+/**
+ * Read a secret that may not exist (e.g. the key of an unused LLM provider); resolves to null then
+ */
+async function getOptionalSecret(name) {
+  if (isOfflineMode()) {
+    return null;
+  }
+
+  const cached = optionalSecrets.get(name);
+  if (cached && Date.now() - cached.loadedAt < CACHE_DURATION) {
+    return cached.value;
+  }
+
+  let value = null;
+  try {
+    const [response] = await secretClient.accessSecretVersion({
+      name: `projects/${process.env.GOOGLE_CLOUD_PROJECT}/secrets/${name}/versions/latest`,
+    });
+    value = response.payload.data.toString();
+  } catch (error) {
+    console.warn(`Secret ${name} not found in Secret Manager`);
+  }
+
+  optionalSecrets.set(name, { value, loadedAt: Date.now() });
+  return value;
+}
+
 function createGongConfig(secrets) {
   const credentials = `${secrets.accessKey}:${secrets.secretKey}`;
   const authHeader = `Basic ${Buffer.from(credentials).toString('base64')}`;
@@ -0,0 +1,336 @@
+// functions/ai-analysis/llm.js - Chat completions through interchangeable LLM providers
+//
+// Providers:
+//   openai        api.openai.com (secret openai-api-key)
+//   azure-openai  an Azure OpenAI deployment; model is the deployment name
+//                 (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_VERSION, secret azure-openai-api-key)
+//   anthropic     api.anthropic.com Messages API (secret anthropic-api-key)
+//   local         any OpenAI-compatible endpoint, e.g. Ollama or vLLM
+//                 (LOCAL_LLM_URL, optional secret local-llm-api-key)
+//   mock          offline and deterministic, for development and tests (see mock-llm.js)
+//
+// Provider, model, temperature and maxTokens are set per analysis type in
+// llm.config.json (or LLM_CONFIG_PATH): "default" applies to every type and
+// "analysisTypes" overrides only the fields it names. LLM_PROVIDER replaces the
+// default provider and LLM_MODEL its model. Models are named per provider in
+// "models" ({ "openai": "gpt-4o-mini", ... }), so a type without its own
+// provider picks the model of whichever provider is the default. A type that
+// names a single "model" must name its "provider" too.
+//
+// Every answer is checked against the schema of its analysis type
+// (output-schemas.js). An answer that is not JSON or cannot be fixed gets one
+// repair request; what is still wrong after that falls back to defaults and is
+// listed in validationWarnings.
+//
+// Set LLM_RECORD_FIXTURES_DIR to save every live answer as a fixture the mock
+// provider can replay. Offline mode (see shared/offline.js) uses
+// llm.config.mock.json unless LLM_CONFIG_PATH names another file.
+
+const fs = require('fs');
+const path = require('path');
+const { sendRequest } = require('../shared/http');
+const { isOfflineMode } = require('../shared/services');
+const { completeMock, promptHash } = require('./mock-llm');
+const { conformAnalysis } = require('./output-schemas');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'llm.config.json');
+const OFFLINE_CONFIG_PATH = path.join(__dirname, 'llm.config.mock.json');
+const REQUEST_TIMEOUT = 30000;
+const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const PROVIDERS = {
+  openai: {
+    secret: 'openai-api-key',
+    request: (settings, messages, apiKey) => openAiRequest('https://api.openai.com/v1/chat/completions', settings, messages, {
+      'Authorization': `Bearer ${apiKey}`
+    }),
+    parse: parseOpenAiResponse
+  },
+
+  'azure-openai': {
+    secret: 'azure-openai-api-key',
+    request: (settings, messages, apiKey) => {
+      const endpoint = (settings.endpoint || process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+      if (!endpoint) {
+        throw new Error('AZURE_OPENAI_ENDPOINT is not set');
+      }
+      // The deployment decides the model, so the body carries no model name
+      const url = `${endpoint}/openai/deployments/${encodeURIComponent(settings.model)}/chat/completions?api-version=${AZURE_API_VERSION}`;
+      const request = openAiRequest(url, settings, messages, { 'api-key': apiKey });
+      delete request.data.model;
+      return request;
+    },
+    parse: parseOpenAiResponse
+  },
+
+  anthropic: {
+    secret: 'anthropic-api-key',
+    request: (settings, { system, user }, apiKey) => ({
+      url: 'https://api.anthropic.com/v1/messages',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json'
+      },
+      data: {
+        model: settings.model,
+        system,
+        messages: [{ role: 'user', content: user }],
+        max_tokens: settings.maxTokens,
+        temperature: settings.temperature
+      }
+    }),
+    parse: data => ({
+      text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      tokensUsed: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+    })
+  },
+
+  local: {
+    secret: 'local-llm-api-key',
+    optionalKey: true,
+    request: (settings, messages, apiKey) => {
+      const baseUrl = (settings.endpoint || process.env.LOCAL_LLM_URL || '').replace(/\/+$/, '');
+      if (!baseUrl) {
+        throw new Error('LOCAL_LLM_URL is not set');
+      }
+      return openAiRequest(`${baseUrl}/chat/completions`, settings, messages, apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {});
+    },
+    parse: parseOpenAiResponse
+  },
+
+  // Answers in-process, so it has no secret and no request
+  mock: {
+    complete: completeMock
+  }
+};
+
+let configCache = null;
+
+/**
+ * Create an LLM client. getSecret(name) resolves a Secret Manager secret, or null when it does not exist.
+ */
+function createLlmClient({ getSecret }) {
+  return {
+    getModelConfig,
+
+    /**
+     * Ask for a JSON answer with the settings of an analysis type.
+     * Resolves with { analysis, tokensUsed, provider, model, validationWarnings }.
+     */
+    async completeJson(analysisType, { system, user }) {
+      const settings = getModelConfig(analysisType);
+      const warnings = [];
+
+      let answer = await ask(settings, analysisType, { system, user });
+      let checked = checkAnswer(analysisType, answer);
+      let tokensUsed = answer.tokensUsed;
+
+      if (checked.errors.length > 0) {
+        const problems = describeErrors(checked.errors);
+        console.warn(`Invalid ${analysisType} answer from ${settings.provider}, asking for a repair: ${problems}`);
+        warnings.push(`The first answer was invalid (${problems}); asked the model to repair it`);
+
+        answer = await ask(settings, analysisType, { system, user: repairPrompt(user, answer.text, checked.errors) });
+        checked = checkAnswer(analysisType, answer);
+        tokensUsed += answer.tokensUsed;
+      }
+
+      if (checked.analysis === undefined) {
+        throw new Error('The model did not return JSON, even after a repair request');
+      }
+
+      return {
+        analysis: checked.analysis,
+        tokensUsed,
+        provider: settings.provider,
+        model: settings.model,
+        validationWarnings: [
+          ...warnings,
+          ...checked.warnings,
+          ...checked.errors.map(error => `${error.field} ${error.message}; used the default`)
+        ]
+      };
+    }
+  };
+
+  /**
+   * One request to the configured provider. analysis is undefined when the answer is not JSON.
+   */
+  async function ask(settings, analysisType, messages) {
+    const provider = PROVIDERS[settings.provider];
+
+    if (provider.complete) {
+      const { analysis, tokensUsed } = await provider.complete(analysisType, settings, messages);
+      return { analysis, text: JSON.stringify(analysis), tokensUsed };
+    }
+
+    const apiKey = await getSecret(provider.secret);
+    if (!apiKey && !provider.optionalKey) {
+      throw new Error(`${settings.provider} API key not configured (secret ${provider.secret})`);
+    }
+
+    const request = provider.request(settings, messages, apiKey);
+    const response = await sendRequest({
+      method: 'post',
+      timeout: REQUEST_TIMEOUT,
+      ...request,
+      headers: { 'Content-Type': 'application/json', ...request.headers }
+    }, { label: `LLM ${settings.provider}` });
+
+    const { text, tokensUsed } = provider.parse(response.data);
+    const analysis = parseJson(text);
+
+    if (analysis !== undefined && process.env.LLM_RECORD_FIXTURES_DIR) {
+      recordFixture(process.env.LLM_RECORD_FIXTURES_DIR, messages, {
+        analysisType,
+        analysis,
+        tokensUsed,
+        provider: settings.provider,
+        model: settings.model
+      });
+    }
+
+    return { analysis, text, tokensUsed };
+  }
+}
+
+/**
+ * Settings for an analysis type: the default merged with the type's overrides,
+ * with the model of the provider that applies
+ */
+function getModelConfig(analysisType) {
+  const config = loadConfig();
+  const { models: defaultModels, ...defaults } = config.default;
+  const { models, ...override } = config.analysisTypes?.[analysisType] || {};
+
+  if (override.model && !override.provider) {
+    throw new Error(`The ${analysisType} settings name model "${override.model}" without a provider. Add "provider", or name the model per provider in "models".`);
+  }
+
+  const provider = override.provider || process.env.LLM_PROVIDER || defaults.provider;
+  const settings = {
+    ...defaults,
+    ...override,
+    provider,
+    model: override.model || models?.[provider] || (override.provider ? undefined : getDefaultModel(config.default, provider))
+  };
+
+  if (!PROVIDERS[settings.provider]) {
+    throw new Error(`Unknown LLM provider "${settings.provider}" for ${analysisType}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!settings.model) {
+    throw new Error(`No ${settings.provider} model configured for ${analysisType}. Add it to "models" in the LLM config, or set LLM_MODEL.`);
+  }
+
+  return settings;
+}
+
+// Helper Functions
+
+function openAiRequest(url, settings, { system, user }, headers) {
+  return {
+    url,
+    headers,
+    data: {
+      model: settings.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ],
+      max_tokens: settings.maxTokens,
+      temperature: settings.temperature,
+      response_format: { type: 'json_object' }
+    }
+  };
+}
+
+/**
+ * The default model for a provider. The single default "model" belongs to the
+ * configured default provider only.
+ */
+function getDefaultModel(defaults, provider) {
+  return process.env.LLM_MODEL ||
+    defaults.models?.[provider] ||
+    (provider === defaults.provider ? defaults.model : undefined);
+}
+
+function parseOpenAiResponse(data) {
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    tokensUsed: data.usage?.total_tokens || 0
+  };
+}
+
+/**
+ * Parse a JSON answer, tolerating Markdown code fences or text around the object.
+ * Undefined when there is no JSON object in the text.
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    try {
+      return start === -1 || end <= start ? undefined : JSON.parse(text.slice(start, end + 1));
+    } catch (innerError) {
+      return undefined;
+    }
+  }
+}
+
+function checkAnswer(analysisType, answer) {
+  if (answer.analysis === undefined) {
+    return { analysis: undefined, warnings: [], errors: [{ field: '(answer)', message: 'is not valid JSON' }] };
+  }
+  return conformAnalysis(analysisType, answer.analysis);
+}
+
+/**
+ * The original prompt, the rejected answer and what was wrong with it
+ */
+function repairPrompt(user, previousText, errors) {
+  return `${user}
+
+Your previous answer was:
+${previousText}
+
+It does not match the required format:
+${errors.map(error => `- ${error.field} ${error.message}`).join('\n')}
+
+Return the corrected JSON only.`;
+}
+
+function describeErrors(errors) {
+  return errors.map(error => `${error.field} ${error.message}`).join('; ');
+}
+
+/**
+ * Save an answer under its prompt hash. Recording is best effort and never fails the analysis.
+ */
+function recordFixture(dir, messages, fixture) {
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${promptHash(messages)}.json`), JSON.stringify(fixture, null, 2) + '\n');
+  } catch (error) {
+    console.error('Failed to record LLM fixture:', error.message);
+  }
+}
+
+function loadConfig() {
+  if (configCache) {
+    return configCache;
+  }
+
+  const configPath = process.env.LLM_CONFIG_PATH || (isOfflineMode() ? OFFLINE_CONFIG_PATH : DEFAULT_CONFIG_PATH);
+  configCache = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return configCache;
+}
+
+module.exports = {
+  PROVIDERS,
+  createLlmClient,
+  getModelConfig
+};
@@ -0,0 +1,146 @@
+// functions/ai-analysis/llm.test.js - Tests for model settings and the repair round (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('node:http');
+
+// A config for the local (OpenAI-compatible) provider, which a local server can answer
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-test-'));
+const configPath = path.join(configDir, 'llm.config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+  default: { provider: 'local', models: { local: 'local-model', anthropic: 'claude-large' }, temperature: 0, maxTokens: 200 },
+  analysisTypes: {
+    sentiment: { models: { anthropic: 'claude-small' }, maxTokens: 100 },
+    summary: { provider: 'local', model: 'summary-model' },
+    methodology: { model: 'orphan-model' }
+  }
+}));
+process.env.LLM_CONFIG_PATH = configPath;
+['LLM_PROVIDER', 'LLM_MODEL', 'LLM_RECORD_FIXTURES_DIR', 'SERVICE_PROFILE', 'OFFLINE_MODE'].forEach(name => delete process.env[name]);
+
+const { createLlmClient, getModelConfig } = require('./llm');
+
+test.after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+const llm = createLlmClient({ getSecret: async () => null });
+const PROMPT = { system: 'Answer in JSON.', user: 'Speaker1: We love the demo.' };
+
+/**
+ * A local chat completions endpoint answering with the given message contents in turn
+ */
+async function startModel(...contents) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const content = contents[Math.min(requests.length, contents.length) - 1];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content } }], usage: { total_tokens: 10 } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.LOCAL_LLM_URL = `http://127.0.0.1:${server.address().port}/v1`;
+
+  return { requests, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+const SENTIMENT = JSON.stringify({
+  overallSentiment: 'positive',
+  confidence: 0.9,
+  customerSentiment: 'positive',
+  salespersonSentiment: 'positive',
+  keyEmotionalMoments: [],
+  concerns: [],
+  enthusiasm: ['We love the demo'],
+  evidence: []
+});
+
+test('types without their own provider use the model named for the default provider', () => {
+  assert.deepEqual(
+    [getModelConfig('full').provider, getModelConfig('full').model, getModelConfig('full').maxTokens],
+    ['local', 'local-model', 200]
+  );
+  assert.equal(getModelConfig('sentiment').model, 'local-model');
+  assert.equal(getModelConfig('sentiment').maxTokens, 100);
+  assert.equal(getModelConfig('summary').model, 'summary-model');
+  assert.equal('models' in getModelConfig('full'), false);
+});
+
+test('LLM_PROVIDER switches the default provider, and each type picks its model for it', () => {
+  process.env.LLM_PROVIDER = 'anthropic';
+  try {
+    assert.equal(getModelConfig('full').model, 'claude-large');
+    assert.equal(getModelConfig('sentiment').model, 'claude-small');
+    assert.deepEqual([getModelConfig('summary').provider, getModelConfig('summary').model], ['local', 'summary-model']);
+
+    process.env.LLM_PROVIDER = 'azure-openai';
+    assert.throws(() => getModelConfig('full'), /No azure-openai model configured for full/);
+    process.env.LLM_MODEL = 'my-deployment';
+    assert.equal(getModelConfig('sentiment').model, 'my-deployment');
+  } finally {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+  }
+});
+
+test('a type that names a model without its provider is rejected', () => {
+  assert.throws(() => getModelConfig('methodology'), /methodology settings name model "orphan-model" without a provider/);
+});
+
+test('a valid answer is returned after a single request', async () => {
+  const model = await startModel(SENTIMENT);
+  try {
+    const result = await llm.completeJson('sentiment', PROMPT);
+
+    assert.equal(model.requests.length, 1);
+    assert.equal(model.requests[0].model, 'local-model');
+    assert.equal(result.analysis.overallSentiment, 'positive');
+    assert.deepEqual(result.validationWarnings, []);
+    assert.deepEqual([result.provider, result.model, result.tokensUsed], ['local', 'local-model', 10]);
+  } finally {
+    await model.close();
+  }
+});
+
+test('an answer that is not JSON gets one repair request', async () => {
+  const model = await startModel('Sure! The call went well.', `\`\`\`json\n${SENTIMENT}\n\`\`\``);
+  try {
+    const result = await llm.completeJson('sentiment', PROMPT);
+
+    assert.equal(model.requests.length, 2);
+    assert.match(model.requests[1].messages[1].content, /Your previous answer was:\nSure! The call went well\./);
+    assert.equal(result.analysis.overallSentiment, 'positive');
+    assert.equal(result.tokensUsed, 20);
+    assert.match(result.validationWarnings[0], /^The first answer was invalid \(\(answer\) is not valid JSON\)/);
+  } finally {
+    await model.close();
+  }
+});
+
+test('fields still invalid after the repair fall back to their defaults', async () => {
+  const invalid = JSON.stringify({ ...JSON.parse(SENTIMENT), overallSentiment: 'ecstatic' });
+  const model = await startModel(invalid, invalid);
+  try {
+    const result = await llm.completeJson('sentiment', PROMPT);
+
+    assert.equal(model.requests.length, 2);
+    assert.equal(result.analysis.overallSentiment, 'neutral');
+    assert.ok(result.validationWarnings.some(warning => /^overallSentiment must be one of .*; used the default$/.test(warning)));
+  } finally {
+    await model.close();
+  }
+});
+
+test('an answer that is still not JSON after the repair fails the analysis', async () => {
+  const model = await startModel('no idea');
+  try {
+    await assert.rejects(llm.completeJson('sentiment', PROMPT), /did not return JSON, even after a repair request/);
+    assert.equal(model.requests.length, 2);
+  } finally {
+    await model.close();
+  }
+});
@@ -0,0 +1,324 @@
+// functions/ai-analysis/methodologies.js - Sales methodology scorecards (MEDDICC, BANT, SPICED, custom)
+//
+// A methodology is a list of criteria the model scores 0-10 from what the call
+// established. MEDDICC, BANT and SPICED are built in. Others are documents in
+// sales_methodologies, named by their ID (a document with a built-in ID
+// replaces that methodology):
+//   {
+//     name, description?, enabled?: true,
+//     criteria: [{ id, name, description, weight?: 1, questions?: ['What to ask when it is missing'] }]
+//   }
+// The overall score is the weighted mean of the criterion scores, 0-100.
+// Definitions are re-read from Firestore every METHODOLOGY_CACHE_MINUTES (default 5).
+
+const crypto = require('crypto');
+const { ValidationError, validate } = require('../shared/validation');
+
+const COLLECTION = 'sales_methodologies';
+const DEFAULT_METHODOLOGY = process.env.DEFAULT_SALES_METHODOLOGY || 'meddicc';
+const CACHE_DURATION = (Number(process.env.METHODOLOGY_CACHE_MINUTES) || 5) * 60 * 1000;
+const MAX_SCORE = 10;
+
+// Criterion status by score
+const CONFIRMED_SCORE = 7;
+const PARTIAL_SCORE = 4;
+
+const BUILT_IN_METHODOLOGIES = {
+  meddicc: {
+    name: 'MEDDICC',
+    description: 'Qualification of complex enterprise deals',
+    criteria: [
+      {
+        id: 'metrics',
+        name: 'Metrics',
+        description: 'Quantified business outcomes the customer expects, such as hours saved or revenue gained',
+        questions: ['What would success look like in numbers?', 'How do you measure this today?']
+      },
+      {
+        id: 'economic_buyer',
+        name: 'Economic Buyer',
+        description: 'The person with the final say on the budget, named and ideally engaged',
+        questions: ['Who signs off on this purchase?', 'Can we meet them before the proposal?']
+      },
+      {
+        id: 'decision_criteria',
+        name: 'Decision Criteria',
+        description: 'The technical, financial and business criteria the customer will judge solutions by',
+        questions: ['How will you compare the options?', 'What would rule a vendor out?']
+      },
+      {
+        id: 'decision_process',
+        name: 'Decision Process',
+        description: 'The steps, people and dates between now and a signed decision',
+        questions: ['What happens between now and a decision?', 'Who else needs to approve it, and when?']
+      },
+      {
+        id: 'identify_pain',
+        name: 'Identify Pain',
+        description: 'The business problem driving the purchase and the cost of leaving it unsolved',
+        questions: ['What happens if nothing changes?', 'Who feels this problem the most?']
+      },
+      {
+        id: 'champion',
+        name: 'Champion',
+        description: 'Someone inside the customer with influence who sells for us when we are not in the room',
+        questions: ['Who would push for this internally?', 'What do they gain personally if it goes ahead?']
+      },
+      {
+        id: 'competition',
+        name: 'Competition',
+        description: 'Other vendors, internal builds or doing nothing that the customer is considering',
+        questions: ['What other options are you looking at?', 'What would make you stay with the current approach?']
+      }
+    ]
+  },
+
+  bant: {
+    name: 'BANT',
+    description: 'Quick qualification of budget, authority, need and timing',
+    criteria: [
+      {
+        id: 'budget',
+        name: 'Budget',
+        description: 'Money set aside for the purchase, or a clear path to it',
+        questions: ['Is there budget for this, and how much?', 'Which budget would this come from?']
+      },
+      {
+        id: 'authority',
+        name: 'Authority',
+        description: 'Who makes the decision and whether they are involved',
+        questions: ['Who makes the final decision?', 'Who else has a say?']
+      },
+      {
+        id: 'need',
+        name: 'Need',
+        description: 'A problem our product solves that the customer wants solved',
+        questions: ['What problem are you trying to solve?', 'Why is it a priority now?']
+      },
+      {
+        id: 'timeline',
+        name: 'Timeline',
+        description: 'When the customer intends to decide and go live',
+        questions: ['When do you need this in place?', 'What is driving that date?']
+      }
+    ]
+  },
+
+  spiced: {
+    name: 'SPICED',
+    description: 'Customer-centric discovery of situation, pain, impact, critical event and decision',
+    criteria: [
+      {
+        id: 'situation',
+        name: 'Situation',
+        description: 'Facts about the customer today: team, tools, processes',
+        questions: ['How does your team handle this today?', 'Which tools are involved?']
+      },
+      {
+        id: 'pain',
+        name: 'Pain',
+        description: 'The problems the customer has with the current situation',
+        questions: ['What is not working today?', 'How often does it happen?']
+      },
+      {
+        id: 'impact',
+        name: 'Impact',
+        description: 'The measurable effect of solving the pain, for the business and for the people involved',
+        questions: ['What would solving this be worth?', 'How would it change your team\'s week?']
+      },
+      {
+        id: 'critical_event',
+        name: 'Critical Event',
+        description: 'A date that forces a decision, with a consequence if it is missed',
+        questions: ['Is there a date this has to be solved by?', 'What happens if it slips?']
+      },
+      {
+        id: 'decision',
+        name: 'Decision',
+        description: 'How the customer decides: criteria, people and process',
+        questions: ['How will the decision be made?', 'Who is involved, and in what order?']
+      }
+    ]
+  }
+};
+
+const METHODOLOGY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    enabled: { type: 'boolean' },
+    criteria: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          weight: { type: 'number', minimum: 0 },
+          questions: { type: 'array', items: { type: 'string' } }
+        },
+        required: ['id', 'name', 'description']
+      }
+    }
+  },
+  required: ['name', 'criteria']
+};
+
+const methodologyCache = new Map();
+
+/**
+ * The methodology to score against, from Firestore or the built-ins.
+ * Throws a ValidationError naming the available methodologies when the ID is unknown.
+ * @returns {Promise<{ id, name, description, source: 'built-in'|'firestore', version, criteria }>}
+ */
+async function loadMethodology(firestore, methodologyId = DEFAULT_METHODOLOGY) {
+  const id = String(methodologyId).trim().toLowerCase();
+  const cached = methodologyCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < CACHE_DURATION) {
+    return cached.methodology;
+  }
+
+  const doc = await firestore.collection(COLLECTION).doc(id).get();
+  const stored = doc.exists ? doc.data() : null;
+  let methodology;
+
+  if (stored && stored.enabled !== false) {
+    const problems = validate(stored, METHODOLOGY_SCHEMA);
+    (stored.criteria || []).forEach((criterion, index, criteria) => {
+      if (criteria.findIndex(other => other.id === criterion.id) < index) {
+        problems.push({ field: `criteria[${index}].id`, message: `repeats ${criterion.id}` });
+      }
+    });
+    if (problems.length > 0) {
+      throw new Error(`Methodology ${id} in ${COLLECTION} is invalid: ${problems.map(problem => `${problem.field} ${problem.message}`).join('; ')}`);
+    }
+    methodology = normalizeMethodology(id, stored, 'firestore');
+  } else if (BUILT_IN_METHODOLOGIES[id] && !stored) {
+    methodology = normalizeMethodology(id, BUILT_IN_METHODOLOGIES[id], 'built-in');
+  } else {
+    const available = await listMethodologyIds(firestore);
+    throw new ValidationError([
+      { field: 'methodology', message: `must be one of: ${available.join(', ')}` }
+    ], `Unknown methodology: ${methodologyId}`);
+  }
+
+  methodologyCache.set(id, { methodology, loadedAt: Date.now() });
+  return methodology;
+}
+
+/**
+ * Turn the model's answer into the scorecard: one entry per criterion of the
+ * methodology, in its order, with status and overall score computed here rather
+ * than by the model. Returns { analysis, warnings }.
+ */
+function buildScorecard(methodology, answer) {
+  const warnings = [];
+  const answered = new Map();
+
+  (answer.criteria || []).forEach(entry => {
+    const criterion = findCriterion(methodology, entry.id);
+    if (!criterion) {
+      warnings.push(`criteria had unknown criterion "${entry.id}"; ignored it`);
+    } else if (!answered.has(criterion.id)) {
+      answered.set(criterion.id, entry);
+    }
+  });
+
+  const criteria = methodology.criteria.map(criterion => {
+    const entry = answered.get(criterion.id);
+    if (!entry) {
+      warnings.push(`criteria had no score for ${criterion.id}; scored it 0`);
+    }
+
+    const score = entry ? entry.score : 0;
+    const status = score >= CONFIRMED_SCORE ? 'confirmed' : score >= PARTIAL_SCORE ? 'partial' : 'missing';
+    const missingInformation = entry?.missingInformation?.length > 0 || status === 'confirmed'
+      ? entry?.missingInformation || []
+      : criterion.questions;
+
+    return {
+      id: criterion.id,
+      name: criterion.name,
+      weight: criterion.weight,
+      score,
+      status,
+      summary: entry?.summary || 'Not discussed in the call',
+      quotes: entry?.quotes || [],
+      missingInformation
+    };
+  });
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + criterion.weight, 0);
+  const weightedScore = criteria.reduce((sum, criterion) => sum + criterion.score * criterion.weight, 0);
+
+  return {
+    analysis: {
+      methodology: { id: methodology.id, name: methodology.name, source: methodology.source, version: methodology.version },
+      score: totalWeight > 0 ? Math.round((weightedScore / totalWeight / MAX_SCORE) * 100) : 0,
+      criteria,
+      gaps: criteria.filter(criterion => criterion.status === 'missing').map(criterion => criterion.name),
+      overallAssessment: answer.overallAssessment
+    },
+    warnings
+  };
+}
+
+// Helper Functions
+
+/**
+ * IDs to offer when a methodology is unknown: the built-ins and every enabled Firestore definition
+ */
+async function listMethodologyIds(firestore) {
+  const ids = new Set(Object.keys(BUILT_IN_METHODOLOGIES));
+
+  try {
+    const snapshot = await firestore.collection(COLLECTION).get();
+    snapshot.docs.forEach(doc => {
+      if (doc.data().enabled === false) ids.delete(doc.id);
+      else ids.add(doc.id);
+    });
+  } catch (error) {
+    console.error(`Failed to list ${COLLECTION}:`, error.message);
+  }
+
+  return [...ids].sort();
+}
+
+/**
+ * Defaults applied, plus a version that changes with the definition, so cached
+ * scorecards of an edited methodology are not reused
+ */
+function normalizeMethodology(id, definition, source) {
+  const criteria = definition.criteria.map(criterion => ({
+    id: criterion.id,
+    name: criterion.name,
+    description: criterion.description,
+    weight: criterion.weight ?? 1,
+    questions: criterion.questions || []
+  }));
+  const version = crypto.createHash('sha256')
+    .update(JSON.stringify({ name: definition.name, criteria }))
+    .digest('hex')
+    .slice(0, 8);
+
+  return { id, name: definition.name, description: definition.description || '', source, version, criteria };
+}
+
+/**
+ * Models sometimes answer with the criterion name ("Economic Buyer") instead of its ID
+ */
+function findCriterion(methodology, answeredId) {
+  const key = String(answeredId).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  return methodology.criteria.find(criterion =>
+    criterion.id === key || criterion.name.toLowerCase().replace(/[^a-z0-9]+/g, '_') === key);
+}
+
+module.exports = {
+  BUILT_IN_METHODOLOGIES,
+  DEFAULT_METHODOLOGY,
+  loadMethodology,
+  buildScorecard
+};
@@ -0,0 +1,137 @@
+// functions/ai-analysis/methodologies.test.js - Tests for methodology loading and scorecards (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DEFAULT_SALES_METHODOLOGY;
+
+const { createMemoryFirestore } = require('../shared/offline');
+const { BUILT_IN_METHODOLOGIES, DEFAULT_METHODOLOGY, loadMethodology, buildScorecard } = require('./methodologies');
+
+/**
+ * An in-memory Firestore holding the given sales_methodologies documents.
+ * Loaded methodologies are cached by ID for the whole test run, so each test uses its own IDs.
+ */
+async function createFirestore(documents = {}) {
+  const firestore = createMemoryFirestore();
+  await Promise.all(Object.entries(documents).map(([id, data]) =>
+    firestore.collection('sales_methodologies').doc(id).set(data)));
+  return firestore;
+}
+
+const CUSTOM = {
+  name: 'Discovery',
+  criteria: [
+    { id: 'goals', name: 'Goals', description: 'What the customer wants to achieve', weight: 3 },
+    { id: 'blockers', name: 'Blockers', description: 'What stands in the way', questions: ['What has stopped you so far?'] }
+  ]
+};
+
+test('MEDDICC is the default, and the built-ins are MEDDICC, BANT and SPICED', () => {
+  assert.equal(DEFAULT_METHODOLOGY, 'meddicc');
+  assert.deepEqual(Object.keys(BUILT_IN_METHODOLOGIES), ['meddicc', 'bant', 'spiced']);
+  assert.deepEqual(
+    Object.values(BUILT_IN_METHODOLOGIES).map(methodology => methodology.criteria.length),
+    [7, 4, 5]
+  );
+});
+
+test('built-in methodologies load by ID with defaults applied, and are cached', async () => {
+  const firestore = await createFirestore();
+  const bant = await loadMethodology(firestore, ' BANT ');
+
+  assert.equal(bant.id, 'bant');
+  assert.equal(bant.source, 'built-in');
+  assert.match(bant.version, /^[0-9a-f]{8}$/);
+  assert.deepEqual(bant.criteria.map(criterion => criterion.id), ['budget', 'authority', 'need', 'timeline']);
+  bant.criteria.forEach(criterion => assert.equal(criterion.weight, 1));
+
+  // A definition stored later is only read once the cached one expires
+  await firestore.collection('sales_methodologies').doc('bant').set(CUSTOM);
+  assert.equal(await loadMethodology(firestore, 'bant'), bant);
+});
+
+test('custom methodologies load from Firestore and may replace a built-in', async () => {
+  const firestore = await createFirestore({ discovery: CUSTOM, spiced: { ...CUSTOM, name: 'Our SPICED' } });
+
+  const discovery = await loadMethodology(firestore, 'discovery');
+  assert.equal(discovery.source, 'firestore');
+  assert.equal(discovery.description, '');
+  assert.deepEqual(discovery.criteria.map(criterion => [criterion.id, criterion.weight, criterion.questions.length]), [
+    ['goals', 3, 0],
+    ['blockers', 1, 1]
+  ]);
+
+  const spiced = await loadMethodology(firestore, 'spiced');
+  assert.deepEqual([spiced.name, spiced.source], ['Our SPICED', 'firestore']);
+});
+
+test('unknown and disabled methodologies are rejected with the available IDs', async () => {
+  const firestore = await createFirestore({ qualify: CUSTOM, meddpicc: { ...CUSTOM, enabled: false } });
+
+  await assert.rejects(loadMethodology(firestore, 'meddpicc'), error => {
+    assert.equal(error.name, 'ValidationError');
+    assert.equal(error.message, 'Unknown methodology: meddpicc');
+    assert.deepEqual(error.errors, [{ field: 'methodology', message: 'must be one of: bant, meddicc, qualify, spiced' }]);
+    return true;
+  });
+  await assert.rejects(loadMethodology(firestore, 'champion'), /Unknown methodology: champion/);
+});
+
+test('invalid Firestore definitions fail with what is wrong', async () => {
+  const firestore = await createFirestore({
+    broken: { name: 'Broken', criteria: [] },
+    repeated: { name: 'Repeated', criteria: [CUSTOM.criteria[0], CUSTOM.criteria[0]] }
+  });
+
+  await assert.rejects(loadMethodology(firestore, 'broken'), /Methodology broken in sales_methodologies is invalid: criteria/);
+  await assert.rejects(loadMethodology(firestore, 'repeated'), /criteria\[1\]\.id repeats goals/);
+});
+
+test('buildScorecard scores every criterion in order and computes the overall score', async () => {
+  const bant = await loadMethodology(await createFirestore(), 'bant');
+  const { analysis, warnings } = buildScorecard(bant, {
+    criteria: [
+      { id: 'Budget', score: 8, summary: 'Budget approved', quotes: ['We have budget'], missingInformation: [] },
+      { id: 'pricing', score: 9 },
+      { id: 'authority', score: 5, summary: 'VP involved' },
+      { id: 'need', score: 2, missingInformation: ['Which team has the problem?'] },
+      { id: 'budget', score: 1 }
+    ],
+    overallAssessment: 'Early but promising'
+  });
+
+  assert.deepEqual(analysis.methodology, { id: 'bant', name: 'BANT', source: 'built-in', version: bant.version });
+  assert.deepEqual(
+    analysis.criteria.map(criterion => [criterion.id, criterion.score, criterion.status]),
+    [['budget', 8, 'confirmed'], ['authority', 5, 'partial'], ['need', 2, 'missing'], ['timeline', 0, 'missing']]
+  );
+  assert.equal(analysis.score, 38);
+  assert.deepEqual(analysis.gaps, ['Need', 'Timeline']);
+  assert.equal(analysis.overallAssessment, 'Early but promising');
+
+  const [budget, authority, need, timeline] = analysis.criteria;
+  assert.deepEqual(budget.missingInformation, []);
+  assert.deepEqual(authority.missingInformation, bant.criteria[1].questions);
+  assert.deepEqual(need.missingInformation, ['Which team has the problem?']);
+  assert.equal(timeline.summary, 'Not discussed in the call');
+  assert.deepEqual(timeline.quotes, []);
+
+  assert.deepEqual(warnings, [
+    'criteria had unknown criterion "pricing"; ignored it',
+    'criteria had no score for timeline; scored it 0'
+  ]);
+});
+
+test('buildScorecard weights criteria and matches them by name', async () => {
+  const firestore = await createFirestore({ weighted: CUSTOM });
+  const weighted = await loadMethodology(firestore, 'weighted');
+
+  const { analysis, warnings } = buildScorecard(weighted, {
+    criteria: [{ id: 'Goals', score: 10 }, { id: 'blockers', score: 0 }]
+  });
+  assert.equal(analysis.score, 75);
+  assert.deepEqual(warnings, []);
+
+  const unweighted = { ...weighted, criteria: weighted.criteria.map(criterion => ({ ...criterion, weight: 0 })) };
+  assert.equal(buildScorecard(unweighted, { criteria: [{ id: 'goals', score: 10 }] }).analysis.score, 0);
+});
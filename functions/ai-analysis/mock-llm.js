@@ -0,0 +1,261 @@
+// functions/ai-analysis/mock-llm.js - Offline LLM provider for development and tests
+//
+// Answers without network access or API keys. A fixture recorded for the exact
+// prompt (see LLM_RECORD_FIXTURES_DIR in llm.js) is replayed from
+// LLM_FIXTURES_DIR (or "fixturesDir" in llm.config.json). Any other prompt is
+// answered with keyword heuristics over the transcript lines it contains, so
+// the same transcript always produces the same analysis.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STAGE_KEYWORDS = [
+  ['Closing', /\b(contract|sign(ed|ing)?|signature|purchase order|PO)\b/i],
+  ['Negotiation', /\b(discount|negotiat\w*|terms|legal review|redlines?)\b/i],
+  ['Proposal', /\b(proposal|quote|pricing|price|cost)\b/i],
+  ['Demo', /\b(demo|show you|walk (you )?through|share my screen)\b/i]
+];
+const POSITIVE = /\b(great|love|excited|perfect|interested|impressive|helpful|makes sense|sounds good|exactly what|excellent|like (this|that|it))\b/i;
+const NEGATIVE = /\b(expensive|concern(ed|s)?|worried|problem|issue|not sure|difficult|too (much|high|long)|disappoint\w*|frustrat\w*|budget)\b/i;
+const NEXT_STEP = /\b(next steps?|follow[ -]up|send (you|over)|schedule|set up|get back to|loop in|circle back)\b/i;
+const URGENT = /\b(today|tomorrow|asap|urgent(ly)?|this week|end of (the )?day)\b/i;
+const TIMELINE = /\b(next (week|month|quarter)|this (month|quarter|year)|Q[1-4]|by (the )?end of [\w ]+|within \d+ (days|weeks|months))\b/i;
+const VALUE = /\b(save|saving|revenue|ROI|efficien\w*|hours|faster|reduce|growth)\b/i;
+const COMPETITOR = /\b(?:using|switch(?:ing)? from|compared to|versus|vs\.?|evaluating)\s+([A-Z][\w.-]+)/g;
+const DECISION_MAKER = /\b(CEO|CFO|CTO|COO|VP( of \w+)?|director|head of \w+|procurement|legal|the board)\b/gi;
+// Words too common in criterion descriptions to tell criteria apart
+const COMMON_WORDS = new Set(['about', 'their', 'there', 'where', 'which', 'other', 'people', 'customer', 'business', 'today', 'should', 'ideally']);
+
+/**
+ * Answer one prompt: a recorded fixture if there is one, heuristics otherwise.
+ * Resolves with { analysis, tokensUsed }; tokensUsed is an estimate.
+ */
+async function completeMock(analysisType, settings, { system, user }) {
+  const fixture = readFixture(settings.fixturesDir || process.env.LLM_FIXTURES_DIR, promptHash({ system, user }));
+  if (fixture) {
+    return { analysis: fixture.analysis, tokensUsed: fixture.tokensUsed || 0 };
+  }
+
+  const turns = parseTurns(user);
+  const analyze = HEURISTICS[analysisType] || HEURISTICS.full;
+
+  return {
+    analysis: analyze(turns, user),
+    tokensUsed: Math.ceil(((system || '').length + user.length) / 4)
+  };
+}
+
+/**
+ * Stable identifier of a prompt, used to name its fixture file
+ */
+function promptHash({ system, user }) {
+  return crypto.createHash('sha256').update(`${system || ''}\n${user}`).digest('hex');
+}
+
+const HEURISTICS = {
+  full: turns => {
+    const facts = extractFacts(turns);
+
+    return {
+      sentiment: facts.sentiment,
+      confidence: facts.confidence,
+      reasoning: `${facts.buyingSignals.length} buying signals and ${facts.concerns.length} concerns in the conversation`,
+      landingPoint: {
+        currentStage: facts.stage,
+        nextSteps: facts.nextSteps[0]?.text || 'No next steps agreed',
+        hurdles: facts.concerns.join('; ') || 'None discussed',
+        timeline: facts.timeline
+      },
+      actionItems: facts.nextSteps.map(step => ({
+        task: step.text,
+        owner: step.speaker,
+        urgency: URGENT.test(step.text) ? 'High' : 'Medium',
+        context: `Agreed during the ${facts.stage.toLowerCase()} conversation`
+      })),
+      keyQuote: facts.keyQuote,
+      businessInsights: {
+        qualificationLevel: facts.qualificationLevel,
+        buyingSignals: facts.buyingSignals,
+        concerns: facts.concerns,
+        competitorMentions: facts.competitors,
+        decisionMakers: facts.decisionMakers
+      },
+      evidence: quoteEvidence([...facts.nextSteps.map(step => step.text), ...facts.concerns, ...facts.buyingSignals])
+    };
+  },
+
+  summary: (turns, prompt) => {
+    const facts = extractFacts(turns);
+    const keyPoints = [...facts.concerns, ...facts.buyingSignals, ...facts.nextSteps.map(step => step.text)];
+
+    return {
+      title: `${facts.stage} call`,
+      duration: readPromptField(prompt, 'duration'),
+      participants: readPromptField(prompt, 'participants'),
+      keyPoints: (keyPoints.length > 0 ? keyPoints : facts.customerTurns.map(turn => turn.text)).slice(0, 3),
+      sentiment: facts.sentiment,
+      nextSteps: facts.nextSteps[0]?.text || 'No next steps agreed',
+      urgentActions: facts.nextSteps.filter(step => URGENT.test(step.text)).length,
+      businessValue: turns.find(turn => VALUE.test(turn.text))?.text || 'Not discussed'
+    };
+  },
+
+  sentiment: turns => {
+    const facts = extractFacts(turns);
+    const sellerTurns = turns.filter(turn => !facts.customerTurns.includes(turn));
+
+    return {
+      overallSentiment: facts.sentiment,
+      confidence: facts.confidence,
+      customerSentiment: scoreSentiment(facts.customerTurns).sentiment,
+      salespersonSentiment: scoreSentiment(sellerTurns).sentiment,
+      keyEmotionalMoments: turns
+        .filter(turn => POSITIVE.test(turn.text) || NEGATIVE.test(turn.text))
+        .slice(0, 3)
+        .map(turn => `${turn.speaker}: ${turn.text}`),
+      concerns: facts.concerns,
+      enthusiasm: facts.buyingSignals,
+      evidence: quoteEvidence([...facts.concerns, ...facts.buyingSignals])
+    };
+  }
+};
+
+HEURISTICS.chunk_extract = turns => {
+  const facts = extractFacts(turns);
+
+  return {
+    actionItems: facts.nextSteps.map(step => ({
+      task: step.text,
+      owner: step.speaker,
+      urgency: URGENT.test(step.text) ? 'High' : 'Medium',
+      context: `Agreed during the ${facts.stage.toLowerCase()} conversation`
+    })),
+    hurdles: facts.concerns,
+    buyingSignals: facts.buyingSignals,
+    competitorMentions: facts.competitors,
+    decisionMakers: facts.decisionMakers,
+    stage: facts.stage,
+    sentiment: facts.sentiment,
+    keyQuotes: turns
+      .filter(turn => POSITIVE.test(turn.text) || NEGATIVE.test(turn.text))
+      .slice(0, 3)
+      .map(turn => `${turn.speaker}: ${turn.text}`),
+    evidence: quoteEvidence([...facts.nextSteps.map(step => step.text), ...facts.concerns, ...facts.buyingSignals])
+  };
+};
+
+HEURISTICS.batch_summary = HEURISTICS.summary;
+
+/**
+ * Each criterion listed in the prompt ("- id (Name): description") scores 3 points
+ * per transcript line that shares a word with its name or description
+ */
+HEURISTICS.methodology = (turns, prompt) => {
+  const criteria = [...prompt.matchAll(/^- (\w+) \(([^)]+)\): (.+)$/gm)].map(([, id, name, description]) => {
+    const words = unique(`${name} ${description}`.toLowerCase().match(/[a-z]{5,}/g) || []).filter(word => !COMMON_WORDS.has(word));
+    const supporting = turns.filter(turn => words.some(word => new RegExp(`\\b${word}`, 'i').test(turn.text)));
+
+    return {
+      id,
+      score: Math.min(10, supporting.length * 3),
+      summary: supporting.length > 0 ? `${supporting.length} mentions in the call` : 'Not discussed',
+      quotes: supporting.slice(0, 2).map(turn => turn.text),
+      missingInformation: []
+    };
+  });
+  const covered = criteria.filter(criterion => criterion.score > 0).length;
+
+  return {
+    criteria,
+    overallAssessment: `${covered} of ${criteria.length} criteria were discussed`
+  };
+};
+
+// Helper Functions
+
+/**
+ * Transcript lines as the prompts embed them ("Speaker1: text")
+ */
+function parseTurns(prompt) {
+  return prompt.split('\n')
+    .map(line => line.match(/^(?:.*?: )?(Speaker_?\w+): (.+)$/))
+    .filter(Boolean)
+    .map(([, speaker, text]) => ({ speaker, text: text.trim() }));
+}
+
+/**
+ * Everything the heuristics derive from a transcript. Speakers are numbered in
+ * order of appearance, so Speaker1 opened the call and is taken to be the
+ * salesperson, in every chunk of the transcript.
+ */
+function extractFacts(turns) {
+  const customerTurns = turns.filter(turn => turn.speaker !== 'Speaker1');
+  const { sentiment, confidence } = scoreSentiment(turns);
+
+  const buyingSignals = unique(customerTurns.filter(turn => POSITIVE.test(turn.text)).map(turn => turn.text)).slice(0, 3);
+  const concerns = unique(customerTurns.filter(turn => NEGATIVE.test(turn.text)).map(turn => turn.text)).slice(0, 3);
+  const nextSteps = turns.filter(turn => NEXT_STEP.test(turn.text)).slice(0, 3);
+
+  const text = turns.map(turn => turn.text).join('\n');
+  const stage = STAGE_KEYWORDS.find(([, pattern]) => pattern.test(text))?.[0] || 'Discovery';
+  const balance = buyingSignals.length - concerns.length;
+
+  return {
+    customerTurns,
+    sentiment,
+    confidence,
+    stage,
+    buyingSignals,
+    concerns,
+    nextSteps,
+    timeline: text.match(TIMELINE)?.[0] || 'Not discussed',
+    competitors: unique([...text.matchAll(COMPETITOR)].map(match => match[1])),
+    decisionMakers: unique([...text.matchAll(DECISION_MAKER)].map(match => match[0])),
+    keyQuote: buyingSignals[0] || concerns[0] || customerTurns[0]?.text || '',
+    qualificationLevel: balance >= 2 ? 'High' : balance >= 0 ? 'Medium' : 'Low'
+  };
+}
+
+/**
+ * Every heuristic insight is a transcript line, so each one is its own quote
+ */
+function quoteEvidence(items) {
+  return unique(items).map(item => ({ item, quote: item }));
+}
+
+function scoreSentiment(turns) {
+  const positive = turns.filter(turn => POSITIVE.test(turn.text)).length;
+  const negative = turns.filter(turn => NEGATIVE.test(turn.text)).length;
+  const score = positive - negative;
+
+  return {
+    sentiment: score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral',
+    confidence: Math.round((0.5 + Math.min(0.45, Math.abs(score) / (positive + negative + 1) / 2)) * 100) / 100
+  };
+}
+
+/**
+ * A value the prompt already filled in, e.g. "duration": "30 minutes"
+ */
+function readPromptField(prompt, field) {
+  return prompt.match(new RegExp(`"${field}": "([^"]*)"`))?.[1] || 'Unknown';
+}
+
+function readFixture(dir, hash) {
+  if (!dir) return null;
+
+  const file = path.join(dir, `${hash}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+module.exports = {
+  completeMock,
+  promptHash
+};
@@ -0,0 +1,328 @@
+// functions/ai-analysis/output-schemas.js - Expected shape of each analysis type's LLM answer
+//
+// Schemas use the JSON Schema subset of shared/validation.js plus "default"
+// and "aliases". conformAnalysis() brings an answer into shape:
+//   - enum values are matched case-insensitively and mapped to the canonical
+//     value (sentiment is lower case, as the router and daily summaries compare it)
+//   - numbers and strings are coerced where the meaning is clear ("0.8", "80%")
+//   - missing fields get their default
+// What cannot be fixed is reported as an error; llm.js asks the model once to
+// repair such an answer, and falls back to the defaults after that.
+
+const SENTIMENT = {
+  type: 'string',
+  enum: ['positive', 'neutral', 'negative'],
+  aliases: { mixed: 'neutral' },
+  default: 'neutral'
+};
+const STAGE = {
+  type: 'string',
+  enum: ['Discovery', 'Demo', 'Proposal', 'Negotiation', 'Closing', 'Unknown'],
+  aliases: { qualification: 'Discovery', evaluation: 'Demo', pricing: 'Proposal', closed: 'Closing' },
+  default: 'Unknown'
+};
+const LEVEL = { type: 'string', enum: ['High', 'Medium', 'Low'], aliases: { moderate: 'Medium' }, default: 'Medium' };
+const CONFIDENCE = { type: 'number', minimum: 0, maximum: 1, default: 0 };
+const STRINGS = { type: 'array', items: { type: 'string' }, default: [] };
+
+const ACTION_ITEMS = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    required: ['task'],
+    properties: {
+      task: { type: 'string', default: '' },
+      owner: { type: 'string', default: 'Unknown' },
+      urgency: LEVEL,
+      context: { type: 'string', default: '' }
+    }
+  }
+};
+
+// Quotes behind the insights; evidence.js verifies them against the transcript
+const EVIDENCE = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    required: ['item', 'quote'],
+    properties: {
+      item: { type: 'string', default: '' },
+      quote: { type: 'string', default: '' }
+    }
+  }
+};
+
+const SUMMARY = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', default: 'Untitled call' },
+    duration: { type: 'string', default: 'Unknown' },
+    participants: { type: 'string', default: 'Unknown' },
+    keyPoints: STRINGS,
+    sentiment: SENTIMENT,
+    nextSteps: { type: 'string', default: 'No next steps identified' },
+    urgentActions: { type: 'integer', minimum: 0, default: 0 },
+    businessValue: { type: 'string', default: 'Not discussed' }
+  }
+};
+
+const OUTPUT_SCHEMAS = {
+  full: {
+    type: 'object',
+    properties: {
+      sentiment: SENTIMENT,
+      confidence: CONFIDENCE,
+      reasoning: { type: 'string', default: 'No analysis available' },
+      landingPoint: {
+        type: 'object',
+        properties: {
+          currentStage: STAGE,
+          nextSteps: { type: 'string', default: 'No next steps identified' },
+          hurdles: { type: 'string', default: 'No hurdles identified' },
+          timeline: { type: 'string', default: 'No timeline discussed' }
+        }
+      },
+      actionItems: ACTION_ITEMS,
+      keyQuote: { type: ['string', 'null'], default: null },
+      businessInsights: {
+        type: 'object',
+        properties: {
+          qualificationLevel: { ...LEVEL, enum: [...LEVEL.enum, 'Unknown'], default: 'Unknown' },
+          buyingSignals: STRINGS,
+          concerns: STRINGS,
+          competitorMentions: STRINGS,
+          decisionMakers: STRINGS
+        }
+      },
+      evidence: EVIDENCE
+    }
+  },
+
+  summary: SUMMARY,
+  batch_summary: SUMMARY,
+
+  sentiment: {
+    type: 'object',
+    properties: {
+      overallSentiment: SENTIMENT,
+      confidence: CONFIDENCE,
+      customerSentiment: SENTIMENT,
+      salespersonSentiment: SENTIMENT,
+      keyEmotionalMoments: STRINGS,
+      concerns: STRINGS,
+      enthusiasm: STRINGS,
+      evidence: EVIDENCE
+    }
+  },
+
+  chunk_extract: {
+    type: 'object',
+    properties: {
+      actionItems: ACTION_ITEMS,
+      hurdles: STRINGS,
+      buyingSignals: STRINGS,
+      competitorMentions: STRINGS,
+      decisionMakers: STRINGS,
+      stage: STAGE,
+      sentiment: SENTIMENT,
+      keyQuotes: STRINGS,
+      evidence: EVIDENCE
+    }
+  },
+
+  // Criteria are matched to the methodology's definition in methodologies.js
+  methodology: {
+    type: 'object',
+    properties: {
+      criteria: {
+        type: 'array',
+        default: [],
+        items: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', default: '' },
+            score: { type: 'integer', minimum: 0, maximum: 10, default: 0 },
+            summary: { type: 'string', default: '' },
+            quotes: STRINGS,
+            missingInformation: STRINGS
+          }
+        }
+      },
+      overallAssessment: { type: 'string', default: 'No assessment available' }
+    }
+  }
+};
+
+/**
+ * Bring an answer into the shape of its analysis type. Unknown types are not checked.
+ * Returns { analysis, warnings, errors }: warnings describe what was changed,
+ * errors what could not be fixed (those fields hold their defaults in analysis).
+ */
+function conformAnalysis(analysisType, value) {
+  const schema = OUTPUT_SCHEMAS[analysisType];
+  const report = { warnings: [], errors: [] };
+
+  if (!schema) {
+    return { analysis: value, ...report };
+  }
+
+  return { analysis: conform(value, schema, '', report), ...report };
+}
+
+// Helper Functions
+
+function conform(value, schema, field, report) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (value === undefined || value === null || value === '') {
+    if (value === null && types.includes('null')) return null;
+    if (schema.type === 'object') return conform({}, schema, field, report);
+    if (field) report.warnings.push(`${field} was missing; used ${JSON.stringify(schema.default)}`);
+    return clone(schema.default);
+  }
+
+  switch (types[0]) {
+    case 'object':
+      return conformObject(value, schema, field, report);
+    case 'array':
+      return conformArray(value, schema, field, report);
+    case 'number':
+    case 'integer':
+      return conformNumber(value, schema, field, report);
+    default:
+      return conformString(value, schema, field, report);
+  }
+}
+
+function conformObject(value, schema, field, report) {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return fail(report, field, 'must be an object', conform({}, schema, field, { warnings: [], errors: [] }));
+  }
+
+  const result = { ...value };
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    result[name] = conform(value[name], propertySchema, field ? `${field}.${name}` : name, report);
+  });
+  return result;
+}
+
+function conformArray(value, schema, field, report) {
+  if (typeof value === 'string') {
+    report.warnings.push(`${field} was a string; wrapped it in a list`);
+    value = [value];
+  }
+  if (!Array.isArray(value)) {
+    return fail(report, field, 'must be a list', clone(schema.default));
+  }
+
+  const required = schema.items.required || [];
+  const items = [];
+
+  value.forEach((item, index) => {
+    const itemField = `${field}[${index}]`;
+    const missing = required.filter(name => !item || typeof item !== 'object' || !item[name]);
+    if (missing.length > 0) {
+      report.warnings.push(`${itemField} had no ${missing.join(', ')}; dropped it`);
+      return;
+    }
+
+    // List entries have no default, so an entry that cannot be fixed is dropped, not kept empty
+    const itemReport = { warnings: [], errors: [] };
+    const conformed = conform(item, schema.items, itemField, itemReport);
+    if (conformed === undefined) {
+      report.warnings.push(`${itemField} ${itemReport.errors[0]?.message || 'was empty'}; dropped it`);
+      return;
+    }
+
+    report.warnings.push(...itemReport.warnings);
+    report.errors.push(...itemReport.errors);
+    items.push(conformed);
+  });
+
+  return items;
+}
+
+function conformNumber(value, schema, field, report) {
+  let number = value;
+
+  if (typeof number === 'string') {
+    const match = number.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%?)$/);
+    if (!match) {
+      return fail(report, field, `must be a number, got ${JSON.stringify(value)}`, schema.default);
+    }
+    number = Number(match[1]) / (match[2] ? 100 : 1);
+  }
+  if (typeof number !== 'number' || isNaN(number)) {
+    return fail(report, field, 'must be a number', schema.default);
+  }
+
+  // A confidence of 85 means 85%
+  if (schema.maximum === 1 && number > 1 && number <= 100) {
+    report.warnings.push(`${field} was ${number}; read it as ${number}%`);
+    number = number / 100;
+  }
+  if (schema.minimum !== undefined && number < schema.minimum) {
+    report.warnings.push(`${field} was ${number}; raised it to ${schema.minimum}`);
+    number = schema.minimum;
+  }
+  if (schema.maximum !== undefined && number > schema.maximum) {
+    report.warnings.push(`${field} was ${number}; lowered it to ${schema.maximum}`);
+    number = schema.maximum;
+  }
+
+  return schema.type === 'integer' ? Math.round(number) : number;
+}
+
+function conformString(value, schema, field, report) {
+  let text = value;
+
+  if (typeof text === 'number' || typeof text === 'boolean') {
+    text = String(text);
+  } else if (Array.isArray(text) && text.every(item => typeof item === 'string')) {
+    report.warnings.push(`${field} was a list; joined it`);
+    text = text.join('; ');
+  } else if (typeof text !== 'string') {
+    return fail(report, field, 'must be text', schema.default);
+  }
+
+  return schema.enum ? conformEnum(text.trim(), schema, field, report) : text;
+}
+
+/**
+ * Case differences are fixed silently; aliases and values that merely contain an
+ * enum word ("Positive overall") are mapped with a warning
+ */
+function conformEnum(text, schema, field, report) {
+  const lower = text.toLowerCase();
+
+  const exact = schema.enum.find(option => option.toLowerCase() === lower);
+  if (exact) return exact;
+
+  const alias = schema.aliases?.[lower];
+  const contained = schema.enum.filter(option => new RegExp(`\\b${option}\\b`, 'i').test(text));
+  const mapped = alias || (contained.length === 1 ? contained[0] : null);
+
+  if (mapped) {
+    report.warnings.push(`${field} was ${JSON.stringify(text)}; read it as "${mapped}"`);
+    return mapped;
+  }
+
+  return fail(report, field, `must be one of ${schema.enum.join(', ')}, got ${JSON.stringify(text)}`, schema.default);
+}
+
+function fail(report, field, message, fallback) {
+  report.errors.push({ field: field || '(answer)', message });
+  return clone(fallback);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  OUTPUT_SCHEMAS,
+  conformAnalysis
+};
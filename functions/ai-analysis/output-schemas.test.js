@@ -0,0 +1,107 @@
+// functions/ai-analysis/output-schemas.test.js - Tests for bringing LLM answers into shape (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OUTPUT_SCHEMAS, conformAnalysis } = require('./output-schemas');
+
+test('a well-formed answer passes unchanged, without warnings', () => {
+  const answer = {
+    overallSentiment: 'positive',
+    confidence: 0.9,
+    customerSentiment: 'positive',
+    salespersonSentiment: 'neutral',
+    keyEmotionalMoments: ['Loved the demo'],
+    concerns: [],
+    enthusiasm: ['Wants a pilot'],
+    evidence: [{ item: 'Wants a pilot', quote: 'Can we start a pilot?' }]
+  };
+
+  assert.deepEqual(conformAnalysis('sentiment', answer), { analysis: answer, warnings: [], errors: [] });
+});
+
+test('missing fields get their defaults, and nested objects are filled in', () => {
+  const { analysis, warnings, errors } = conformAnalysis('full', {});
+
+  assert.equal(analysis.sentiment, 'neutral');
+  assert.equal(analysis.confidence, 0);
+  assert.equal(analysis.keyQuote, null);
+  assert.equal(analysis.landingPoint.currentStage, 'Unknown');
+  assert.deepEqual(analysis.businessInsights.buyingSignals, []);
+  assert.ok(warnings.includes('landingPoint.currentStage was missing; used "Unknown"'));
+  assert.deepEqual(errors, []);
+});
+
+test('enum values are matched by case, alias or a contained word', () => {
+  const { analysis, warnings, errors } = conformAnalysis('chunk_extract', { sentiment: 'POSITIVE', stage: 'pricing' });
+  assert.equal(analysis.sentiment, 'positive');
+  assert.equal(analysis.stage, 'Proposal');
+  assert.ok(warnings.includes('stage was "pricing"; read it as "Proposal"'));
+  assert.deepEqual(errors, []);
+
+  assert.equal(conformAnalysis('chunk_extract', { sentiment: 'Negative overall' }).analysis.sentiment, 'negative');
+});
+
+test('values that cannot be mapped are errors and fall back to the default', () => {
+  const { analysis, errors } = conformAnalysis('full', { sentiment: 'ecstatic', landingPoint: 'Proposal', confidence: 'high' });
+
+  assert.equal(analysis.sentiment, 'neutral');
+  assert.equal(analysis.landingPoint.currentStage, 'Unknown');
+  assert.equal(analysis.confidence, 0);
+  assert.deepEqual(errors.map(error => error.field), ['sentiment', 'confidence', 'landingPoint']);
+});
+
+test('numbers are coerced from text and percentages, and kept in range', () => {
+  const read = confidence => conformAnalysis('full', { confidence }).analysis.confidence;
+
+  assert.equal(read('0.8'), 0.8);
+  assert.equal(read('80%'), 0.8);
+  assert.equal(read(85), 0.85);
+  assert.equal(read(-2), 0);
+
+  const { analysis } = conformAnalysis('methodology', { criteria: [{ id: 'metrics', score: 12.4 }, { id: 'pain', score: '6.6' }] });
+  assert.deepEqual(analysis.criteria.map(criterion => criterion.score), [10, 7]);
+});
+
+test('text and lists are converted into each other where the meaning is clear', () => {
+  const { analysis, warnings } = conformAnalysis('full', {
+    landingPoint: { nextSteps: ['Send pricing', 'Book a call'] },
+    businessInsights: { concerns: 'Budget' }
+  });
+
+  assert.equal(analysis.landingPoint.nextSteps, 'Send pricing; Book a call');
+  assert.deepEqual(analysis.businessInsights.concerns, ['Budget']);
+  assert.ok(warnings.includes('businessInsights.concerns was a string; wrapped it in a list'));
+});
+
+test('list entries that cannot be fixed are dropped, not kept as empty entries', () => {
+  const { analysis, warnings, errors } = conformAnalysis('chunk_extract', {
+    hurdles: ['Budget', { text: 'Security review' }, null, '', 3]
+  });
+
+  assert.deepEqual(analysis.hurdles, ['Budget', '3']);
+  assert.ok(warnings.includes('hurdles[1] must be text; dropped it'));
+  assert.ok(warnings.includes('hurdles[2] was empty; dropped it'));
+  assert.deepEqual(errors, []);
+});
+
+test('list entries without their required fields are dropped; the rest are conformed', () => {
+  const { analysis, warnings } = conformAnalysis('full', {
+    actionItems: [{ task: 'Send pricing', urgency: 'moderate' }, { owner: 'Dana' }, 'Call back']
+  });
+
+  assert.deepEqual(analysis.actionItems, [{ task: 'Send pricing', urgency: 'Medium', owner: 'Unknown', context: '' }]);
+  assert.ok(warnings.includes('actionItems[1] had no task; dropped it'));
+  assert.ok(warnings.includes('actionItems[2] had no task; dropped it'));
+});
+
+test('answers of the wrong shape are errors; unknown analysis types are not checked', () => {
+  const { analysis, errors } = conformAnalysis('summary', ['not', 'an', 'object']);
+  assert.equal(analysis.title, 'Untitled call');
+  assert.deepEqual(errors, [{ field: '(answer)', message: 'must be an object' }]);
+
+  const custom = { anything: true };
+  assert.equal(conformAnalysis('custom_type', custom).analysis, custom);
+});
+
+test('every analysis type has an object schema', () => {
+  Object.entries(OUTPUT_SCHEMAS).forEach(([type, schema]) => assert.equal(schema.type, 'object', type));
+});
@@ -0,0 +1,260 @@
+// functions/ai-analysis/prompts.js - Versioned prompt templates for every analysis type
+//
+// The default templates are files in prompts/ (or PROMPTS_DIR), one per analysis
+// type: a "version:" and a "system:" line, a "---" line, then the user prompt.
+// Templates in the Firestore collection prompt_templates take precedence:
+//   { name: 'full', version: 5, system, user, team?, weight?: 1, enabled?: true, description? }
+// A template with a team is used for that team's calls only. When several
+// templates apply, each call gets one of them at random by weight (A/B tests);
+// the pick is derived from the call ID, so a call keeps its template.
+//
+// Templates fill in {{variables}}: transcript, source, callId, title, date,
+// duration and participants; chunk_extract gets transcript, part and parts;
+// methodology also gets methodology and criteria. Batch summaries use the
+// summary template unless there is a batch_summary one.
+// Firestore templates are re-read every PROMPT_CACHE_MINUTES (default 5).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { validate } = require('../shared/validation');
+
+const COLLECTION = 'prompt_templates';
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, 'prompts');
+const CACHE_DURATION = (Number(process.env.PROMPT_CACHE_MINUTES) || 5) * 60 * 1000;
+
+const CALL_VARIABLES = ['title', 'date', 'duration', 'participants'];
+const CONVERSATION_VARIABLES = ['transcript', 'source', 'callId', ...CALL_VARIABLES];
+const VARIABLES = {
+  full: CONVERSATION_VARIABLES,
+  summary: CONVERSATION_VARIABLES,
+  batch_summary: CONVERSATION_VARIABLES,
+  sentiment: CONVERSATION_VARIABLES,
+  chunk_extract: ['transcript', 'part', 'parts'],
+  methodology: [...CONVERSATION_VARIABLES, 'methodology', 'criteria']
+};
+const PROMPT_NAMES = Object.keys(VARIABLES);
+
+// Prompts that fall back to another template when they have none of their own
+const FALLBACKS = { batch_summary: 'summary' };
+
+const TEMPLATE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', enum: PROMPT_NAMES },
+    version: { type: 'integer', minimum: 1 },
+    system: { type: 'string' },
+    user: { type: 'string', minLength: 1 },
+    team: { type: 'string', minLength: 1 },
+    weight: { type: 'number', minimum: 0 },
+    enabled: { type: 'boolean' },
+    description: { type: 'string' }
+  },
+  required: ['name', 'version', 'user']
+};
+
+let fileTemplates = null;
+let storedTemplates = { promise: null, loadedAt: 0 };
+
+/**
+ * The template a call's prompt is built from: the team's Firestore templates,
+ * else the Firestore templates without a team, else the file.
+ * @param {{ team?: string, callId?: string }} context
+ * @returns {Promise<{ id, name, version, team, source: 'file'|'firestore', system, user, variables }>}
+ */
+async function selectPrompt(firestore, name, { team, callId } = {}) {
+  const stored = await loadStoredTemplates(firestore);
+
+  for (const templateName of [name, FALLBACKS[name]].filter(Boolean)) {
+    const enabled = stored.filter(template => template.name === templateName);
+    const candidates = [
+      enabled.filter(template => team && template.team === team),
+      enabled.filter(template => !template.team)
+    ].find(group => group.length > 0);
+
+    if (candidates) {
+      return pickByWeight(candidates, `${callId || ''}:${name}`);
+    }
+
+    const file = loadFileTemplates()[templateName];
+    if (file) {
+      return file;
+    }
+  }
+
+  throw new Error(`No prompt template for ${name}`);
+}
+
+/**
+ * The system and user messages of a template with its variables filled in.
+ * Variables without a value are left empty.
+ */
+function renderPrompt(template, values) {
+  const fill = text => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, variable) =>
+    (values[variable] === undefined || values[variable] === null ? '' : String(values[variable])));
+
+  return { system: fill(template.system), user: fill(template.user) };
+}
+
+/**
+ * Whether a template needs the call's metadata from Gong
+ */
+function usesCallMetadata(template) {
+  return template.variables.some(variable => CALL_VARIABLES.includes(variable));
+}
+
+/**
+ * What to record with an analysis about the template it used
+ */
+function describePrompt(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    version: template.version,
+    team: template.team,
+    source: template.source,
+    promptVersion: `${template.id}@${template.version}`
+  };
+}
+
+// Helper Functions
+
+/**
+ * Enabled, valid Firestore templates, read once for all the calls of a request
+ */
+function loadStoredTemplates(firestore) {
+  if (!storedTemplates.promise || Date.now() - storedTemplates.loadedAt >= CACHE_DURATION) {
+    storedTemplates = { promise: readStoredTemplates(firestore), loadedAt: Date.now() };
+  }
+  return storedTemplates.promise;
+}
+
+/**
+ * A template that cannot be used is logged and skipped, and an unreadable
+ * collection leaves the file templates in charge
+ */
+async function readStoredTemplates(firestore) {
+  let templates = [];
+  try {
+    const snapshot = await firestore.collection(COLLECTION).get();
+    templates = snapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(template => template.enabled !== false)
+      .filter(template => {
+        const problems = checkTemplate(template);
+        if (problems.length > 0) {
+          console.error(`Skipping prompt template ${template.id}: ${problems.join('; ')}`);
+        }
+        return problems.length === 0;
+      })
+      .map(template => normalizeTemplate(template, 'firestore'));
+  } catch (error) {
+    console.error(`Failed to read ${COLLECTION}; using the file templates:`, error.message);
+  }
+
+  return templates;
+}
+
+/**
+ * The templates in prompts/, by name. These are part of the deployment, so a
+ * broken one fails loudly.
+ */
+function loadFileTemplates() {
+  if (fileTemplates) {
+    return fileTemplates;
+  }
+
+  const dir = process.env.PROMPTS_DIR || DEFAULT_PROMPTS_DIR;
+  const templates = {};
+
+  fs.readdirSync(dir).filter(file => file.endsWith('.txt')).forEach(file => {
+    const template = parseTemplateFile(path.basename(file, '.txt'), fs.readFileSync(path.join(dir, file), 'utf8'));
+    const problems = checkTemplate(template);
+    if (problems.length > 0) {
+      throw new Error(`Invalid prompt template ${path.join(dir, file)}: ${problems.join('; ')}`);
+    }
+    templates[template.name] = normalizeTemplate(template, 'file');
+  });
+
+  fileTemplates = templates;
+  return fileTemplates;
+}
+
+function parseTemplateFile(name, content) {
+  const separator = content.search(/^---\s*$/m);
+  if (separator === -1) {
+    return { id: name, name, user: '' };
+  }
+
+  const header = Object.fromEntries(content.slice(0, separator).split(/\r?\n/)
+    .map(line => line.match(/^(\w+):\s*(.*)$/))
+    .filter(Boolean)
+    .map(([, key, value]) => [key, value.trim()]));
+
+  return {
+    id: name,
+    name,
+    version: Number(header.version),
+    system: header.system,
+    user: content.slice(separator).replace(/^---\s*\r?\n/, '').replace(/\s+$/, '')
+  };
+}
+
+/**
+ * Schema problems, plus any {{variable}} the template's analysis type does not provide
+ */
+function checkTemplate(template) {
+  const problems = validate(template, TEMPLATE_SCHEMA).map(problem => `${problem.field} ${problem.message}`);
+  if (problems.length > 0) return problems;
+
+  const unknown = findVariables(template).filter(variable => !VARIABLES[template.name].includes(variable));
+  if (unknown.length > 0) {
+    problems.push(`unknown variables ${unknown.join(', ')}; ${template.name} provides ${VARIABLES[template.name].join(', ')}`);
+  }
+  return problems;
+}
+
+function normalizeTemplate(template, source) {
+  return {
+    id: template.id,
+    name: template.name,
+    version: template.version,
+    team: template.team || null,
+    weight: template.weight ?? 1,
+    source,
+    system: template.system || '',
+    user: template.user,
+    variables: findVariables(template)
+  };
+}
+
+function findVariables(template) {
+  const text = `${template.system || ''}\n${template.user}`;
+  return [...new Set([...text.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]))];
+}
+
+/**
+ * Weighted pick that is stable for a key, so a call is always analyzed with the same template
+ */
+function pickByWeight(templates, key) {
+  const sorted = [...templates].sort((a, b) => a.id.localeCompare(b.id));
+  const totalWeight = sorted.reduce((sum, template) => sum + template.weight, 0);
+  if (totalWeight <= 0) return sorted[0];
+
+  const hash = crypto.createHash('sha256').update(key).digest().readUInt32BE(0);
+  let point = (hash / 0x100000000) * totalWeight;
+
+  for (const template of sorted) {
+    point -= template.weight;
+    if (point < 0) return template;
+  }
+  return sorted[sorted.length - 1];
+}
+
+module.exports = {
+  PROMPT_NAMES,
+  selectPrompt,
+  renderPrompt,
+  usesCallMetadata,
+  describePrompt
+};
@@ -0,0 +1,116 @@
+// functions/ai-analysis/prompts.test.js - Tests for prompt template selection (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// File templates are read once per process, from this directory
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-test-'));
+process.env.PROMPTS_DIR = promptsDir;
+
+const { createMemoryFirestore } = require('../shared/offline');
+const { selectPrompt, renderPrompt, usesCallMetadata, describePrompt } = require('./prompts');
+
+test.after(() => fs.rmSync(promptsDir, { recursive: true, force: true }));
+
+const writePrompt = (name, content) => fs.writeFileSync(path.join(promptsDir, `${name}.txt`), content);
+
+writePrompt('full', 'version: 3\r\nsystem: You are a sales analyst.\r\n---\r\nAnalyze {{transcript}} of {{ title }}.\r\n\r\n');
+writePrompt('summary', 'version: 1\nsystem: Summarize.\n---\nSummarize {{transcript}}\n');
+writePrompt('chunk_extract', 'version: 2\nsystem: Take notes.\n---\nPart {{part}} of {{parts}}: {{transcript}}\n');
+writePrompt('methodology', 'version: 1\nsystem: Score it.\n---\nScore {{transcript}} against {{methodology}}\n');
+writePrompt('sentiment', 'version: 1\nsystem: Read the mood.\nRead the mood of {{transcript}}\n');
+
+// Firestore templates are read once (and cached) for the whole run, so every test uses its own team
+const firestore = createMemoryFirestore();
+const TEMPLATES = {
+  'full-emea-a': { name: 'full', version: 1, team: 'emea', user: 'A: {{transcript}}' },
+  'full-emea-b': { name: 'full', version: 4, team: 'emea', weight: 3, user: 'B: {{transcript}}' },
+  'full-apac-a': { name: 'full', version: 1, team: 'apac', weight: 0, user: 'A: {{transcript}}' },
+  'full-apac-b': { name: 'full', version: 1, team: 'apac', weight: 0, user: 'B: {{transcript}}' },
+  'summary-shared': { name: 'summary', version: 2, user: 'Shared summary of {{transcript}}' },
+  'summary-nordics': { name: 'summary', version: 7, team: 'nordics', user: 'Nordic summary of {{transcript}}' },
+  'methodology-dach': { name: 'methodology', version: 2, team: 'dach', user: 'Score {{transcript}} on {{criteria}}' },
+  'chunk-title': { name: 'chunk_extract', version: 1, user: 'Notes on {{title}}: {{transcript}}' },
+  'sentiment-off': { name: 'sentiment', version: 1, enabled: false, user: 'Off: {{transcript}}' },
+  'sentiment-unversioned': { name: 'sentiment', user: 'No version: {{transcript}}' }
+};
+
+test.before(async () => {
+  await Promise.all(Object.entries(TEMPLATES).map(([id, template]) =>
+    firestore.collection('prompt_templates').doc(id).set(template)));
+});
+
+test('a template file without a "---" line fails the file templates loudly', async () => {
+  await assert.rejects(selectPrompt(firestore, 'full'), /Invalid prompt template .*sentiment\.txt: version/);
+
+  writePrompt('sentiment', 'version: 1\nsystem: Read the mood.\n---\nRead the mood of {{transcript}}\n');
+  assert.equal((await selectPrompt(firestore, 'sentiment')).source, 'file');
+});
+
+test('template files are read with CRLF line endings', async () => {
+  const template = await selectPrompt(firestore, 'full', { team: 'latam', callId: 'call-1' });
+
+  assert.deepEqual(
+    [template.id, template.version, template.source, template.team, template.system, template.user],
+    ['full', 3, 'file', null, 'You are a sales analyst.', 'Analyze {{transcript}} of {{ title }}.']
+  );
+  assert.deepEqual(template.variables, ['transcript', 'title']);
+  assert.equal(usesCallMetadata(template), true);
+  assert.deepEqual(renderPrompt(template, { transcript: 'Speaker1: Hi', title: null }), {
+    system: 'You are a sales analyst.',
+    user: 'Analyze Speaker1: Hi of .'
+  });
+});
+
+test('team templates win over templates without a team, which win over the files', async () => {
+  assert.equal((await selectPrompt(firestore, 'summary', { team: 'nordics' })).id, 'summary-nordics');
+  assert.equal((await selectPrompt(firestore, 'summary', { team: 'latam' })).id, 'summary-shared');
+  assert.equal((await selectPrompt(firestore, 'summary')).id, 'summary-shared');
+
+  assert.equal((await selectPrompt(firestore, 'methodology', { team: 'dach' })).id, 'methodology-dach');
+  assert.equal((await selectPrompt(firestore, 'methodology', { team: 'latam' })).source, 'file');
+});
+
+test('batch summaries use the summary templates when they have none of their own', async () => {
+  const template = await selectPrompt(firestore, 'batch_summary', { team: 'nordics' });
+  assert.deepEqual([template.id, template.name], ['summary-nordics', 'summary']);
+  assert.equal((await selectPrompt(firestore, 'batch_summary')).id, 'summary-shared');
+});
+
+test('disabled, invalid and templates with variables their type lacks are skipped', async () => {
+  // chunk_extract has no call metadata, so {{title}} rules chunk-title out
+  const chunk = await selectPrompt(firestore, 'chunk_extract');
+  assert.deepEqual([chunk.id, chunk.source, usesCallMetadata(chunk)], ['chunk_extract', 'file', false]);
+
+  assert.equal((await selectPrompt(firestore, 'sentiment')).id, 'sentiment');
+  await assert.rejects(selectPrompt(firestore, 'no_such_prompt'), /No prompt template for no_such_prompt/);
+});
+
+test('weighted templates are picked in proportion to their weight, stably per call', async () => {
+  const picks = await Promise.all(Array.from({ length: 2000 }, (value, index) =>
+    selectPrompt(firestore, 'full', { team: 'emea', callId: `call-${index}` })));
+  const shareB = picks.filter(template => template.id === 'full-emea-b').length / picks.length;
+  assert.ok(shareB > 0.7 && shareB < 0.8, `full-emea-b got ${shareB}`);
+
+  for (const callId of ['call-7', 'call-8', 'call-9']) {
+    const first = await selectPrompt(firestore, 'full', { team: 'emea', callId });
+    assert.equal((await selectPrompt(firestore, 'full', { team: 'emea', callId })).id, first.id);
+  }
+});
+
+test('when every weight is 0 the first template by ID is used', async () => {
+  const ids = await Promise.all(['call-1', 'call-2', 'call-3', 'call-4'].map(async callId =>
+    (await selectPrompt(firestore, 'full', { team: 'apac', callId })).id));
+  assert.deepEqual([...new Set(ids)], ['full-apac-a']);
+});
+
+test('describePrompt names the template version the analysis cache is keyed on', async () => {
+  const file = describePrompt(await selectPrompt(firestore, 'full'));
+  assert.deepEqual(file, { id: 'full', name: 'full', version: 3, team: null, source: 'file', promptVersion: 'full@3' });
+
+  const stored = describePrompt(await selectPrompt(firestore, 'summary', { team: 'nordics' }));
+  assert.equal(stored.promptVersion, 'summary-nordics@7');
+  assert.equal(stored.team, 'nordics');
+});
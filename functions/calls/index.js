@@ -1,7 +1,13 @@
 // functions/calls/index.js - Complete enhanced calls management function
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
-const axios = require('axios');
+const { ValidationError, validateRequest, validateAction } = require('../shared/validation');
+const { createGongClient, getCallWindow, getCallUrl } = require('../shared/gong-client');
+const { isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS } = require('../shared/offline');
+const { RateLimitError, trackHttpStats } = require('../shared/http');
+const { requireServiceAuth } = require('../shared/service-auth');
+const { WEEKDAYS, resolvePeriod, resolveTimeZone } = require('../shared/period');
 
 // Initialize Secret Manager client
 const secretClient = new SecretManagerServiceClient();
@@ -26,32 +32,50 @@ functions.http('callsHandler', async (req, res) => {
     return;
   }
 
+  // Only accept calls signed by other functions in this project
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
     console.log('Calls function - Processing request:', req.method, req.url);
 
+    // Validate POST actions before touching any credentials
+    if (req.method === 'POST') {
+      validateAction(req.body, OPERATION_SCHEMAS);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
     // Get secrets from Secret Manager
     const secrets = await getSecrets();
     const gongConfig = createGongConfig(secrets);
 
-    let result;
-
-    // Handle different call-related endpoints
-    switch (req.method) {
-      case 'GET':
-        result = await handleGetCalls(req, gongConfig);
-        break;
-      case 'POST':
-        result = await handleCallOperation(req, gongConfig);
-        break;
-      default:
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
+    // Handle different call-related endpoints, counting Gong requests and retries
+    const { result, stats } = await trackHttpStats(async () => {
+      switch (req.method) {
+        case 'GET':
+          return await handleGetCalls(req, gongConfig);
+        case 'POST':
+          return await handleCallOperation(req, gongConfig);
+      }
+    });
 
     console.log('Calls function - Request completed successfully');
-    res.status(200).json(result);
+    res.status(200).json({ ...result, httpStats: stats });
 
   } catch (error) {
     console.error('Calls function error:', error);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        invalidFields: error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     let statusCode = 500;
     let errorMessage = 'Internal server error';
@@ -59,6 +83,10 @@ functions.http('callsHandler', async (req, res) => {
     if (error.response) {
       statusCode = error.response.status;
       errorMessage = error.response.data?.message || 'API request failed';
+    } else if (error instanceof RateLimitError) {
+      statusCode = 429;
+      errorMessage = 'Gong API rate limit reached';
+      res.set('Retry-After', String(error.retryAfter));
     }
 
     res.status(statusCode).json({
@@ -81,16 +109,25 @@ async function handleGetCalls(req, gongConfig) {
     period = 'week',
     status,
     minDuration,
-    maxDuration 
+    maxDuration,
+    weekStart
   } = req.query;
 
-  console.log('Fetching calls with params:', { fromDateTime, toDateTime, userId, limit, period });
+  validateRequest(req.query, GET_QUERY_SCHEMA);
+
+  // Periods are resolved in the caller's time zone, or the Gong user's own
+  const timeZone = await resolveTimeZone({
+    timeZone: req.query.timeZone,
+    userId,
+    gongClient: createGongClient(gongConfig)
+  });
+
+  console.log('Fetching calls with params:', { fromDateTime, toDateTime, userId, limit, period, timeZone });
 
   // Calculate date range (matching your Vercel implementation)
-  const dateRange = getDateRange(period, fromDateTime, toDateTime);
+  const dateRange = getDateRange(period, fromDateTime, toDateTime, { timeZone, weekStart });
   
   const params = {
-    limit: parseInt(limit),
     fromDateTime: dateRange.fromDateTime,
     toDateTime: dateRange.toDateTime
   };
@@ -104,12 +141,7 @@ async function handleGetCalls(req, gongConfig) {
     params.status = status;
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  let calls = response.data.records || response.data.calls || [];
+  let calls = await createGongClient(gongConfig).listCalls(params, { maxRecords: parseInt(limit) });
 
   // Apply duration filters
   if (minDuration) {
@@ -124,7 +156,7 @@ async function handleGetCalls(req, gongConfig) {
   const processedCalls = calls.map(call => ({
     ...call,
     // Original Vercel enhancements
-    gongUrl: `https://us-22394.app.gong.io/call?id=${call.id}`,
+    gongUrl: getCallUrl(call.id),
     formattedDate: new Date(call.started).toLocaleDateString('en-US', {
       weekday: 'short',
       year: 'numeric',
@@ -184,20 +216,88 @@ async function handleGetCalls(req, gongConfig) {
       processedAt: new Date().toISOString(),
       dateRange: {
         from: dateRange.fromDateTime,
-        to: dateRange.toDateTime
+        to: dateRange.toDateTime,
+        period: dateRange.period,
+        fromDate: dateRange.fromDate,
+        toDate: dateRange.toDate,
+        timeZone
       }
     },
     stats,
-    filters: { fromDateTime, toDateTime, userId, period, status },
-    records: response.data.records // Include original Gong response
+    filters: { fromDateTime, toDateTime, userId, period, status }
   };
 }
 
+const GET_QUERY_SCHEMA = {
+  properties: {
+    timeZone: { type: 'string', format: 'time-zone' },
+    weekStart: { type: 'string', enum: WEEKDAYS }
+  }
+};
+
+const DATE_RANGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    period: { type: 'string', minLength: 1 },
+    fromDate: { type: 'string', format: 'date-time' },
+    toDate: { type: 'string', format: 'date-time' },
+    timeZone: { type: 'string', format: 'time-zone' },
+    weekStart: { type: 'string', enum: WEEKDAYS }
+  }
+};
+
+const CALL_ID_SCHEMA = {
+  properties: { callId: { type: 'string', minLength: 1 } },
+  required: ['callId']
+};
+
+// Request schemas for each POST action
+const OPERATION_SCHEMAS = {
+  getCallDetails: CALL_ID_SCHEMA,
+  getCallTranscript: CALL_ID_SCHEMA,
+  analyzeCall: CALL_ID_SCHEMA,
+  searchCalls: {
+    properties: {
+      data: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          filters: {
+            type: 'object',
+            properties: {
+              participantIds: { type: ['string', 'array'] },
+              direction: { type: 'string' },
+              minDuration: { type: 'number', minimum: 0 },
+              hasRecording: { type: 'boolean' }
+            }
+          },
+          dateRange: DATE_RANGE_SCHEMA,
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          sortBy: { type: 'string', enum: ['started', 'duration', 'title'] },
+          sortOrder: { type: 'string', enum: ['asc', 'desc'] }
+        }
+      }
+    }
+  },
+  getCallStats: {
+    properties: {
+      data: {
+        type: 'object',
+        properties: {
+          dateRange: DATE_RANGE_SCHEMA,
+          groupBy: { type: 'string', enum: ['hour', 'day', 'week', 'month'] },
+          participantIds: { type: ['string', 'array'] }
+        }
+      }
+    }
+  }
+};
+
 /**
  * Handle POST requests for call operations
  */
 async function handleCallOperation(req, gongConfig) {
-  const { action, callId, data } = req.body;
+  const { action, callId, data = {} } = req.body;
 
   console.log('Call operation:', { action, callId });
 
@@ -216,9 +316,6 @@ async function handleCallOperation(req, gongConfig) {
     
     case 'getCallStats':
       return await getCallStats(data, gongConfig);
-    
-    default:
-      throw new Error(`Unknown action: ${action}`);
   }
 }
 
@@ -230,11 +327,7 @@ async function getCallDetails(callId, gongConfig) {
     throw new Error('Call ID is required');
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/calls/${callId}`, {
-    headers: gongConfig.headers
-  });
-
-  const call = response.data;
+  const call = await createGongClient(gongConfig).getCall(callId);
 
   // Get additional call metadata
   const enrichedCall = {
@@ -279,22 +372,16 @@ async function getCallTranscript(callId, gongConfig) {
   // Get call details first
   const callDetails = await getCallDetails(callId, gongConfig);
   
-  // Get transcript
-  const transcriptResponse = await axios.post(`${gongConfig.baseUrl}/calls/transcript`, {
-    filter: {
-      callIds: [callId],
-      fromDateTime: '2025-01-01T00:00:00Z',
-      toDateTime: '2025-12-31T23:59:59Z'
-    }
-  }, {
-    headers: gongConfig.headers
-  });
+  // Get transcript, searching around the call's start time
+  const { transcripts } = await createGongClient(gongConfig).getTranscriptsForCalls(
+    [callId],
+    getCallWindow([callDetails.call])
+  );
 
-  const transcriptData = transcriptResponse.data;
-  const transcript = transcriptData.callTranscripts?.[0];
+  const transcript = transcripts[0];
 
   if (!transcript) {
-    throw new Error('Transcript not found for this call');
+    throw new Error(`Transcript not found for call ${callId}`);
   }
 
   // Process transcript entries
@@ -398,9 +485,10 @@ async function searchCalls(searchData, gongConfig) {
     sortOrder = 'desc'
   } = searchData;
 
-  const params = { 
-    limit,
-    ...getDateRange(dateRange?.period, dateRange?.fromDate, dateRange?.toDate)
+  const resolvedRange = getDateRange(dateRange?.period, dateRange?.fromDate, dateRange?.toDate, dateRange);
+  const params = {
+    fromDateTime: resolvedRange.fromDateTime,
+    toDateTime: resolvedRange.toDateTime
   };
 
   // Apply filters
@@ -412,12 +500,8 @@ async function searchCalls(searchData, gongConfig) {
     params.direction = filters.direction;
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  let calls = response.data.records || [];
+  // Text search and filters run locally, so fetch every call in the range
+  let calls = await createGongClient(gongConfig).listCalls(params);
 
   // Apply text search
   if (query) {
@@ -458,7 +542,7 @@ async function searchCalls(searchData, gongConfig) {
     }
   });
 
-  const processedCalls = calls.map(call => ({
+  const processedCalls = calls.slice(0, limit).map(call => ({
     id: call.id,
     title: call.title,
     started: call.started,
@@ -474,7 +558,8 @@ async function searchCalls(searchData, gongConfig) {
     calls: processedCalls,
     searchQuery: query,
     filters,
-    totalFound: processedCalls.length,
+    dateRange: resolvedRange,
+    totalFound: calls.length,
     sortBy,
     sortOrder
   };
@@ -486,21 +571,17 @@ async function searchCalls(searchData, gongConfig) {
 async function getCallStats(data, gongConfig) {
   const { dateRange, groupBy = 'day', participantIds } = data;
   
+  const resolvedRange = getDateRange(dateRange?.period, dateRange?.fromDate, dateRange?.toDate, dateRange);
   const params = {
-    limit: 1000,
-    ...getDateRange(dateRange?.period, dateRange?.fromDate, dateRange?.toDate)
+    fromDateTime: resolvedRange.fromDateTime,
+    toDateTime: resolvedRange.toDateTime
   };
 
   if (participantIds) {
     params.participantIds = participantIds;
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  const calls = response.data.records || [];
+  const calls = await createGongClient(gongConfig).listCalls(params);
 
   // Calculate various statistics
   const stats = {
@@ -522,7 +603,8 @@ async function getCallStats(data, gongConfig) {
       callTypeDistribution: getCallTypeDistribution(calls),
       timeDistribution: getTimeDistribution(calls),
       sentimentDistribution: getSentimentDistribution(calls)
-    }
+    },
+    dateRange: resolvedRange
   };
 
   return stats;
@@ -531,6 +613,10 @@ async function getCallStats(data, gongConfig) {
 // Helper Functions
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const now = Date.now();
   
   if (now - lastSecretRefresh < CACHE_DURATION && Object.keys(secretsCache).length > 0) {
@@ -576,7 +662,11 @@ function createGongConfig(secrets) {
   };
 }
 
-function getDateRange(period, fromDate, toDate) {
+/**
+ * Explicit dates win; otherwise resolve the period in the given time zone (see shared/period.js).
+ * Unparseable periods raise a ValidationError.
+ */
+function getDateRange(period, fromDate, toDate, { timeZone, weekStart } = {}) {
   if (fromDate && toDate) {
     return {
       fromDateTime: new Date(fromDate).toISOString(),
@@ -584,42 +674,7 @@ function getDateRange(period, fromDate, toDate) {
     };
   }
 
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  
-  switch (period?.toLowerCase()) {
-    case 'today':
-      return {
-        fromDateTime: today.toISOString(),
-        toDateTime: new Date(today.getTime() + 24 * 60 * 60 * 1000).toISOString()
-      };
-    case 'yesterday':
-      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-      return {
-        fromDateTime: yesterday.toISOString(),
-        toDateTime: today.toISOString()
-      };
-    case 'week':
-      const weekStart = new Date(today);
-      weekStart.setDate(today.getDate() - today.getDay());
-      return {
-        fromDateTime: weekStart.toISOString(),
-        toDateTime: new Date().toISOString()
-      };
-    case 'month':
-      const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
-      return {
-        fromDateTime: monthStart.toISOString(),
-        toDateTime: new Date().toISOString()
-      };
-    default:
-      // Default to last 30 days (matching your Vercel implementation)
-      const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-      return {
-        fromDateTime: thirtyDaysAgo.toISOString(),
-        toDateTime: now.toISOString()
-      };
-  }
+  return resolvePeriod(period, { timeZone, weekStart });
 }
 
 function formatDuration(duration) {
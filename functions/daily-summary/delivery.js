@@ -0,0 +1,364 @@
+// functions/daily-summary/delivery.js - Push daily summaries to Slack, email and webhooks
+//
+// Subscriptions are documents in digest_subscriptions:
+//   {
+//     name, enabled: true,
+//     channel: 'slack' | 'email' | 'webhook',
+//     target: { webhookUrl } | { to: [addresses] } | { url, headers? },
+//     filters: { team: { name, userIds }, minStage, onlyNegativeSentiment }
+//   }
+// Filters narrow the summary to the matching calls before it is rendered. A
+// subscription whose filters match no call is skipped for that day.
+//
+// Each delivery is recorded as digest_deliveries/{subscriptionId}_{date} with
+// every attempt made. A delivered digest is not sent again, so running delivery
+// again for the same day only retries the subscriptions that failed.
+
+const nodemailer = require('nodemailer');
+const { sendRequest } = require('../shared/http');
+const { validate } = require('../shared/validation');
+const { render } = require('../shared/render');
+
+// Deal stages in funnel order, as reported by AI analysis (landingPoint.currentStage)
+const STAGES = ['Discovery', 'Demo', 'Proposal', 'Negotiation', 'Closing'];
+const CHANNELS = ['slack', 'email', 'webhook'];
+const MAX_ATTEMPTS = Number(process.env.DIGEST_DELIVERY_ATTEMPTS) || 3;
+const RETRY_DELAY = 1000; // ms, doubled after every failed attempt
+const REQUEST_TIMEOUT = 15000;
+const MAX_LISTED_ITEMS = 5;
+
+const SUBSCRIPTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    channel: { type: 'string', enum: CHANNELS },
+    target: {
+      type: 'object',
+      properties: {
+        webhookUrl: { type: 'string', pattern: '^https?://' },
+        url: { type: 'string', pattern: '^https?://' },
+        to: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        headers: { type: 'object' }
+      }
+    },
+    filters: {
+      type: 'object',
+      properties: {
+        team: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            userIds: { type: 'array', items: { type: 'string' }, minItems: 1 }
+          },
+          required: ['userIds']
+        },
+        minStage: { type: 'string', enum: STAGES },
+        onlyNegativeSentiment: { type: 'boolean' }
+      }
+    }
+  },
+  required: ['channel', 'target']
+};
+
+// Which target field each channel needs
+const TARGET_FIELDS = { slack: 'webhookUrl', email: 'to', webhook: 'url' };
+
+let mailTransport = null;
+
+/**
+ * Deliver a stored daily summary to every enabled subscription.
+ * Resolves with one result per subscription; failures are reported, not thrown.
+ * @param {Firestore} firestore
+ * @param {object} summary a single-day summary (summary.date is set)
+ * @param {{ redeliver?: boolean }} options redeliver sends again to subscriptions already delivered
+ */
+async function deliverSummary(firestore, summary, { redeliver = false } = {}) {
+  const snapshot = await firestore.collection('digest_subscriptions').where('enabled', '==', true).get();
+  console.log(`Delivering summary for ${summary.date} to ${snapshot.size} subscriptions`);
+
+  const results = [];
+  for (const doc of snapshot.docs) {
+    results.push(await deliverToSubscription(firestore, summary, { id: doc.id, ...doc.data() }, redeliver));
+  }
+
+  return results;
+}
+
+/**
+ * Narrow a summary to the calls that match a subscription's filters. Calls
+ * without an analysis cannot be matched, so they drop out of filtered digests.
+ */
+function filterSummary(summary, filters = {}) {
+  const { team, minStage, onlyNegativeSentiment } = filters;
+  if (!team && !minStage && !onlyNegativeSentiment) {
+    return summary;
+  }
+
+  const minStageIndex = minStage ? STAGES.indexOf(minStage) : -1;
+  const insights = (summary.insights || []).filter(insight =>
+    (!team || team.userIds.includes(String(insight.primaryUserId))) &&
+    (!minStage || STAGES.indexOf(insight.stage) >= minStageIndex) &&
+    (!onlyNegativeSentiment || insight.sentiment === 'negative')
+  );
+  const callIds = new Set(insights.map(insight => insight.callId));
+
+  return {
+    ...summary,
+    callCount: insights.length,
+    totalDuration: insights.reduce((total, insight) => total + (insight.duration || 0), 0),
+    sentimentBreakdown: countBy(insights, insight => insight.sentiment),
+    stages: countBy(insights, insight => insight.stage),
+    hurdles: narrowMentions(summary.hurdles, callIds),
+    actionItems: (summary.actionItems || []).filter(item => callIds.has(item.callId)),
+    competitorMentions: narrowMentions(summary.competitorMentions, callIds),
+    insights,
+    filters,
+    unfilteredCallCount: summary.callCount
+  };
+}
+
+// Helper Functions
+
+async function deliverToSubscription(firestore, summary, subscription, redeliver) {
+  const recordRef = firestore.collection('digest_deliveries').doc(`${subscription.id}_${summary.date}`);
+  const previous = await recordRef.get();
+  const record = {
+    subscriptionId: subscription.id,
+    subscriptionName: subscription.name || subscription.id,
+    channel: subscription.channel || null,
+    date: summary.date,
+    attempts: previous.exists ? previous.data().attempts || [] : []
+  };
+  const result = { subscriptionId: record.subscriptionId, name: record.subscriptionName, channel: record.channel };
+
+  if (previous.exists && previous.data().status === 'delivered' && !redeliver) {
+    return { ...result, status: 'already_delivered', deliveredAt: toIsoString(previous.data().deliveredAt) };
+  }
+
+  const problems = checkSubscription(subscription);
+  if (problems.length > 0) {
+    const error = `Invalid subscription: ${problems.map(problem => `${problem.field} ${problem.message}`).join('; ')}`;
+    console.error(`Subscription ${subscription.id}: ${error}`);
+    await saveRecord(recordRef, { ...record, status: 'failed', lastError: error });
+    return { ...result, status: 'failed', error };
+  }
+
+  const digest = filterSummary(summary, subscription.filters);
+  if (digest.callCount === 0 && subscription.filters) {
+    await saveRecord(recordRef, { ...record, status: 'skipped', lastError: null });
+    return { ...result, status: 'skipped', reason: 'No calls match the subscription filters' };
+  }
+
+  const outcome = await sendWithRetry(subscription, digest);
+  record.attempts.push(...outcome.attempts);
+
+  await saveRecord(recordRef, {
+    ...record,
+    status: outcome.delivered ? 'delivered' : 'failed',
+    lastError: outcome.error || null,
+    ...(outcome.delivered ? { deliveredAt: new Date() } : {})
+  });
+
+  console.log(`Subscription ${subscription.id} (${subscription.channel}): ${outcome.delivered ? 'delivered' : `failed - ${outcome.error}`}`);
+  return {
+    ...result,
+    status: outcome.delivered ? 'delivered' : 'failed',
+    attempts: outcome.attempts.length,
+    ...(outcome.error ? { error: outcome.error } : {})
+  };
+}
+
+/**
+ * Send up to MAX_ATTEMPTS times, backing off between attempts. Errors that a
+ * retry cannot fix (bad configuration, 4xx responses) stop at the first attempt.
+ */
+async function sendWithRetry(subscription, digest) {
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await CHANNEL_SENDERS[subscription.channel](subscription.target, digest);
+      attempts.push({ attempt, at: new Date().toISOString(), error: null });
+      return { delivered: true, attempts };
+    } catch (error) {
+      const message = describeError(error);
+      attempts.push({ attempt, at: new Date().toISOString(), error: message });
+
+      if (!isRetryable(error) || attempt === MAX_ATTEMPTS) {
+        return { delivered: false, attempts, error: message };
+      }
+
+      console.warn(`Delivery to ${subscription.id} failed (${message}), attempt ${attempt}/${MAX_ATTEMPTS}`);
+      await sleep(RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+}
+
+const CHANNEL_SENDERS = {
+  slack: async (target, digest) => {
+    await sendRequest({
+      method: 'POST',
+      url: target.webhookUrl,
+      data: { text: renderSlackText(digest) },
+      timeout: REQUEST_TIMEOUT
+    }, { retries: 0, label: 'Slack webhook' });
+  },
+
+  email: async (target, digest) => {
+    await getMailTransport().sendMail({
+      from: process.env.DIGEST_EMAIL_FROM || process.env.SMTP_USER,
+      to: target.to.join(', '),
+      subject: renderSubject(digest),
+      text: render('dailySummary', digest, 'markdown'),
+      html: render('dailySummary', digest, 'html')
+    });
+  },
+
+  webhook: async (target, digest) => {
+    await sendRequest({
+      method: 'POST',
+      url: target.url,
+      headers: { 'Content-Type': 'application/json', ...(target.headers || {}) },
+      data: {
+        type: 'daily_summary',
+        date: digest.date,
+        subject: renderSubject(digest),
+        markdown: render('dailySummary', digest, 'markdown'),
+        html: render('dailySummary', digest, 'html'),
+        summary: digest
+      },
+      timeout: REQUEST_TIMEOUT
+    }, { retries: 0, label: 'Digest webhook' });
+  }
+};
+
+/**
+ * SMTP transport from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+ */
+function getMailTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw permanentError('SMTP_HOST is not set');
+  }
+
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+    });
+  }
+
+  return mailTransport;
+}
+
+function renderSubject(digest) {
+  const team = digest.filters?.team?.name ? ` (${digest.filters.team.name})` : '';
+  return `Call summary for ${digest.date}${team}: ${digest.callCount} ${digest.callCount === 1 ? 'call' : 'calls'}`;
+}
+
+/**
+ * Short digest in Slack's mrkdwn, which has no headings or tables
+ * (email and webhooks get the full report from shared/render.js)
+ */
+function renderSlackText(digest) {
+  const bold = text => `*${text}*`;
+  const lines = [bold(renderSubject(digest))];
+
+  if (digest.unfilteredCallCount !== undefined) {
+    lines.push(`${digest.callCount} of ${digest.unfilteredCallCount} calls match this subscription`);
+  }
+
+  const sentiment = Object.entries(digest.sentimentBreakdown || {}).map(([name, count]) => `${name} ${count}`);
+  if (sentiment.length > 0) lines.push(`Sentiment: ${sentiment.join(', ')}`);
+
+  const stages = Object.entries(digest.stages || {}).map(([name, count]) => `${name} ${count}`);
+  if (stages.length > 0) lines.push(`Stages: ${stages.join(', ')}`);
+
+  addList(lines, bold('Top hurdles'), (digest.hurdles || []).map(entry => `${entry.hurdle} (${entry.mentions})`));
+  addList(lines, bold('Competitors mentioned'), (digest.competitorMentions || []).map(entry => `${entry.competitor} (${entry.mentions})`));
+  addList(lines, bold('Action items'), (digest.actionItems || []).map(item =>
+    `${item.task}${item.owner ? ` - ${item.owner}` : ''} [${item.callTitle}]`));
+
+  const notAnalyzed = digest.coverage?.notAnalyzed?.length || 0;
+  if (notAnalyzed > 0 && digest.unfilteredCallCount === undefined) {
+    lines.push('', `${notAnalyzed} calls could not be analyzed`);
+  }
+
+  return lines.join('\n');
+}
+
+function addList(lines, heading, items) {
+  if (items.length === 0) return;
+
+  lines.push('', heading, ...items.slice(0, MAX_LISTED_ITEMS).map(item => `- ${item}`));
+  if (items.length > MAX_LISTED_ITEMS) {
+    lines.push(`- and ${items.length - MAX_LISTED_ITEMS} more`);
+  }
+}
+
+function checkSubscription(subscription) {
+  const problems = validate(subscription, SUBSCRIPTION_SCHEMA);
+  const targetField = TARGET_FIELDS[subscription.channel];
+
+  if (targetField && !subscription.target?.[targetField]) {
+    problems.push({ field: `target.${targetField}`, message: `is required for ${subscription.channel} subscriptions` });
+  }
+
+  return problems;
+}
+
+/**
+ * Keep the mentions made in the given calls, recounted by call
+ */
+function narrowMentions(entries = [], callIds) {
+  return entries
+    .map(entry => ({ ...entry, callIds: (entry.callIds || []).filter(callId => callIds.has(callId)) }))
+    .filter(entry => entry.callIds.length > 0)
+    .map(entry => ({ ...entry, mentions: entry.callIds.length }))
+    .sort((a, b) => b.mentions - a.mentions);
+}
+
+async function saveRecord(recordRef, record) {
+  await recordRef.set({ ...record, updatedAt: new Date() }, { merge: true });
+}
+
+function isRetryable(error) {
+  if (error.permanent) return false;
+
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.message;
+}
+
+function countBy(items, getKey) {
+  return items.reduce((counts, item) => {
+    const key = getKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+function toIsoString(timestamp) {
+  if (!timestamp) return null;
+  return (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).toISOString();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  STAGES,
+  deliverSummary,
+  filterSummary
+};
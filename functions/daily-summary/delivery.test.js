@@ -0,0 +1,166 @@
+// functions/daily-summary/delivery.test.js - Tests for digest filters and delivery retries (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// Two attempts keep the retry tests to a single one-second backoff
+process.env.DIGEST_DELIVERY_ATTEMPTS = '2';
+delete process.env.SMTP_HOST;
+const { createMemoryFirestore } = require('../shared/offline');
+const { deliverSummary, filterSummary } = require('./delivery');
+
+const SUMMARY = {
+  date: '2026-10-14',
+  callCount: 3,
+  insights: [
+    { callId: 'c1', primaryUserId: 'u1', stage: 'Discovery', sentiment: 'positive', duration: 600 },
+    { callId: 'c2', primaryUserId: 'u2', stage: 'Proposal', sentiment: 'negative', duration: 900 },
+    { callId: 'c3', primaryUserId: 'u1', stage: 'Negotiation', sentiment: 'negative', duration: 300 }
+  ],
+  hurdles: [
+    { hurdle: 'Budget', mentions: 2, callIds: ['c1', 'c2'] },
+    { hurdle: 'Security review', mentions: 1, callIds: ['c3'] }
+  ],
+  actionItems: [
+    { task: 'Send pricing', callId: 'c2', callTitle: 'Acme' },
+    { task: 'Book demo', callId: 'c1', callTitle: 'Globex' }
+  ],
+  competitorMentions: [{ competitor: 'Rival', mentions: 1, callIds: ['c1'] }]
+};
+
+/**
+ * An in-memory Firestore holding the given subscriptions, enabled unless they say otherwise
+ */
+async function createFirestore(subscriptions) {
+  const firestore = createMemoryFirestore();
+  await Promise.all(Object.entries(subscriptions).map(([id, subscription]) =>
+    firestore.collection('digest_subscriptions').doc(id).set({ enabled: true, ...subscription })));
+  return firestore;
+}
+
+async function readRecord(firestore, id) {
+  return (await firestore.collection('digest_deliveries').doc(id).get()).data();
+}
+
+/**
+ * A local webhook answering with the given statuses in turn, the last one repeated
+ */
+async function startWebhook(...statuses) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push(JSON.parse(body));
+      res.writeHead(statuses[Math.min(received.length, statuses.length) - 1]).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('a summary without filters is delivered as it is', () => {
+  assert.equal(filterSummary(SUMMARY), SUMMARY);
+  assert.equal(filterSummary(SUMMARY, {}), SUMMARY);
+});
+
+test('filters narrow the calls and recount the totals and mentions', () => {
+  const digest = filterSummary(SUMMARY, { team: { name: 'East', userIds: ['u1'] }, minStage: 'Demo' });
+
+  assert.deepEqual(digest.insights.map(insight => insight.callId), ['c3']);
+  assert.equal(digest.callCount, 1);
+  assert.equal(digest.unfilteredCallCount, 3);
+  assert.equal(digest.totalDuration, 300);
+  assert.deepEqual(digest.stages, { Negotiation: 1 });
+  assert.deepEqual(digest.hurdles, [{ hurdle: 'Security review', mentions: 1, callIds: ['c3'] }]);
+  assert.deepEqual(digest.actionItems, []);
+  assert.deepEqual(digest.competitorMentions, []);
+});
+
+test('onlyNegativeSentiment keeps the negative calls and their mentions', () => {
+  const digest = filterSummary(SUMMARY, { onlyNegativeSentiment: true });
+
+  assert.deepEqual(digest.insights.map(insight => insight.callId), ['c2', 'c3']);
+  assert.deepEqual(digest.sentimentBreakdown, { negative: 2 });
+  assert.deepEqual(digest.hurdles.map(entry => [entry.hurdle, entry.mentions]), [['Budget', 1], ['Security review', 1]]);
+  assert.deepEqual(digest.actionItems.map(item => item.task), ['Send pricing']);
+});
+
+test('a failed delivery is retried and recorded with every attempt', async () => {
+  const webhook = await startWebhook(503, 200);
+  const firestore = await createFirestore({ ops: { channel: 'webhook', target: { url: webhook.url } } });
+
+  try {
+    const [result] = await deliverSummary(firestore, SUMMARY);
+
+    assert.equal(result.status, 'delivered');
+    assert.equal(result.attempts, 2);
+    assert.equal(webhook.received.length, 2);
+    assert.equal(webhook.received[1].summary.callCount, 3);
+
+    const record = await readRecord(firestore, 'ops_2026-10-14');
+    assert.equal(record.status, 'delivered');
+    assert.deepEqual(record.attempts.map(attempt => attempt.error), ['HTTP 503', null]);
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('a delivered digest is only sent again when redeliver is set', async () => {
+  const webhook = await startWebhook(200);
+  const firestore = await createFirestore({ ops: { channel: 'webhook', target: { url: webhook.url } } });
+
+  try {
+    await deliverSummary(firestore, SUMMARY);
+    const [again] = await deliverSummary(firestore, SUMMARY);
+    assert.equal(again.status, 'already_delivered');
+    assert.equal(webhook.received.length, 1);
+
+    const [redelivered] = await deliverSummary(firestore, SUMMARY, { redeliver: true });
+    assert.equal(redelivered.status, 'delivered');
+    assert.equal(webhook.received.length, 2);
+    assert.equal((await readRecord(firestore, 'ops_2026-10-14')).attempts.length, 2);
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('client errors and missing configuration are not retried', async () => {
+  const webhook = await startWebhook(404);
+  const firestore = await createFirestore({
+    gone: { channel: 'webhook', target: { url: webhook.url } },
+    mail: { channel: 'email', target: { to: ['team@example.com'] } }
+  });
+
+  try {
+    const [gone, mail] = await deliverSummary(firestore, SUMMARY);
+
+    assert.deepEqual([gone.status, gone.attempts, gone.error], ['failed', 1, 'HTTP 404']);
+    assert.deepEqual([mail.status, mail.attempts, mail.error], ['failed', 1, 'SMTP_HOST is not set']);
+    assert.equal(webhook.received.length, 1);
+  } finally {
+    await webhook.close();
+  }
+});
+
+test('invalid subscriptions fail, filtered-out digests are skipped and disabled ones ignored, without sending', async () => {
+  const firestore = await createFirestore({
+    broken: { channel: 'slack', target: {} },
+    quiet: { channel: 'slack', target: { webhookUrl: 'http://127.0.0.1:9/unused' }, filters: { minStage: 'Closing' } },
+    paused: { channel: 'slack', target: { webhookUrl: 'http://127.0.0.1:9/unused' }, enabled: false }
+  });
+
+  const results = await deliverSummary(firestore, SUMMARY);
+  assert.equal(results.length, 2);
+  const [broken, quiet] = results;
+
+  assert.equal(broken.status, 'failed');
+  assert.match(broken.error, /target\.webhookUrl is required for slack subscriptions/);
+  assert.equal(quiet.status, 'skipped');
+  assert.equal((await readRecord(firestore, 'quiet_2026-10-14')).status, 'skipped');
+});
@@ -2,38 +2,140 @@
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
 const { Firestore } = require('@google-cloud/firestore');
-const axios = require('axios');
+const { requireServiceAuth } = require('../shared/service-auth');
+const { createGongClient, getCallWindow } = require('../shared/gong-client');
+const { trackHttpStats } = require('../shared/http');
+const { WEEKDAYS, resolvePeriod, parseLocalDate, addDays, addMonths, formatLocalDate } = require('../shared/period');
+const { ValidationError, validateRequest } = require('../shared/validation');
+const { callService, isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS, getOfflineFirestore } = require('../shared/offline');
+const { FORMATS, CONTENT_TYPES, negotiateFormat, render } = require('../shared/render');
+const { METRICS_SCHEMA_VERSION, computeTranscriptMetrics } = require('./transcript-metrics');
+const { ROLLUPS, aggregateDailySummaries, compareRollups } = require('./rollups');
+const { deliverSummary } = require('./delivery');
 
 // Initialize clients
 const secretClient = new SecretManagerServiceClient();
-const firestore = new Firestore();
+const firestore = isOfflineMode() ? getOfflineFirestore() : new Firestore();
+
+// Calls without a stored analysis are sent to AI analysis, up to this many per summary,
+// a few calls per request, and no new request once the time budget is spent
+const MAX_NEW_ANALYSES = Number(process.env.DAILY_SUMMARY_MAX_NEW_ANALYSES) || 10;
+const ANALYSIS_BATCH_SIZE = Number(process.env.DAILY_SUMMARY_ANALYSIS_BATCH_SIZE) || 2;
+const ANALYSIS_REQUEST_TIMEOUT = 240000; // a full analysis of a long call takes minutes
+const ANALYSIS_BUDGET_MS = (Number(process.env.DAILY_SUMMARY_ANALYSIS_BUDGET_SECONDS) || 300) * 1000;
+const ANALYSIS_TYPE = 'full';
+const MAX_BACKFILL_DAYS = Number(process.env.DAILY_SUMMARY_MAX_BACKFILL_DAYS) || 31;
+
+// Request body of dailySummary. An empty body (Cloud Scheduler) summarizes yesterday.
+const SUMMARY_REQUEST_SCHEMA = {
+  properties: {
+    date: { type: 'string', format: 'date' },
+    fromDate: { type: 'string', format: 'date' },
+    toDate: { type: 'string', format: 'date' },
+    period: { type: 'string', minLength: 1 },
+    timeZone: { type: 'string', format: 'time-zone' },
+    weekStart: { type: 'string', enum: WEEKDAYS },
+    backfill: { type: 'boolean' },
+    overwrite: { type: 'boolean' },
+    deliver: { type: 'boolean' },
+    redeliver: { type: 'boolean' },
+    format: { type: 'string', enum: FORMATS }
+  }
+};
+
+// Request body of weeklySummary / monthlySummary. An empty body rolls up last week / last month.
+const ROLLUP_REQUEST_SCHEMA = {
+  properties: {
+    period: { type: 'string', minLength: 1 },
+    timeZone: { type: 'string', format: 'time-zone' },
+    weekStart: { type: 'string', enum: WEEKDAYS }
+  }
+};
 
 /**
  * Daily Summary Cloud Function
- * Generates automated summaries of calls, insights, and trends
+ * Generates automated summaries of calls, insights, and trends.
+ * Body (all optional): { date } | { fromDate, toDate } | { period }, plus timeZone
+ * and weekStart (for week periods such as "this week").
+ * A single day is stored as daily_summaries/{date}; a longer range is summarized
+ * as a whole and returned without storing. With backfill: true, every day of the
+ * range without a stored summary (or every day, with overwrite: true) is
+ * generated and stored, one document per day. With deliver: true, a single
+ * day is also pushed to the digest subscriptions (see delivery.js). The summary
+ * comes back as JSON, or as a Markdown or HTML report (format or Accept header).
  */
 functions.http('dailySummary', async (req, res) => {
+  // Only accept calls signed by other functions or Cloud Scheduler
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
     console.log('Starting daily summary generation...');
     
+    const options = validateRequest(req.body || {}, SUMMARY_REQUEST_SCHEMA);
+    const dateRange = getRequestedRange(options);
+    checkDeliveryOptions(options, dateRange);
+    
     const secrets = await getSecrets();
     const gongConfig = createGongConfig(secrets);
     
-    // Get date range for yesterday
-    const yesterday = getYesterday();
-    const summary = await generateDailySummary(gongConfig, yesterday);
+    if (options.backfill) {
+      const { result: backfill, stats } = await trackHttpStats(() =>
+        backfillSummaries(gongConfig, dateRange, options.overwrite)
+      );
+      
+      return res.status(200).json({
+        success: backfill.failed.length === 0,
+        backfill,
+        httpStats: stats,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { result: summary, stats } = await trackHttpStats(() =>
+      generateDailySummary(gongConfig, dateRange)
+    );
+    
+    // Store single days in Firestore; the document for that day is replaced
+    const stored = isSingleDay(dateRange);
+    if (stored) {
+      await storeSummary(summary);
+    }
     
-    // Store in Firestore
-    await storeSummary(summary);
+    // Push to subscribers; already delivered subscriptions are skipped unless redeliver is set
+    const deliveries = options.deliver
+      ? await deliverSummary(firestore, summary, { redeliver: options.redeliver })
+      : undefined;
+    
+    const format = negotiateFormat(options.format, req.get('accept'));
+    if (format !== 'json') {
+      return res.status(200).type(CONTENT_TYPES[format]).send(render('dailySummary', summary, format));
+    }
     
     res.status(200).json({
       success: true,
       summary,
+      dateRange,
+      stored,
+      deliveries,
+      httpStats: stats,
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
     console.error('Daily summary failed:', error);
+    
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        invalidFields: error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: error.message,
@@ -42,11 +144,75 @@ functions.http('dailySummary', async (req, res) => {
   }
 });
 
+/**
+ * Weekly and Monthly Summary Cloud Functions
+ * Roll up the daily summaries of a week or month, generating any missing day
+ * first, and compare with the previous week or month. Stored in
+ * weekly_summaries/{first day} and monthly_summaries/{YYYY-MM}.
+ */
+functions.http('weeklySummary', (req, res) => handleRollupRequest('weekly', req, res));
+functions.http('monthlySummary', (req, res) => handleRollupRequest('monthly', req, res));
+
+async function handleRollupRequest(kind, req, res) {
+  // Only accept calls signed by other functions or Cloud Scheduler
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
+  try {
+    console.log(`Starting ${kind} summary generation...`);
+    
+    const options = validateRequest(req.body || {}, ROLLUP_REQUEST_SCHEMA);
+    const dateRange = resolvePeriod(options.period || ROLLUPS[kind].defaultPeriod, options);
+    checkRollupRange(kind, dateRange);
+    
+    const secrets = await getSecrets();
+    const gongConfig = createGongConfig(secrets);
+    
+    const { result: summary, stats } = await trackHttpStats(() =>
+      generateRollup(kind, gongConfig, dateRange)
+    );
+    
+    await storeRollup(kind, summary);
+    
+    res.status(200).json({
+      success: true,
+      summary,
+      httpStats: stats,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error(`${kind} summary failed:`, error);
+    
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        invalidFields: error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
 /**
  * Call Analysis Function
- * Analyzes individual calls for insights, sentiment, and key topics
+ * Measures a call's conversation from its transcript (talk ratio, questions,
+ * monologues, topics) and stores the result in call_transcript_metrics
  */
 functions.http('analyzeCall', async (req, res) => {
+  // Only accept calls signed by other functions or Cloud Scheduler
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
     const { callId } = req.body;
     
@@ -59,20 +225,40 @@ functions.http('analyzeCall', async (req, res) => {
     const secrets = await getSecrets();
     const gongConfig = createGongConfig(secrets);
     
-    // Get call details and transcript
-    const callData = await getCallDetails(gongConfig, callId);
-    const transcript = await getCallTranscript(gongConfig, callId);
+    // Get call details, transcript and the parties behind each speaker
+    const { result: [callData, transcript, parties], stats } = await trackHttpStats(async () => {
+      const call = await getCallDetails(gongConfig, callId);
+      return [
+        call,
+        await getCallTranscript(gongConfig, callId, call),
+        await getCallParties(gongConfig, callId, call)
+      ];
+    });
+    
+    const callTranscript = transcript.callTranscripts[0];
+    if (!callTranscript) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not found',
+        details: `Gong returned no transcript for call ${callId}`,
+        missingCallIds: transcript.missingCallIds,
+        timestamp: new Date().toISOString()
+      });
+    }
     
-    // Perform analysis
-    const analysis = await analyzeCallContent(callData, transcript);
+    // Measure the conversation
+    const metrics = computeTranscriptMetrics(callTranscript.transcript, parties, callData);
     
-    // Store analysis in Firestore
-    await storeCallAnalysis(callId, analysis);
+    // Store metrics in Firestore
+    await storeTranscriptMetrics(callId, callData, metrics);
     
     res.status(200).json({
       success: true,
       callId,
-      analysis,
+      schemaVersion: METRICS_SCHEMA_VERSION,
+      metrics,
+      speakersMatched: parties.length > 0,
+      httpStats: stats,
       timestamp: new Date().toISOString()
     });
     
@@ -89,6 +275,10 @@ functions.http('analyzeCall', async (req, res) => {
 // Helper Functions
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const projectId = process.env.GOOGLE_CLOUD_PROJECT;
   
   const [accessKeyResponse] = await secretClient.accessSecretVersion({
@@ -125,107 +315,462 @@ function createGongConfig(secrets) {
   };
 }
 
-function getYesterday() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  yesterday.setHours(0, 0, 0, 0);
-  
-  const endDate = new Date(yesterday);
-  endDate.setHours(23, 59, 59, 999);
-  
+/**
+ * The range asked for: date, then fromDate/toDate, then period, else yesterday.
+ * Periods use the shared grammar (see shared/period.js); unknown ones are rejected.
+ */
+function getRequestedRange({ date, fromDate, toDate, period, timeZone, weekStart }) {
+  if (date) {
+    return resolvePeriod(date, { timeZone });
+  }
+
+  if (fromDate || toDate) {
+    if (!fromDate || !toDate) {
+      throw new ValidationError([
+        { field: fromDate ? 'toDate' : 'fromDate', message: 'is required when the other end of the range is given' }
+      ]);
+    }
+    return resolvePeriod(`${fromDate}..${toDate}`, { timeZone });
+  }
+
+  return resolvePeriod(period || 'yesterday', { timeZone, weekStart });
+}
+
+/**
+ * Digests are delivered per day, so delivery needs a single day and no backfill
+ */
+function checkDeliveryOptions({ deliver, redeliver, backfill }, dateRange) {
+  if (!deliver && !redeliver) return;
+
+  const field = deliver ? 'deliver' : 'redeliver';
+  if (!deliver) {
+    throw new ValidationError([{ field, message: 'requires deliver: true' }]);
+  }
+  if (backfill) {
+    throw new ValidationError([{ field, message: 'cannot be combined with backfill' }]);
+  }
+  if (!isSingleDay(dateRange)) {
+    throw new ValidationError([{ field, message: 'needs a single day; longer ranges are not delivered' }]);
+  }
+}
+
+/**
+ * Generate and store a summary for every day in the range that does not have
+ * one yet (every day when overwrite is set). Days run one at a time; a failed
+ * day is reported and the rest continue. Days that have not ended are skipped.
+ */
+async function backfillSummaries(gongConfig, dateRange, overwrite = false) {
+  const days = listDays(dateRange);
+  if (days.length > MAX_BACKFILL_DAYS) {
+    throw new ValidationError([
+      { field: 'backfill', message: `the range covers ${days.length} days; the limit is ${MAX_BACKFILL_DAYS}` }
+    ]);
+  }
+
+  const existing = overwrite ? new Set() : await getStoredSummaryDates(days.map(day => day.fromDate));
+  const result = {
+    fromDate: dateRange.fromDate,
+    toDate: dateRange.toDate,
+    timeZone: dateRange.timeZone,
+    generated: [],
+    skipped: [],
+    failed: []
+  };
+
+  for (const day of days) {
+    if (existing.has(day.fromDate)) {
+      result.skipped.push({ date: day.fromDate, reason: 'Summary already stored' });
+      continue;
+    }
+    if (!hasEnded(day)) {
+      result.skipped.push({ date: day.fromDate, reason: 'Day has not ended yet' });
+      continue;
+    }
+
+    try {
+      await generateAndStoreDay(gongConfig, day);
+      result.generated.push(day.fromDate);
+    } catch (error) {
+      console.error(`Backfill failed for ${day.fromDate}:`, error.message);
+      result.failed.push({ date: day.fromDate, error: error.message });
+    }
+  }
+
+  console.log(`Backfill ${result.fromDate}..${result.toDate}: ${result.generated.length} generated, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+  return result;
+}
+
+/**
+ * One date range per local day of the given range
+ */
+function listDays(dateRange) {
+  const days = [];
+  for (let day = parseLocalDate(dateRange.fromDate); formatLocalDate(day) <= dateRange.toDate; day = addDays(day, 1)) {
+    days.push(resolvePeriod(formatLocalDate(day), { timeZone: dateRange.timeZone }));
+  }
+  return days;
+}
+
+function isSingleDay(dateRange) {
+  return dateRange.fromDate === dateRange.toDate;
+}
+
+function hasEnded(dateRange) {
+  return new Date(dateRange.toDateTime) <= new Date();
+}
+
+async function generateAndStoreDay(gongConfig, day) {
+  const summary = await generateDailySummary(gongConfig, day);
+  await storeSummary(summary);
+  return summary;
+}
+
+async function getStoredSummaryDates(dates) {
+  return new Set((await getStoredSummaries(dates)).keys());
+}
+
+/**
+ * Stored daily summaries by date (only the dates that have one)
+ */
+async function getStoredSummaries(dates) {
+  const refs = dates.map(date => firestore.collection('daily_summaries').doc(date));
+  const docs = await firestore.getAll(...refs);
+  return new Map(docs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+}
+
+/**
+ * Weekly rollups cover exactly one week; monthly rollups exactly one calendar month
+ */
+function checkRollupRange(kind, dateRange) {
+  const days = listDays(dateRange).length;
+  const valid = kind === 'weekly'
+    ? days === ROLLUPS.weekly.days
+    : dateRange.fromDate.endsWith('-01') &&
+      formatLocalDate(addMonths(parseLocalDate(dateRange.fromDate), 1)) === formatLocalDate(addDays(parseLocalDate(dateRange.toDate), 1));
+
+  if (!valid) {
+    throw new ValidationError([{
+      field: 'period',
+      message: kind === 'weekly'
+        ? `must cover one week (e.g. "last week"), got ${days} days`
+        : 'must be one calendar month (e.g. "last month" or "2026-09")'
+    }]);
+  }
+}
+
+/**
+ * Roll up the days of the range. Missing days that have ended are generated
+ * and stored first; the previous period is compared from what is stored.
+ */
+async function generateRollup(kind, gongConfig, dateRange) {
+  const days = listDays(dateRange);
+  const stored = await getStoredSummaries(days.map(day => day.fromDate));
+  const generatedDays = [];
+  const missingDays = [];
+
+  for (const day of days) {
+    if (stored.has(day.fromDate)) continue;
+
+    if (!hasEnded(day)) {
+      missingDays.push({ date: day.fromDate, reason: 'Day has not ended yet' });
+      continue;
+    }
+
+    try {
+      stored.set(day.fromDate, await generateAndStoreDay(gongConfig, day));
+      generatedDays.push(day.fromDate);
+    } catch (error) {
+      console.error(`Could not generate the summary for ${day.fromDate}:`, error.message);
+      missingDays.push({ date: day.fromDate, reason: error.message });
+    }
+  }
+
+  const dailySummaries = days.map(day => stored.get(day.fromDate)).filter(Boolean);
+  const current = aggregateDailySummaries(dailySummaries);
+  const previousRange = getPreviousRollupRange(kind, dateRange);
+  const previous = await getPreviousRollup(kind, previousRange);
+
   return {
-    start: yesterday.toISOString(),
-    end: endDate.toISOString()
+    id: getRollupId(kind, dateRange),
+    kind,
+    fromDate: dateRange.fromDate,
+    toDate: dateRange.toDate,
+    timeZone: dateRange.timeZone,
+    ...current,
+    deltas: compareRollups(current, previous?.rollup),
+    previousPeriod: {
+      fromDate: previousRange.fromDate,
+      toDate: previousRange.toDate,
+      source: previous?.source || null
+    },
+    coverage: {
+      days: days.length,
+      daysWithSummary: dailySummaries.length,
+      generatedDays,
+      missingDays
+    }
   };
 }
 
+/**
+ * The previous period's stored rollup, or one built from its stored daily summaries
+ */
+async function getPreviousRollup(kind, previousRange) {
+  const doc = await firestore.collection(ROLLUPS[kind].collection).doc(getRollupId(kind, previousRange)).get();
+  if (doc.exists) {
+    return { rollup: doc.data(), source: ROLLUPS[kind].collection };
+  }
+
+  const stored = await getStoredSummaries(listDays(previousRange).map(day => day.fromDate));
+  if (stored.size === 0) {
+    return null;
+  }
+
+  return { rollup: aggregateDailySummaries(Array.from(stored.values())), source: 'daily_summaries' };
+}
+
+function getPreviousRollupRange(kind, dateRange) {
+  const start = parseLocalDate(dateRange.fromDate);
+  const previousStart = kind === 'weekly' ? addDays(start, -7) : addMonths(start, -1);
+  const previousEnd = addDays(start, -1);
+
+  return resolvePeriod(`${formatLocalDate(previousStart)}..${formatLocalDate(previousEnd)}`, { timeZone: dateRange.timeZone });
+}
+
+function getRollupId(kind, dateRange) {
+  return kind === 'weekly' ? dateRange.fromDate : dateRange.fromDate.slice(0, 7);
+}
+
+/**
+ * Store a rollup under its week or month, replacing an earlier run
+ */
+async function storeRollup(kind, summary) {
+  const doc = firestore.collection(ROLLUPS[kind].collection).doc(summary.id);
+  await replaceDocument(doc, summary);
+  
+  console.log(`Stored ${kind} summary ${summary.id}`);
+}
+
+/**
+ * Build the summary for a date range from real call analyses. Each call's
+ * analysis is read from call_analyses when AI analysis already stored one,
+ * otherwise requested from the aiAnalysis function. Every insight records
+ * where it came from; calls that could not be analyzed are listed, not guessed.
+ */
 async function generateDailySummary(gongConfig, dateRange) {
   console.log('Fetching calls for date range:', dateRange);
   
-  // Get calls from yesterday
-  const callsResponse = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params: {
-      fromDateTime: dateRange.start,
-      toDateTime: dateRange.end,
-      limit: 100
-    }
+  // Get every call in the range
+  const calls = await createGongClient(gongConfig).listCalls({
+    fromDateTime: dateRange.fromDateTime,
+    toDateTime: dateRange.toDateTime
   });
-  
-  const calls = callsResponse.data.records || [];
   console.log(`Found ${calls.length} calls for analysis`);
   
   if (calls.length === 0) {
     return {
-      date: dateRange.start.split('T')[0],
+      ...describeRange(dateRange),
       callCount: 0,
-      summary: 'No calls found for this date',
+      summary: 'No calls found for this period',
       insights: []
     };
   }
   
-  // Analyze calls
-  const insights = await Promise.all(
-    calls.slice(0, 10).map(call => analyzeCallBasic(gongConfig, call))
-  );
+  // Collect an analysis for every call we can
+  const { analyses, notAnalyzed } = await getCallAnalyses(calls);
+  const insights = calls
+    .filter(call => analyses.has(call.id))
+    .map(call => buildCallInsight(call, analyses.get(call.id)));
   
   // Generate summary
   const summary = {
-    date: dateRange.start.split('T')[0],
+    ...describeRange(dateRange),
     callCount: calls.length,
     totalDuration: calls.reduce((sum, call) => sum + (call.duration || 0), 0),
     participants: extractUniqueParticipants(calls),
     topicsDiscussed: extractTopics(insights),
     sentiment: calculateAverageSentiment(insights),
+    sentimentBreakdown: countBy(insights, insight => insight.sentiment),
+    stages: countBy(insights, insight => insight.stage),
+    hurdles: extractHurdles(insights),
     actionItems: extractActionItems(insights),
     competitorMentions: extractCompetitorMentions(insights),
-    insights: insights.filter(i => i !== null)
+    insights,
+    coverage: {
+      analyzedCalls: insights.length,
+      fromStoredAnalyses: insights.filter(insight => insight.provenance.source === 'call_analyses').length,
+      fromNewAnalyses: insights.filter(insight => insight.provenance.source === 'ai-analysis').length,
+      notAnalyzed
+    }
   };
   
   return summary;
 }
 
-async function analyzeCallBasic(gongConfig, call) {
+/**
+ * Summaries name their day in `date`; summaries of longer ranges leave it null
+ */
+function describeRange(dateRange) {
+  return {
+    date: isSingleDay(dateRange) ? dateRange.fromDate : null,
+    fromDate: dateRange.fromDate,
+    toDate: dateRange.toDate,
+    timeZone: dateRange.timeZone
+  };
+}
+
+/**
+ * Stored analyses for the calls, plus new ones from the aiAnalysis function for the rest.
+ * Resolves with a Map of callId -> { analysis, source, analyzedAt } and the calls left out.
+ */
+async function getCallAnalyses(calls) {
+  const analyses = await getStoredAnalyses(calls.map(call => call.id));
+  const notAnalyzed = [];
+
+  const pending = calls.map(call => call.id).filter(callId => !analyses.has(callId));
+  const toAnalyze = pending.slice(0, MAX_NEW_ANALYSES);
+  pending.slice(MAX_NEW_ANALYSES).forEach(callId => {
+    notAnalyzed.push({ callId, reason: `Over the limit of ${MAX_NEW_ANALYSES} new analyses per summary` });
+  });
+
+  if (toAnalyze.length > 0) {
+    console.log(`Requesting AI analysis for ${toAnalyze.length} calls without a stored analysis`);
+  }
+
+  const started = Date.now();
+  for (let index = 0; index < toAnalyze.length; index += ANALYSIS_BATCH_SIZE) {
+    const batch = toAnalyze.slice(index, index + ANALYSIS_BATCH_SIZE);
+
+    // A request started now must end before the budget does
+    if (Date.now() - started + ANALYSIS_REQUEST_TIMEOUT > ANALYSIS_BUDGET_MS) {
+      toAnalyze.slice(index).forEach(callId => {
+        notAnalyzed.push({ callId, reason: `Over the time budget of ${ANALYSIS_BUDGET_MS / 1000}s for new analyses per summary` });
+      });
+      break;
+    }
+
+    try {
+      const response = await callService('aiAnalysis', { callIds: batch, analysisType: ANALYSIS_TYPE }, {
+        timeout: ANALYSIS_REQUEST_TIMEOUT
+      });
+
+      (response.results || []).forEach(result => {
+        if (result.error || !result.analysis) {
+          notAnalyzed.push({ callId: result.callId, reason: result.details || result.error || 'No analysis returned' });
+          return;
+        }
+        analyses.set(result.callId, {
+          analysis: result.analysis,
+          source: 'ai-analysis',
+          analysisId: `${result.callId}_${ANALYSIS_TYPE}`,
+          analyzedAt: result.processedAt
+        });
+      });
+    } catch (error) {
+      console.error(`AI analysis failed for calls ${batch.join(', ')}:`, error.message);
+      batch.forEach(callId => notAnalyzed.push({ callId, reason: `AI analysis failed: ${error.message}` }));
+    }
+  }
+
+  // Calls the AI analysis response did not mention at all
+  toAnalyze
+    .filter(callId => !analyses.has(callId) && !notAnalyzed.some(entry => entry.callId === callId))
+    .forEach(callId => notAnalyzed.push({ callId, reason: 'No analysis returned' }));
+
+  return { analyses, notAnalyzed };
+}
+
+/**
+ * Read call_analyses/{callId}_full documents written by the aiAnalysis function
+ */
+async function getStoredAnalyses(callIds) {
+  const analyses = new Map();
+  const refs = callIds.map(callId => firestore.collection('call_analyses').doc(`${callId}_${ANALYSIS_TYPE}`));
+
   try {
-    const analysis = {
-      callId: call.id,
-      title: call.title,
-      duration: call.duration,
-      participants: call.participants?.length || 0,
-      sentiment: Math.random() > 0.7 ? 'positive' : Math.random() > 0.4 ? 'neutral' : 'negative',
-      topics: extractTopicsFromTitle(call.title),
-      hasActionItems: Math.random() > 0.6,
-      competitorMentioned: Math.random() > 0.8
-    };
-    
-    return analysis;
+    const docs = await firestore.getAll(...refs);
+    docs.filter(doc => doc.exists && doc.data().analysis).forEach(doc => {
+      const data = doc.data();
+      analyses.set(data.callId, {
+        analysis: data.analysis,
+        source: 'call_analyses',
+        analysisId: doc.id,
+        analyzedAt: toIsoString(data.updatedAt || data.createdAt)
+      });
+    });
   } catch (error) {
-    console.error(`Failed to analyze call ${call.id}:`, error);
-    return null;
+    console.error('Failed to read stored analyses:', error.message);
   }
+
+  console.log(`Found ${analyses.size} stored analyses for ${callIds.length} calls`);
+  return analyses;
+}
+
+/**
+ * One call's insight, taken from its AI analysis
+ */
+function buildCallInsight(call, { analysis, source, analysisId, analyzedAt }) {
+  const businessInsights = analysis.businessInsights || {};
+
+  return {
+    callId: call.id,
+    title: call.title,
+    started: call.started,
+    duration: call.duration,
+    primaryUserId: call.primaryUserId || null,
+    participants: call.participants?.length || call.parties?.length || 0,
+    sentiment: normalizeSentiment(analysis.sentiment),
+    sentimentConfidence: analysis.confidence ?? null,
+    stage: analysis.landingPoint?.currentStage || 'Unknown',
+    nextSteps: analysis.landingPoint?.nextSteps || null,
+    hurdles: toList(analysis.landingPoint?.hurdles),
+    topics: extractTopicsFromTitle(call.title),
+    actionItems: Array.isArray(analysis.actionItems) ? analysis.actionItems : [],
+    competitorMentions: toList(businessInsights.competitorMentions),
+    qualificationLevel: businessInsights.qualificationLevel || 'Unknown',
+    provenance: { source, analysisId, analyzedAt }
+  };
 }
 
 async function storeSummary(summary) {
   const doc = firestore.collection('daily_summaries').doc(summary.date);
-  await doc.set({
-    ...summary,
-    createdAt: new Date(),
-    updatedAt: new Date()
-  });
+  await replaceDocument(doc, summary);
   
   console.log(`Stored summary for ${summary.date}`);
 }
 
-async function storeCallAnalysis(callId, analysis) {
-  const doc = firestore.collection('call_analyses').doc(callId);
+/**
+ * Replace a stored document with new data. A regenerated document keeps the
+ * createdAt of the first run and only gets a new updatedAt.
+ */
+async function replaceDocument(doc, data) {
+  await firestore.runTransaction(async transaction => {
+    const existing = await transaction.get(doc);
+    const now = new Date();
+
+    transaction.set(doc, {
+      ...data,
+      createdAt: (existing.exists && existing.data().createdAt) || now,
+      updatedAt: now
+    });
+  });
+}
+
+/**
+ * Transcript metrics live apart from the AI analyses in call_analyses,
+ * so the two never overwrite each other
+ */
+async function storeTranscriptMetrics(callId, call, metrics) {
+  const doc = firestore.collection('call_transcript_metrics').doc(callId);
   await doc.set({
     callId,
-    ...analysis,
-    createdAt: new Date(),
-    updatedAt: new Date()
+    schemaVersion: METRICS_SCHEMA_VERSION,
+    callStarted: call.started || null,
+    metrics,
+    computedAt: new Date()
   });
   
-  console.log(`Stored analysis for call ${callId}`);
+  console.log(`Stored transcript metrics for call ${callId}`);
 }
 
 // Helper functions for analysis
@@ -271,7 +816,7 @@ function extractTopicsFromTitle(title) {
 }
 
 function calculateAverageSentiment(insights) {
-  const validInsights = insights.filter(i => i !== null && i.sentiment);
+  const validInsights = insights.filter(i => i !== null && i.sentiment !== 'unknown');
   if (validInsights.length === 0) return 'neutral';
   
   const sentimentScores = { 'positive': 1, 'neutral': 0, 'negative': -1 };
@@ -284,74 +829,109 @@ function calculateAverageSentiment(insights) {
   return 'neutral';
 }
 
+/**
+ * Action items as the analysis reported them, each with the call it came from
+ */
 function extractActionItems(insights) {
-  const actionItems = [];
-  insights.forEach(insight => {
-    if (insight && insight.hasActionItems) {
-      const possibleActions = [
-        'Send follow-up email',
-        'Schedule technical demo', 
-        'Provide pricing proposal',
-        'Share case studies'
-      ];
-      actionItems.push(...possibleActions.slice(0, 2));
-    }
-  });
-  return [...new Set(actionItems)];
+  return insights.flatMap(insight => insight.actionItems.map(item => ({
+    task: typeof item === 'string' ? item : item.task,
+    owner: item.owner || null,
+    urgency: item.urgency || null,
+    callId: insight.callId,
+    callTitle: insight.title,
+    source: insight.provenance.source
+  }))).filter(item => item.task);
 }
 
 function extractCompetitorMentions(insights) {
-  const competitors = [];
+  return countMentions(insights, insight => insight.competitorMentions)
+    .map(({ value, mentions, callIds }) => ({ competitor: value, mentions, callIds }));
+}
+
+function extractHurdles(insights) {
+  return countMentions(insights, insight => insight.hurdles)
+    .map(({ value, mentions, callIds }) => ({ hurdle: value, mentions, callIds }));
+}
+
+/**
+ * Count values across insights (case-insensitively), remembering which calls mentioned each
+ */
+function countMentions(insights, getValues) {
+  const counts = new Map();
+
   insights.forEach(insight => {
-    if (insight && insight.competitorMentioned) {
-      const possibleCompetitors = ['Salesforce', 'HubSpot', 'Zoom', 'Teams'];
-      competitors.push(possibleCompetitors[Math.floor(Math.random() * possibleCompetitors.length)]);
-    }
-  });
-  
-  const competitorCounts = {};
-  competitors.forEach(comp => {
-    competitorCounts[comp] = (competitorCounts[comp] || 0) + 1;
+    getValues(insight).forEach(value => {
+      const key = value.toLowerCase();
+      const entry = counts.get(key) || { value, mentions: 0, callIds: [] };
+      entry.mentions += 1;
+      if (!entry.callIds.includes(insight.callId)) entry.callIds.push(insight.callId);
+      counts.set(key, entry);
+    });
   });
-  
-  return Object.entries(competitorCounts)
-    .sort(([,a], [,b]) => b - a)
-    .map(([competitor, mentions]) => ({ competitor, mentions }));
+
+  return Array.from(counts.values()).sort((a, b) => b.mentions - a.mentions);
+}
+
+function countBy(items, getKey) {
+  return items.reduce((counts, item) => {
+    const key = getKey(item);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+/**
+ * Map the analysis' "Positive|Negative|Neutral" (any case) to lower case, or 'unknown'
+ */
+function normalizeSentiment(sentiment) {
+  const value = String(sentiment || '').trim().toLowerCase();
+  return ['positive', 'neutral', 'negative'].includes(value) ? value : 'unknown';
+}
+
+/**
+ * Analyses return lists, single strings or placeholders like "None"; normalize to a list
+ */
+function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .filter(item => !/^(none|n\/a|no .* (identified|discussed|mentioned))\.?$/i.test(item));
+}
+
+function toIsoString(timestamp) {
+  if (!timestamp) return null;
+  return (timestamp.toDate ? timestamp.toDate() : new Date(timestamp)).toISOString();
 }
 
 async function getCallDetails(gongConfig, callId) {
-  const response = await axios.get(`${gongConfig.baseUrl}/calls/${callId}`, {
-    headers: gongConfig.headers
-  });
-  return response.data;
+  return await createGongClient(gongConfig).getCall(callId);
 }
 
-async function getCallTranscript(gongConfig, callId) {
-  const response = await axios.post(`${gongConfig.baseUrl}/calls/transcript`, {
-    filter: {
-      callIds: [callId],
-      fromDateTime: '2025-01-01T00:00:00Z',
-      toDateTime: '2025-12-31T23:59:59Z'
-    }
-  }, {
-    headers: gongConfig.headers
-  });
-  return response.data;
+/**
+ * Get a call's transcript, searching around the call's start time
+ */
+async function getCallTranscript(gongConfig, callId, call) {
+  const { transcripts, missingCallIds } = await createGongClient(gongConfig).getTranscriptsForCalls(
+    [callId],
+    getCallWindow([call])
+  );
+  return { callTranscripts: transcripts, missingCallIds };
 }
 
-async function analyzeCallContent(callData, transcript) {
-  const words = transcript.callTranscripts?.[0]?.transcript?.length || 0;
-  
-  return {
-    sentiment: { overall: 'neutral', score: 0.1, confidence: 0.8 },
-    topics: ['product demo', 'pricing discussion', 'next steps'],
-    keyMoments: [
-      { timestamp: '00:05:30', type: 'question', content: 'Customer asked about pricing' },
-      { timestamp: '00:12:15', type: 'objection', content: 'Concern about implementation' }
-    ],
-    actionItems: ['Send pricing proposal', 'Schedule technical call'],
-    competitorMentions: [],
-    engagement: { speakingTime: { sales: 65, customer: 35 }, interactionLevel: 'high' },
-    wordCount: words
-  };
+/**
+ * Parties of a call with their transcript speakerId and affiliation (Internal/External).
+ * Metrics still work without them, with every speaker counted as Unknown.
+ */
+async function getCallParties(gongConfig, callId, call) {
+  try {
+    const [extensiveCall] = await createGongClient(gongConfig).listExtensiveCalls(
+      { callIds: [callId], ...getCallWindow([call]) },
+      { exposedFields: { parties: true } }
+    );
+    return extensiveCall?.parties || [];
+  } catch (error) {
+    console.warn(`Could not load parties for call ${callId}:`, error.message);
+    return [];
+  }
 }
\ No newline at end of file
@@ -0,0 +1,135 @@
+// functions/daily-summary/rollups.js - Weekly and monthly rollups of daily summaries
+//
+// A rollup adds up the daily_summaries documents of its days: call volume,
+// sentiment mix, deal stages, hurdles and competitor mentions. Deltas compare
+// it with the rollup of the previous week or month. Everything here is pure;
+// loading and storing documents happens in index.js.
+
+const ROLLUPS = {
+  weekly: { collection: 'weekly_summaries', defaultPeriod: 'last week', days: 7 },
+  monthly: { collection: 'monthly_summaries', defaultPeriod: 'last month' }
+};
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const TOP_ITEMS = 10;
+
+/**
+ * Add up daily summaries (as stored in daily_summaries)
+ */
+function aggregateDailySummaries(dailySummaries) {
+  const sentimentCounts = sumCounts(dailySummaries.map(day => day.sentimentBreakdown || {}));
+  const rated = SENTIMENTS.reduce((total, sentiment) => total + (sentimentCounts[sentiment] || 0), 0);
+
+  return {
+    daysWithSummary: dailySummaries.length,
+    callCount: sum(dailySummaries, day => day.callCount || 0),
+    totalDuration: sum(dailySummaries, day => day.totalDuration || 0),
+    analyzedCalls: sum(dailySummaries, day => day.coverage?.analyzedCalls || 0),
+    actionItemCount: sum(dailySummaries, day => (day.actionItems || []).length),
+    callsByDay: dailySummaries.reduce((byDay, day) => {
+      byDay[day.date] = day.callCount || 0;
+      return byDay;
+    }, {}),
+    sentimentMix: SENTIMENTS.reduce((mix, sentiment) => {
+      const count = sentimentCounts[sentiment] || 0;
+      mix[sentiment] = { count, percentage: rated > 0 ? round((count / rated) * 100) : 0 };
+      return mix;
+    }, {}),
+    stages: sumCounts(dailySummaries.map(day => day.stages || {})),
+    topHurdles: mergeMentions(dailySummaries.flatMap(day => day.hurdles || []), 'hurdle'),
+    competitorMentions: mergeMentions(dailySummaries.flatMap(day => day.competitorMentions || []), 'competitor')
+  };
+}
+
+/**
+ * Changes from the previous rollup. Resolves to null when there is nothing to compare with.
+ */
+function compareRollups(current, previous) {
+  if (!previous) {
+    return null;
+  }
+
+  return {
+    callCount: change(current.callCount, previous.callCount),
+    sentimentMix: SENTIMENTS.reduce((mix, sentiment) => {
+      const now = current.sentimentMix[sentiment]?.percentage || 0;
+      const before = previous.sentimentMix?.[sentiment]?.percentage || 0;
+      mix[sentiment] = { percentage: now, previousPercentage: before, changePoints: round(now - before) };
+      return mix;
+    }, {}),
+    topHurdles: compareMentions(current.topHurdles, previous.topHurdles, 'hurdle'),
+    competitorMentions: compareMentions(current.competitorMentions, previous.competitorMentions, 'competitor')
+  };
+}
+
+// Helper Functions
+
+/**
+ * Merge { [key]: name, mentions, callIds } entries by name (case-insensitive) and keep the top ones
+ */
+function mergeMentions(entries, key) {
+  const merged = new Map();
+
+  entries.forEach(entry => {
+    const name = entry?.[key];
+    if (!name) return;
+
+    const id = name.toLowerCase();
+    const current = merged.get(id) || { [key]: name, mentions: 0, callIds: [] };
+    current.mentions += entry.mentions || 0;
+    (entry.callIds || []).forEach(callId => {
+      if (!current.callIds.includes(callId)) current.callIds.push(callId);
+    });
+    merged.set(id, current);
+  });
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.mentions - a.mentions)
+    .slice(0, TOP_ITEMS);
+}
+
+function compareMentions(current = [], previous = [], key) {
+  const before = new Map(previous.map(entry => [entry[key].toLowerCase(), entry.mentions]));
+
+  return current.map(entry => {
+    const previousMentions = before.get(entry[key].toLowerCase()) || 0;
+    return {
+      [key]: entry[key],
+      mentions: entry.mentions,
+      previousMentions,
+      change: entry.mentions - previousMentions,
+      isNew: previousMentions === 0
+    };
+  });
+}
+
+function change(current, previous) {
+  return {
+    current,
+    previous,
+    change: current - previous,
+    changePercent: previous > 0 ? round(((current - previous) / previous) * 100) : null
+  };
+}
+
+function sumCounts(countMaps) {
+  return countMaps.reduce((total, counts) => {
+    Object.entries(counts).forEach(([key, count]) => {
+      total[key] = (total[key] || 0) + count;
+    });
+    return total;
+  }, {});
+}
+
+function sum(items, getValue) {
+  return items.reduce((total, item) => total + getValue(item), 0);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  ROLLUPS,
+  aggregateDailySummaries,
+  compareRollups
+};
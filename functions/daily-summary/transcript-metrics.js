@@ -0,0 +1,212 @@
+// functions/daily-summary/transcript-metrics.js - Conversation metrics computed from a Gong transcript
+//
+// Everything here is measured from the transcript itself: talk time, words,
+// questions and monologues per speaker, speaker switches and Gong's own topic
+// segments. Speakers are matched to call parties by speakerId to tell
+// Internal (our reps) from External (customers); unmatched speakers count as Unknown.
+//
+// Stored as call_transcript_metrics/{callId}. Bump METRICS_SCHEMA_VERSION when
+// the shape of `metrics` changes so readers can tell old documents apart.
+
+const METRICS_SCHEMA_VERSION = 1;
+const MAX_KEY_MOMENTS = 10;
+const AFFILIATIONS = ['Internal', 'External', 'Unknown'];
+
+/**
+ * Compute metrics for one call
+ * @param {Array<{ speakerId: string, topic?: string, sentences: Array<{ start: number, end: number, text: string }> }>} transcript
+ *        Gong transcript segments; sentence times are milliseconds from the start of the call
+ * @param {Array<{ speakerId?: string, name?: string, emailAddress?: string, affiliation?: string }>} parties
+ * @param {{ duration?: number }} call Gong call record (duration in seconds)
+ */
+function computeTranscriptMetrics(transcript, parties = [], call = {}) {
+  const sentences = flattenSentences(transcript, parties);
+  const speakers = new Map();
+
+  sentences.forEach(sentence => {
+    const speaker = speakers.get(sentence.speakerId) || {
+      speakerId: sentence.speakerId,
+      name: sentence.speakerName,
+      affiliation: sentence.affiliation,
+      talkTimeSeconds: 0,
+      wordCount: 0,
+      sentenceCount: 0,
+      questionCount: 0,
+      longestMonologueSeconds: 0
+    };
+
+    speaker.talkTimeSeconds += sentence.seconds;
+    speaker.wordCount += sentence.words;
+    speaker.sentenceCount += 1;
+    if (sentence.isQuestion) speaker.questionCount += 1;
+
+    speakers.set(sentence.speakerId, speaker);
+  });
+
+  const monologues = getMonologues(sentences);
+  monologues.forEach(monologue => {
+    const speaker = speakers.get(monologue.speakerId);
+    speaker.longestMonologueSeconds = Math.max(speaker.longestMonologueSeconds, monologue.seconds);
+  });
+
+  const totalTalkTime = sum(sentences, sentence => sentence.seconds);
+  const speakerList = Array.from(speakers.values()).map(speaker => ({
+    ...speaker,
+    talkTimeSeconds: round(speaker.talkTimeSeconds),
+    longestMonologueSeconds: round(speaker.longestMonologueSeconds),
+    talkRatio: percentage(speaker.talkTimeSeconds, totalTalkTime)
+  })).sort((a, b) => b.talkTimeSeconds - a.talkTimeSeconds);
+
+  const callMinutes = (call.duration || lastSentenceEnd(sentences)) / 60;
+  const longestMonologue = monologues.reduce((longest, monologue) =>
+    !longest || monologue.seconds > longest.seconds ? monologue : longest, null);
+
+  return {
+    durationSeconds: call.duration || null,
+    totals: {
+      talkTimeSeconds: round(totalTalkTime),
+      wordCount: sum(sentences, sentence => sentence.words),
+      sentenceCount: sentences.length,
+      questionCount: sentences.filter(sentence => sentence.isQuestion).length,
+      speakerCount: speakers.size
+    },
+    talkRatio: byAffiliation(speakerList, list => percentage(sum(list, speaker => speaker.talkTimeSeconds), totalTalkTime)),
+    questions: byAffiliation(speakerList, list => sum(list, speaker => speaker.questionCount)),
+    longestMonologue: longestMonologue && {
+      speakerId: longestMonologue.speakerId,
+      affiliation: speakers.get(longestMonologue.speakerId).affiliation,
+      seconds: round(longestMonologue.seconds),
+      startsAt: formatTimestamp(longestMonologue.start)
+    },
+    speakerSwitchesPerMinute: callMinutes > 0 ? round(Math.max(monologues.length - 1, 0) / callMinutes) : 0,
+    speakers: speakerList,
+    topics: getTopicDurations(transcript),
+    keyMoments: getCustomerQuestions(sentences)
+  };
+}
+
+// Helper Functions
+
+/**
+ * Transcript sentences in time order, each with its speaker's name and affiliation
+ */
+function flattenSentences(transcript, parties) {
+  const partiesBySpeaker = new Map(
+    parties.filter(party => party.speakerId).map(party => [String(party.speakerId), party])
+  );
+
+  return (Array.isArray(transcript) ? transcript : [])
+    .flatMap(segment => (segment.sentences || []).map(sentence => {
+      const speakerId = String(segment.speakerId);
+      const party = partiesBySpeaker.get(speakerId);
+      const text = (sentence.text || '').trim();
+
+      return {
+        speakerId,
+        speakerName: party?.name || party?.emailAddress || `Speaker ${speakerId}`,
+        affiliation: AFFILIATIONS.includes(party?.affiliation) ? party.affiliation : 'Unknown',
+        start: sentence.start || 0,
+        end: sentence.end || sentence.start || 0,
+        seconds: Math.max(0, ((sentence.end || 0) - (sentence.start || 0)) / 1000),
+        text,
+        words: text ? text.split(/\s+/).length : 0,
+        isQuestion: text.endsWith('?')
+      };
+    }))
+    .filter(sentence => sentence.text)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Runs of consecutive sentences by the same speaker
+ */
+function getMonologues(sentences) {
+  const monologues = [];
+
+  sentences.forEach(sentence => {
+    const current = monologues[monologues.length - 1];
+    if (current && current.speakerId === sentence.speakerId) {
+      current.end = sentence.end;
+      current.seconds = (current.end - current.start) / 1000;
+    } else {
+      monologues.push({
+        speakerId: sentence.speakerId,
+        start: sentence.start,
+        end: sentence.end,
+        seconds: sentence.seconds
+      });
+    }
+  });
+
+  return monologues;
+}
+
+/**
+ * Seconds spent in each of Gong's topic segments
+ */
+function getTopicDurations(transcript) {
+  const topics = {};
+
+  (Array.isArray(transcript) ? transcript : []).forEach(segment => {
+    const sentences = segment.sentences || [];
+    if (!segment.topic || sentences.length === 0) return;
+
+    const seconds = (sentences[sentences.length - 1].end - sentences[0].start) / 1000;
+    topics[segment.topic] = (topics[segment.topic] || 0) + Math.max(0, seconds);
+  });
+
+  return Object.entries(topics)
+    .map(([topic, seconds]) => ({ topic, seconds: round(seconds) }))
+    .sort((a, b) => b.seconds - a.seconds);
+}
+
+/**
+ * Questions asked by customers (external speakers), in call order
+ */
+function getCustomerQuestions(sentences) {
+  return sentences
+    .filter(sentence => sentence.isQuestion && sentence.affiliation === 'External')
+    .slice(0, MAX_KEY_MOMENTS)
+    .map(sentence => ({
+      timestamp: formatTimestamp(sentence.start),
+      type: 'customer_question',
+      speaker: sentence.speakerName,
+      content: sentence.text
+    }));
+}
+
+function byAffiliation(speakers, measure) {
+  return AFFILIATIONS.reduce((result, affiliation) => {
+    result[affiliation.toLowerCase()] = measure(speakers.filter(speaker => speaker.affiliation === affiliation));
+    return result;
+  }, {});
+}
+
+function lastSentenceEnd(sentences) {
+  return sentences.length > 0 ? Math.max(...sentences.map(sentence => sentence.end)) / 1000 : 0;
+}
+
+function formatTimestamp(milliseconds) {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function percentage(part, total) {
+  return total > 0 ? round((part / total) * 100) : 0;
+}
+
+function sum(items, getValue) {
+  return items.reduce((total, item) => total + getValue(item), 0);
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  METRICS_SCHEMA_VERSION,
+  computeTranscriptMetrics
+};
@@ -0,0 +1,815 @@
+// functions/gong-api/actions.js - Action definitions shared by the router and its OpenAPI spec
+//
+// Every action accepted by gongApi is described here once. The router validates
+// requests against these schemas and applies the defaults, and openapi.js
+// turns the same definitions into the document served at GET /openapi.json.
+
+const { FORMATS } = require('../shared/render');
+
+// Request fields
+
+const FIELDS = {
+  period: {
+    type: 'string',
+    description: 'Time window to analyze, e.g. today, yesterday, last week, last 7 days, last month, this quarter, Q3 2026, FY2026 Q1 (fiscal), or an ISO range such as 2026-10-01..2026-10-15. The resolved dates are returned in dateRange.',
+    minLength: 1
+  },
+  callIds: {
+    type: 'array',
+    description: 'Restrict the action to these Gong call IDs',
+    items: { type: 'string', minLength: 1 },
+    maxItems: 100
+  },
+  callId: {
+    type: 'string',
+    description: 'Gong call ID',
+    minLength: 1
+  },
+  timeZone: {
+    type: 'string',
+    format: 'time-zone',
+    description: 'IANA time zone used to resolve the period (e.g. America/Los_Angeles). Defaults to the Gong user\'s time zone when userEmail is given, otherwise the server default.'
+  },
+  weekStart: {
+    type: 'string',
+    description: 'First day of the week for week periods',
+    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+  },
+  userEmail: {
+    type: 'string',
+    description: 'Email of the Gong user asking; their Gong time zone is used when timeZone is not given',
+    minLength: 3
+  },
+  forceRefresh: {
+    type: 'boolean',
+    description: 'Re-run the AI analysis instead of reusing a cached one. Only needed when a cached analysis looks wrong; it costs LLM tokens.'
+  },
+  team: {
+    type: 'string',
+    description: 'Team whose AI prompt templates to use. Defaults to the team of the API key; without one, the standard prompts are used.',
+    minLength: 1
+  },
+  methodology: {
+    type: 'string',
+    description: 'Sales methodology to score against: meddicc, bant, spiced, or the ID of a custom methodology. Defaults to the team default (meddicc unless configured otherwise).',
+    pattern: '^[A-Za-z][A-Za-z0-9_]*$'
+  },
+  format: {
+    type: 'string',
+    description: 'Response format: json (default), markdown (paste into Notion or chat) or html (a standalone report for email). Accept: text/markdown or text/html does the same.',
+    enum: FORMATS
+  }
+};
+
+// Fields accepted by every period-based action
+const PERIOD_FIELDS = {
+  period: FIELDS.period,
+  timeZone: FIELDS.timeZone,
+  weekStart: FIELDS.weekStart,
+  userEmail: FIELDS.userEmail
+};
+
+// Response schemas
+
+const SCHEMAS = {
+  DateRange: {
+    type: 'object',
+    properties: {
+      period: { type: 'string', description: 'The period as understood, normalized to lower case' },
+      timeZone: { type: 'string' },
+      fromDateTime: { type: 'string', format: 'date-time' },
+      toDateTime: { type: 'string', format: 'date-time', description: 'Exclusive end of the range' },
+      fromDate: { type: 'string', format: 'date', description: 'First local date in the range' },
+      toDate: { type: 'string', format: 'date', description: 'Last local date in the range' }
+    }
+  },
+
+  AnalysisCache: {
+    type: ['object', 'null'],
+    description: 'How many AI analyses were reused from the cache. Null when no call was analyzed.',
+    properties: {
+      hits: { type: 'integer' },
+      misses: { type: 'integer' },
+      tokensSaved: { type: 'integer' },
+      forceRefresh: { type: 'boolean' }
+    }
+  },
+
+  HttpStats: {
+    type: 'object',
+    description: 'Outbound HTTP requests made while answering. In the in-process mode this includes the requests of the functions it called.',
+    properties: {
+      requests: { type: 'integer', description: 'Requests sent, retries included' },
+      retries: { type: 'integer' },
+      throttledMs: { type: 'integer', description: 'Time spent waiting on rate limits and Retry-After' }
+    }
+  },
+
+  TranscriptCoverage: {
+    type: ['object', 'null'],
+    description: 'How much of the transcript the AI analysis covered. Long transcripts are analyzed in chunks; null when there is no analysis.',
+    properties: {
+      percent: { type: 'number', description: 'Share of the transcript analyzed, 0-100' },
+      chunks: { type: 'integer' },
+      analyzedChunks: { type: 'integer' },
+      transcriptTokens: { type: 'integer', description: 'Estimated' }
+    }
+  },
+
+  EvidenceRecord: {
+    type: 'object',
+    description: 'Where an insight was said. verified is false when the quote was not found; hallucinated marks a quote the transcript does not contain.',
+    properties: {
+      item: { type: 'string', description: 'The insight this supports' },
+      quote: { type: ['string', 'null'] },
+      verified: { type: 'boolean' },
+      match: { type: ['string', 'null'], enum: ['exact', 'approximate', null] },
+      hallucinated: { type: 'boolean' },
+      speaker: { type: ['string', 'null'], description: 'Speaker1, Speaker2, ... in order of appearance' },
+      speakerId: { type: ['string', 'null'], description: 'Gong speaker ID' },
+      start: { type: ['number', 'null'], description: 'Seconds from the start of the call' },
+      timestamp: { type: ['string', 'null'], description: 'mm:ss' },
+      sentences: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { speaker: { type: 'string' }, start: { type: 'number' }, text: { type: 'string' } }
+        }
+      },
+      link: { type: ['string', 'null'], description: 'The call in Gong, at the quote' }
+    }
+  },
+
+  Evidence: {
+    type: ['object', 'null'],
+    description: 'One record per action item, concern and buying signal (enthusiasm for sentiment), in the same order, plus the key quote',
+    properties: {
+      actionItems: { type: 'array', items: { $ref: '#/components/schemas/EvidenceRecord' } },
+      concerns: { type: 'array', items: { $ref: '#/components/schemas/EvidenceRecord' } },
+      buyingSignals: { type: 'array', items: { $ref: '#/components/schemas/EvidenceRecord' } },
+      enthusiasm: { type: 'array', items: { $ref: '#/components/schemas/EvidenceRecord' } },
+      keyQuote: { oneOf: [{ $ref: '#/components/schemas/EvidenceRecord' }, { type: 'null' }] },
+      summary: {
+        type: 'object',
+        properties: {
+          quotes: { type: 'integer' },
+          verified: { type: 'integer' },
+          hallucinated: { type: 'integer' },
+          missing: { type: 'integer', description: 'Insights the model gave no quote for' }
+        }
+      }
+    }
+  },
+
+  ValidationWarnings: {
+    type: 'array',
+    description: 'How the AI answer was corrected to fit its schema, e.g. defaults for missing fields. Empty when it fit as returned.',
+    items: { type: 'string' }
+  },
+
+  CountedItem: {
+    type: 'object',
+    properties: {
+      item: { type: 'string' },
+      count: { type: 'integer' }
+    }
+  },
+
+  ActionItem: {
+    type: 'object',
+    properties: {
+      task: { type: 'string' },
+      owner: { type: 'string' },
+      urgency: { type: 'string', description: 'High, Medium or Low' },
+      context: { type: 'string' }
+    }
+  },
+
+  CallActionItem: {
+    allOf: [
+      { $ref: '#/components/schemas/ActionItem' },
+      {
+        type: 'object',
+        properties: {
+          callId: { type: 'string' },
+          callTitle: { type: 'string' },
+          callDate: { type: 'string', format: 'date-time' }
+        }
+      }
+    ]
+  },
+
+  Recommendation: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      priority: { type: 'string' },
+      action: { type: 'string' },
+      reasoning: { type: 'string' }
+    }
+  },
+
+  CallAnalysis: {
+    type: 'object',
+    properties: {
+      callId: { type: 'string' },
+      title: { type: 'string' },
+      date: { type: 'string', format: 'date-time' },
+      duration: { type: 'string' },
+      participants: { type: 'string' },
+      sentiment: {
+        type: 'object',
+        properties: {
+          overall: { type: 'string' },
+          confidence: { type: 'number' },
+          reasoning: { type: 'string' }
+        }
+      },
+      landingPoint: {
+        type: 'object',
+        properties: {
+          currentStage: { type: 'string' },
+          nextSteps: { type: 'string' },
+          timeline: { type: 'string' }
+        }
+      },
+      hurdles: { type: 'string' },
+      actionItems: { type: 'array', items: { $ref: '#/components/schemas/ActionItem' } },
+      keyInsights: {
+        type: 'object',
+        properties: {
+          keyQuote: { type: ['string', 'null'] },
+          qualificationLevel: { type: 'string' },
+          buyingSignals: { type: 'array', items: { type: 'string' } },
+          concerns: { type: 'array', items: { type: 'string' } },
+          competitorMentions: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      hasTranscript: { type: 'boolean' },
+      analysisSuccess: { type: 'boolean' },
+      evidence: { $ref: '#/components/schemas/Evidence' },
+      transcriptCoverage: { $ref: '#/components/schemas/TranscriptCoverage' },
+      validationWarnings: { $ref: '#/components/schemas/ValidationWarnings' }
+    }
+  },
+
+  AnalyzeDailyCallsResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      period: { type: 'string' },
+      dateRange: { $ref: '#/components/schemas/DateRange' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' },
+      summary: {
+        type: 'object',
+        properties: {
+          totalCalls: { type: 'integer' },
+          analyzedCalls: { type: 'integer' },
+          overallSentiment: { type: 'string' },
+          totalActionItems: { type: 'integer' },
+          totalHurdles: { type: 'integer' },
+          averageCallDuration: { type: 'number' },
+          callsWithConcerns: { type: 'integer' },
+          highQualificationCalls: { type: 'integer' }
+        }
+      },
+      calls: { type: 'array', items: { $ref: '#/components/schemas/CallAnalysis' } },
+      aggregatedInsights: {
+        type: 'object',
+        properties: {
+          commonHurdles: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { hurdle: { type: 'string' }, count: { type: 'integer' } }
+            }
+          },
+          priorityActionItems: { type: 'array', items: { $ref: '#/components/schemas/ActionItem' } },
+          buyingSignalsSummary: { type: 'array', items: { $ref: '#/components/schemas/CountedItem' } },
+          competitorMentions: { type: 'array', items: { $ref: '#/components/schemas/CountedItem' } }
+        }
+      },
+      generatedAt: { type: 'string', format: 'date-time' },
+      totalCalls: { type: 'integer', description: 'Only present when no calls were found' },
+      message: { type: 'string', description: 'Only present when no calls were found' }
+    }
+  },
+
+  CallSentimentResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      period: { type: 'string' },
+      dateRange: { $ref: '#/components/schemas/DateRange', description: 'Null when callIds were given' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' },
+      totalCallsAnalyzed: { type: 'integer' },
+      sentimentDistribution: { $ref: '#/components/schemas/SentimentCounts' },
+      sentimentPercentages: { $ref: '#/components/schemas/SentimentCounts' },
+      callSentiments: { type: 'array', items: { $ref: '#/components/schemas/CallSentiment' } },
+      insights: {
+        type: 'object',
+        properties: {
+          mostPositiveCalls: { type: 'array', items: { $ref: '#/components/schemas/CallSentiment' } },
+          concerningCalls: { type: 'array', items: { $ref: '#/components/schemas/CallSentiment' } },
+          averageConfidence: { type: 'number' }
+        }
+      },
+      missingCallIds: { type: 'array', items: { type: 'string' }, description: 'Requested callIds Gong does not know or has no transcript for' },
+      failedCalls: {
+        type: 'array',
+        description: 'Calls whose sentiment analysis failed; they are not counted above',
+        items: {
+          type: 'object',
+          properties: { callId: { type: 'string' }, error: { type: 'string' } }
+        }
+      },
+      message: { type: 'string', description: 'Only present when no calls were found' },
+      sentimentSummary: { $ref: '#/components/schemas/SentimentCounts' }
+    }
+  },
+
+  SentimentCounts: {
+    type: 'object',
+    properties: {
+      positive: { type: 'integer' },
+      neutral: { type: 'integer' },
+      negative: { type: 'integer' }
+    }
+  },
+
+  CallSentiment: {
+    type: 'object',
+    properties: {
+      callId: { type: 'string' },
+      sentiment: { type: 'string' },
+      confidence: { type: 'number' },
+      customerSentiment: { type: 'string' },
+      salespersonSentiment: { type: 'string' },
+      concerns: { type: 'array', items: { type: 'string' } },
+      enthusiasm: { type: 'array', items: { type: 'string' } },
+      evidence: { $ref: '#/components/schemas/Evidence' },
+      transcriptCoverage: { $ref: '#/components/schemas/TranscriptCoverage' },
+      validationWarnings: { $ref: '#/components/schemas/ValidationWarnings' }
+    }
+  },
+
+  DailySummaryResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      success: { type: 'boolean' },
+      summary: {
+        type: 'object',
+        properties: {
+          date: { type: ['string', 'null'], format: 'date', description: 'Null when the summary covers more than one day' },
+          fromDate: { type: 'string', format: 'date' },
+          toDate: { type: 'string', format: 'date' },
+          callCount: { type: 'integer' },
+          totalDuration: { type: 'number' },
+          participants: { type: 'array', items: { type: 'string' } },
+          topicsDiscussed: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { topic: { type: 'string' }, count: { type: 'integer' } }
+            }
+          },
+          timeZone: { type: 'string' },
+          sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+          sentimentBreakdown: { type: 'object', additionalProperties: { type: 'integer' } },
+          stages: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Calls per deal stage' },
+          hurdles: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                hurdle: { type: 'string' },
+                mentions: { type: 'integer' },
+                callIds: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          actionItems: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                task: { type: 'string' },
+                owner: { type: ['string', 'null'] },
+                urgency: { type: ['string', 'null'] },
+                callId: { type: 'string' },
+                callTitle: { type: 'string' },
+                source: { type: 'string' }
+              }
+            }
+          },
+          competitorMentions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                competitor: { type: 'string' },
+                mentions: { type: 'integer' },
+                callIds: { type: 'array', items: { type: 'string' } }
+              }
+            }
+          },
+          insights: {
+            type: 'array',
+            description: 'One entry per analyzed call; provenance says whether the analysis was stored (call_analyses) or new (ai-analysis)',
+            items: { type: 'object' }
+          },
+          coverage: {
+            type: 'object',
+            properties: {
+              analyzedCalls: { type: 'integer' },
+              fromStoredAnalyses: { type: 'integer' },
+              fromNewAnalyses: { type: 'integer' },
+              notAnalyzed: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: { callId: { type: 'string' }, reason: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      },
+      dateRange: { $ref: '#/components/schemas/DateRange' },
+      stored: { type: 'boolean', description: 'Whether the summary was saved as the daily summary of its day' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  ActionItemsResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      period: { type: 'string' },
+      dateRange: { $ref: '#/components/schemas/DateRange', description: 'Null when callIds were given' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' },
+      missingCallIds: { type: 'array', items: { type: 'string' }, description: 'Requested callIds Gong does not know' },
+      totalActionItems: { type: 'integer' },
+      actionItemsByUrgency: {
+        type: 'object',
+        properties: {
+          high: { type: 'integer' },
+          medium: { type: 'integer' },
+          low: { type: 'integer' }
+        }
+      },
+      actionItems: { type: 'array', items: { $ref: '#/components/schemas/CallActionItem' } },
+      prioritizedList: { type: 'array', items: { $ref: '#/components/schemas/CallActionItem' } },
+      summary: {
+        type: 'object',
+        properties: {
+          callsWithActionItems: { type: 'integer' },
+          averageActionsPerCall: { type: 'number' },
+          mostCommonOwners: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { owner: { type: 'string' }, count: { type: 'integer' } }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  LandingPoint: {
+    type: 'object',
+    properties: {
+      callId: { type: 'string' },
+      title: { type: 'string' },
+      currentStage: { type: 'string' },
+      nextSteps: { type: 'string' },
+      timeline: { type: 'string' },
+      qualificationLevel: { type: 'string' }
+    }
+  },
+
+  LandingPointsResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      period: { type: 'string' },
+      dateRange: { $ref: '#/components/schemas/DateRange', description: 'Null when callIds were given' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' },
+      missingCallIds: { type: 'array', items: { type: 'string' }, description: 'Requested callIds Gong does not know' },
+      totalCalls: { type: 'integer' },
+      stageDistribution: {
+        type: 'object',
+        additionalProperties: { type: 'integer' }
+      },
+      landingPoints: { type: 'array', items: { $ref: '#/components/schemas/LandingPoint' } },
+      insights: {
+        type: 'object',
+        properties: {
+          dealsInDiscovery: { type: 'integer' },
+          dealsInDemo: { type: 'integer' },
+          dealsInProposal: { type: 'integer' },
+          dealsInNegotiation: { type: 'integer' },
+          dealsInClosing: { type: 'integer' },
+          highQualificationDeals: { type: 'integer' },
+          callsWithTimeline: { type: 'integer' }
+        }
+      }
+    }
+  },
+
+  CallHurdles: {
+    type: 'object',
+    properties: {
+      callId: { type: 'string' },
+      title: { type: 'string' },
+      hurdles: { type: 'string' },
+      concerns: { type: 'array', items: { type: 'string' } },
+      qualificationLevel: { type: 'string' },
+      currentStage: { type: 'string' }
+    }
+  },
+
+  HurdlesResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      period: { type: 'string' },
+      dateRange: { $ref: '#/components/schemas/DateRange', description: 'Null when callIds were given' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' },
+      missingCallIds: { type: 'array', items: { type: 'string' }, description: 'Requested callIds Gong does not know' },
+      totalCallsWithHurdles: { type: 'integer' },
+      hurdlesBreakdown: { type: 'array', items: { $ref: '#/components/schemas/CallHurdles' } },
+      analysis: {
+        type: 'object',
+        properties: {
+          mostCommonHurdles: { type: 'array', items: { $ref: '#/components/schemas/CountedItem' } },
+          mostCommonConcerns: { type: 'array', items: { $ref: '#/components/schemas/CountedItem' } },
+          hurdlesByStage: {
+            type: 'object',
+            additionalProperties: { type: 'array', items: { type: 'object' } }
+          },
+          urgentHurdles: { type: 'array', items: { $ref: '#/components/schemas/CallHurdles' } }
+        }
+      },
+      recommendations: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            issue: { type: 'string' },
+            recommendation: { type: 'string' },
+            priority: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  DetailedCallAnalysisResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      callOverview: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          date: { type: 'string', format: 'date-time' },
+          duration: { type: 'string' },
+          participants: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      sentimentAnalysis: {
+        type: 'object',
+        properties: {
+          overall: { type: 'string' },
+          confidence: { type: 'number' },
+          reasoning: { type: 'string' },
+          customerSentiment: { type: 'string' },
+          salespersonSentiment: { type: 'string' }
+        }
+      },
+      dealAnalysis: {
+        type: 'object',
+        properties: {
+          currentStage: { type: 'string' },
+          nextSteps: { type: 'string' },
+          hurdles: { type: 'string' },
+          timeline: { type: 'string' },
+          qualificationLevel: { type: 'string' }
+        }
+      },
+      actionItems: { type: 'array', items: { $ref: '#/components/schemas/ActionItem' } },
+      businessInsights: {
+        type: 'object',
+        properties: {
+          keyQuote: { type: ['string', 'null'] },
+          buyingSignals: { type: 'array', items: { type: 'string' } },
+          concerns: { type: 'array', items: { type: 'string' } },
+          competitorMentions: { type: 'array', items: { type: 'string' } },
+          decisionMakers: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      transcriptAnalysis: {
+        type: ['object', 'null'],
+        properties: {
+          totalWords: { type: 'integer' },
+          speakingTime: { type: 'object' },
+          keyMoments: { type: 'array', items: { type: 'object' } },
+          topicFlow: { type: 'array', items: { type: 'object' } }
+        }
+      },
+      recommendations: {
+        type: 'array',
+        items: {
+          oneOf: [
+            { $ref: '#/components/schemas/Recommendation' },
+            { type: 'string' }
+          ]
+        }
+      },
+      evidence: { $ref: '#/components/schemas/Evidence' },
+      transcriptCoverage: { $ref: '#/components/schemas/TranscriptCoverage' },
+      validationWarnings: { $ref: '#/components/schemas/ValidationWarnings' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' }
+    }
+  },
+
+  MethodologyCriterion: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      weight: { type: 'number', description: 'Weight in the overall score' },
+      score: { type: 'integer', description: '0 (not discussed) to 10 (fully established)' },
+      status: { type: 'string', enum: ['confirmed', 'partial', 'missing'], description: 'confirmed from 7, partial from 4' },
+      summary: { type: 'string' },
+      quotes: { type: 'array', items: { type: 'string' } },
+      evidence: { type: 'array', items: { $ref: '#/components/schemas/EvidenceRecord' } },
+      missingInformation: { type: 'array', items: { type: 'string' }, description: 'Questions to ask on the next call' }
+    }
+  },
+
+  MethodologyScorecardResponse: {
+    type: 'object',
+    properties: {
+      httpStats: { $ref: '#/components/schemas/HttpStats' },
+      callId: { type: 'string' },
+      methodology: {
+        type: ['object', 'null'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          source: { type: 'string', enum: ['built-in', 'firestore'] },
+          version: { type: 'string', description: 'Changes whenever the definition changes' }
+        }
+      },
+      score: { type: 'integer', description: 'Weighted score of all criteria, 0-100' },
+      criteria: { type: 'array', items: { $ref: '#/components/schemas/MethodologyCriterion' } },
+      gaps: { type: 'array', items: { type: 'string' }, description: 'Criteria the call did not establish' },
+      overallAssessment: { type: 'string' },
+      evidenceSummary: {
+        type: ['object', 'null'],
+        properties: {
+          quotes: { type: 'integer' },
+          verified: { type: 'integer' },
+          hallucinated: { type: 'integer' },
+          missing: { type: 'integer' }
+        }
+      },
+      message: { type: 'string', description: 'Why there is no scorecard, e.g. the call has no transcript' },
+      transcriptCoverage: { $ref: '#/components/schemas/TranscriptCoverage' },
+      validationWarnings: { $ref: '#/components/schemas/ValidationWarnings' },
+      analysisCache: { $ref: '#/components/schemas/AnalysisCache' }
+    }
+  },
+
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      details: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      requestId: { type: 'string' },
+      invalidFields: {
+        type: 'array',
+        description: 'Present on validation errors, one entry per invalid field',
+        items: {
+          type: 'object',
+          properties: {
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Actions
+
+const ACTIONS = {
+  analyze_daily_calls: {
+    summary: 'Analyze all calls in a period',
+    description: 'Returns sentiment, landing point, hurdles and action items for every call in the period, plus aggregated insights.',
+    request: {
+      properties: { ...PERIOD_FIELDS, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team, format: FIELDS.format },
+      required: []
+    },
+    defaults: { period: 'yesterday' },
+    response: 'AnalyzeDailyCallsResponse',
+    template: 'dailyCalls'
+  },
+
+  analyze_call_sentiment: {
+    summary: 'Sentiment analysis for calls',
+    description: 'Returns the sentiment of each call and the overall distribution. Uses callIds when given, otherwise every call in the period.',
+    request: {
+      properties: { ...PERIOD_FIELDS, callIds: FIELDS.callIds, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team },
+      required: []
+    },
+    defaults: { period: 'today' },
+    response: 'CallSentimentResponse'
+  },
+
+  get_daily_summary: {
+    summary: 'Daily summary of calls',
+    description: 'Returns the summary produced by the daily-summary function. A single day (e.g. yesterday or 2026-10-01) is also stored; longer periods are summarized as a whole.',
+    request: {
+      properties: { ...PERIOD_FIELDS, format: FIELDS.format },
+      required: []
+    },
+    defaults: { period: 'yesterday' },
+    response: 'DailySummaryResponse',
+    template: 'dailySummary'
+  },
+
+  get_call_action_items: {
+    summary: 'Action items from calls',
+    description: 'Returns the action items committed to in each call, grouped by urgency.',
+    request: {
+      properties: { ...PERIOD_FIELDS, callIds: FIELDS.callIds, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team },
+      required: []
+    },
+    defaults: { period: 'today' },
+    response: 'ActionItemsResponse'
+  },
+
+  get_call_landing_points: {
+    summary: 'Where each deal stands',
+    description: 'Returns the current stage, next steps and timeline of each call.',
+    request: {
+      properties: { ...PERIOD_FIELDS, callIds: FIELDS.callIds, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team },
+      required: []
+    },
+    defaults: { period: 'today' },
+    response: 'LandingPointsResponse'
+  },
+
+  get_call_hurdles: {
+    summary: 'Hurdles to signing',
+    description: 'Returns the hurdles and concerns raised in each call, with recommendations.',
+    request: {
+      properties: { ...PERIOD_FIELDS, callIds: FIELDS.callIds, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team, format: FIELDS.format },
+      required: []
+    },
+    defaults: { period: 'today' },
+    response: 'HurdlesResponse',
+    template: 'hurdles'
+  },
+
+  detailed_call_analysis: {
+    summary: 'Detailed analysis of one call',
+    description: 'Returns call details, sentiment, deal analysis, action items, transcript analytics and recommendations for a single call.',
+    request: {
+      properties: { callId: FIELDS.callId, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team, format: FIELDS.format },
+      required: ['callId']
+    },
+    defaults: {},
+    response: 'DetailedCallAnalysisResponse',
+    template: 'callAnalysis'
+  },
+
+  score_call_methodology: {
+    summary: 'Score a call against a sales methodology',
+    description: 'Scores one call against each criterion of MEDDICC, BANT, SPICED or a custom methodology, with quotes from the call and the questions to ask next for every gap.',
+    request: {
+      properties: { callId: FIELDS.callId, methodology: FIELDS.methodology, forceRefresh: FIELDS.forceRefresh, team: FIELDS.team, format: FIELDS.format },
+      required: ['callId']
+    },
+    defaults: {},
+    response: 'MethodologyScorecardResponse',
+    template: 'methodologyScorecard'
+  }
+};
+
+const ACTION_NAMES = Object.keys(ACTIONS);
+
+module.exports = {
+  ACTIONS,
+  ACTION_NAMES,
+  FIELDS,
+  SCHEMAS
+};
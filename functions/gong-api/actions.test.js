@@ -0,0 +1,75 @@
+// functions/gong-api/actions.test.js - Tests for the action definitions the router validates against
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ACTIONS, FIELDS, SCHEMAS } = require('./actions');
+const { ValidationError, validateRequest } = require('../shared/validation');
+
+test('every action accepts its own defaults', () => {
+  Object.entries(ACTIONS).forEach(([name, definition]) => {
+    const required = Object.fromEntries(definition.request.required.map(field => [field, 'c1']));
+    assert.doesNotThrow(() => validateRequest({ action: name, ...definition.defaults, ...required }, definition.request), name);
+  });
+});
+
+test('actions with required fields reject requests without them', () => {
+  assert.throws(() => validateRequest({}, ACTIONS.detailed_call_analysis.request), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.deepEqual(error.errors, [{ field: 'callId', message: 'is required' }]);
+    return true;
+  });
+});
+
+test('action fields reject values of the wrong shape', () => {
+  const { request } = ACTIONS.get_call_action_items;
+  const invalid = [
+    { callIds: 'c1' },
+    { callIds: [''] },
+    { callIds: Array.from({ length: 101 }, (value, index) => `c${index}`) },
+    { timeZone: 'Nowhere/Land' },
+    { weekStart: 'someday' },
+    { forceRefresh: 'yes' },
+    { period: ' ' }
+  ];
+
+  invalid.forEach(body => assert.throws(() => validateRequest(body, request), ValidationError, JSON.stringify(body).slice(0, 60)));
+  assert.doesNotThrow(() => validateRequest({ callIds: ['c1'], timeZone: 'Asia/Tokyo', weekStart: 'sunday', forceRefresh: true }, request));
+});
+
+test('methodology IDs must be identifiers and formats must be known', () => {
+  const { request } = ACTIONS.score_call_methodology;
+
+  assert.doesNotThrow(() => validateRequest({ callId: 'c1', methodology: 'team_meddpicc', format: 'markdown' }, request));
+  assert.throws(() => validateRequest({ callId: 'c1', methodology: '../meddicc' }, request), ValidationError);
+  assert.throws(() => validateRequest({ callId: 'c1', format: 'pdf' }, request), ValidationError);
+});
+
+test('every period-based action accepts the same period fields', () => {
+  Object.entries(ACTIONS)
+    .filter(([, definition]) => definition.request.properties.period)
+    .forEach(([name, definition]) => {
+      ['period', 'timeZone', 'weekStart', 'userEmail'].forEach(field => {
+        assert.equal(definition.request.properties[field], FIELDS[field], `${name}.${field}`);
+      });
+    });
+});
+
+test('every schema reference points at a defined schema', () => {
+  const refs = [];
+  const collect = value => {
+    if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === 'object') {
+      if (value.$ref) refs.push(value.$ref);
+      Object.values(value).forEach(collect);
+    }
+  };
+  collect(SCHEMAS);
+
+  Object.values(ACTIONS).forEach(definition => assert.ok(SCHEMAS[definition.response], definition.response));
+  refs.forEach(ref => assert.ok(SCHEMAS[ref.replace('#/components/schemas/', '')], ref));
+});
+
+test('every action response declares the httpStats the router adds', () => {
+  Object.entries(ACTIONS).forEach(([name, definition]) => {
+    assert.deepEqual(SCHEMAS[definition.response].properties.httpStats, { $ref: '#/components/schemas/HttpStats' }, name);
+  });
+});
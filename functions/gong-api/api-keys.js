@@ -0,0 +1,228 @@
+// functions/gong-api/api-keys.js - API key authentication and daily quotas for the public router
+//
+// Clients send their key as "X-API-Key: <key>" or "Authorization: Bearer <key>".
+// Keys are stored hashed in Firestore as api_keys/{sha256(key)}:
+//   { name, active, allowedActions: ['*'] | [action, ...], quota: { requestsPerDay, tokensPerDay },
+//     timeZone?, gongUserEmail?,   (defaults for period-based actions)
+//     team? }                       (whose AI prompt templates to use)
+// Daily usage is counted in api_key_usage/{hash}_{YYYY-MM-DD} (UTC days).
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { Firestore, FieldValue } = require('@google-cloud/firestore');
+
+const firestore = new Firestore();
+const tokenUsage = new AsyncLocalStorage();
+
+const KEYS_COLLECTION = 'api_keys';
+const USAGE_COLLECTION = 'api_key_usage';
+const KEY_CACHE_DURATION = 60 * 1000; // 1 minute, so revoked keys stop working quickly
+const LEGACY_PATH_ACTION = 'legacy_path';
+
+const keyCache = new Map();
+
+/**
+ * Authentication, authorization and quota failures, with the HTTP status to return
+ */
+class ApiKeyError extends Error {
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Whether requests must carry an API key. API_KEY_AUTH=required|disabled,
+ * required by default in production.
+ */
+function isApiKeyAuthEnabled() {
+  if (process.env.API_KEY_AUTH) {
+    return process.env.API_KEY_AUTH !== 'disabled';
+  }
+  return process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Look up the key presented on the request. Resolves with the client record.
+ */
+async function authenticateRequest(req) {
+  const apiKey = getPresentedKey(req);
+  if (!apiKey) {
+    throw new ApiKeyError(401, 'API key required', 'Send your key in the X-API-Key header or as "Authorization: Bearer <key>"');
+  }
+
+  const keyId = hashKey(apiKey);
+  const client = await getClient(keyId);
+
+  if (!client) {
+    throw new ApiKeyError(401, 'Invalid API key', 'The API key is not recognized');
+  }
+  if (client.active === false) {
+    throw new ApiKeyError(403, 'API key disabled', `The key "${client.name}" has been deactivated`);
+  }
+
+  return client;
+}
+
+/**
+ * Check that the client may run the requested action
+ */
+function authorizeAction(client, action) {
+  const allowed = client.allowedActions || [];
+  if (allowed.includes('*') || allowed.includes(action)) {
+    return;
+  }
+
+  throw new ApiKeyError(403, 'Action not allowed', `The key "${client.name}" may not call ${action}. Allowed: ${allowed.join(', ') || 'none'}`);
+}
+
+/**
+ * Count one request against today's quota, or reject with 429 when the
+ * request or token allowance is used up. Resolves with today's usage.
+ */
+async function reserveRequest(client) {
+  const usageRef = getUsageRef(client);
+  const quota = client.quota || {};
+
+  return await firestore.runTransaction(async transaction => {
+    const doc = await transaction.get(usageRef);
+    const usage = doc.exists ? doc.data() : { requests: 0, tokens: 0 };
+
+    if (quota.requestsPerDay && usage.requests >= quota.requestsPerDay) {
+      throw new ApiKeyError(429, 'Daily request quota exceeded', `The key "${client.name}" is limited to ${quota.requestsPerDay} requests per day`);
+    }
+    if (quota.tokensPerDay && usage.tokens >= quota.tokensPerDay) {
+      throw new ApiKeyError(429, 'Daily token quota exceeded', `The key "${client.name}" is limited to ${quota.tokensPerDay} AI tokens per day`);
+    }
+
+    const updated = { ...usage, requests: usage.requests + 1 };
+    transaction.set(usageRef, {
+      keyId: client.id,
+      keyName: client.name,
+      date: getUsageDate(),
+      requests: updated.requests,
+      tokens: usage.tokens || 0,
+      updatedAt: new Date()
+    }, { merge: true });
+
+    return updated;
+  });
+}
+
+/**
+ * Add the AI tokens spent by a request to today's usage
+ */
+async function recordTokenUsage(client, tokens) {
+  if (!tokens) {
+    return;
+  }
+
+  try {
+    await getUsageRef(client).set({
+      tokens: FieldValue.increment(tokens),
+      updatedAt: new Date()
+    }, { merge: true });
+  } catch (error) {
+    console.error(`Failed to record token usage for key ${client.name}:`, error.message);
+  }
+}
+
+/**
+ * Run a request handler while counting the AI tokens reported by the services it calls
+ */
+async function meterTokens(callback) {
+  const meter = { tokens: 0 };
+  const result = await tokenUsage.run(meter, callback);
+  return { result, tokensUsed: meter.tokens };
+}
+
+/**
+ * Report tokens spent inside meterTokens (no-op outside it)
+ */
+function addTokenUsage(tokens) {
+  const meter = tokenUsage.getStore();
+  if (meter && tokens) {
+    meter.tokens += tokens;
+  }
+}
+
+/**
+ * Quota headers for the response
+ */
+function setQuotaHeaders(res, client, usage) {
+  const { requestsPerDay } = client.quota || {};
+  if (!requestsPerDay) {
+    return;
+  }
+
+  res.set('X-RateLimit-Limit', String(requestsPerDay));
+  res.set('X-RateLimit-Remaining', String(Math.max(requestsPerDay - usage.requests, 0)));
+  res.set('X-RateLimit-Reset', getNextResetTime().toISOString());
+}
+
+/**
+ * Seconds until the daily quotas reset (used for Retry-After)
+ */
+function secondsUntilReset() {
+  return Math.ceil((getNextResetTime().getTime() - Date.now()) / 1000);
+}
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Helper Functions
+
+function getPresentedKey(req) {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+async function getClient(keyId) {
+  const cached = keyCache.get(keyId);
+  if (cached && Date.now() - cached.loadedAt < KEY_CACHE_DURATION) {
+    return cached.client;
+  }
+
+  const doc = await firestore.collection(KEYS_COLLECTION).doc(keyId).get();
+  const client = doc.exists ? { id: keyId, ...doc.data() } : null;
+
+  keyCache.set(keyId, { client, loadedAt: Date.now() });
+  return client;
+}
+
+function getUsageRef(client) {
+  return firestore.collection(USAGE_COLLECTION).doc(`${client.id}_${getUsageDate()}`);
+}
+
+function getUsageDate() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function getNextResetTime() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+module.exports = {
+  ApiKeyError,
+  LEGACY_PATH_ACTION,
+  isApiKeyAuthEnabled,
+  authenticateRequest,
+  authorizeAction,
+  reserveRequest,
+  recordTokenUsage,
+  meterTokens,
+  addTokenUsage,
+  setQuotaHeaders,
+  secondsUntilReset,
+  hashKey
+};
@@ -1,7 +1,16 @@
 // functions/gong-api/index.js - Enhanced main router with AI analysis orchestration
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
-const axios = require('axios');
+const { ACTIONS, ACTION_NAMES } = require('./actions');
+const { buildOpenApiSpec } = require('./openapi');
+const { ValidationError, validateRequest } = require('../shared/validation');
+const { callService, describeServices, isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS } = require('../shared/offline');
+const { createGongClient } = require('../shared/gong-client');
+const { trackHttpStats } = require('../shared/http');
+const { resolvePeriod, parsePeriod, resolveTimeZone } = require('../shared/period');
+const { CONTENT_TYPES, negotiateFormat, render } = require('../shared/render');
+const apiKeys = require('./api-keys');
 
 // Initialize Secret Manager client
 const secretClient = new SecretManagerServiceClient();
@@ -11,23 +20,18 @@ let secretsCache = {};
 let lastSecretRefresh = 0;
 const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 
-// Function endpoints (adjust these URLs to your actual Google Cloud Function URLs)
-const FUNCTION_ENDPOINTS = {
-  calls: 'https://us-central1-YOUR_PROJECT_ID.cloudfunctions.net/callsHandler',
-  transcript: 'https://us-central1-YOUR_PROJECT_ID.cloudfunctions.net/transcriptHandler',
-  aiAnalysis: 'https://us-central1-YOUR_PROJECT_ID.cloudfunctions.net/aiAnalysisHandler',
-  dailySummary: 'https://us-central1-YOUR_PROJECT_ID.cloudfunctions.net/dailySummary',
-  users: 'https://us-central1-YOUR_PROJECT_ID.cloudfunctions.net/usersHandler'
-};
+// Browser origins allowed to call the API (server-to-server callers send no Origin)
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || 'https://chat.openai.com,https://chatgpt.com')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
 
 /**
  * Main HTTP Cloud Function handler - Routes and orchestrates requests
  */
 functions.http('gongApi', async (req, res) => {
   // CORS headers
-  res.set('Access-Control-Allow-Origin', '*');
-  res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  setCorsHeaders(req, res);
 
   // Handle preflight requests
   if (req.method === 'OPTIONS') {
@@ -35,7 +39,15 @@ functions.http('gongApi', async (req, res) => {
     return;
   }
 
+  // Serve the OpenAPI document for ChatGPT Actions
+  if (req.method === 'GET' && req.path === '/openapi.json') {
+    return res.status(200).json(buildOpenApiSpec(getServerUrl(req)));
+  }
+
   try {
+    // Identify the client before doing any work
+    const client = apiKeys.isApiKeyAuthEnabled() ? await apiKeys.authenticateRequest(req) : null;
+
     // Request validation
     if (!req.body) {
       return res.status(400).json({ 
@@ -44,48 +56,98 @@ functions.http('gongApi', async (req, res) => {
       });
     }
 
-    const { action, path, method = 'GET', params, body, dateRange, period } = req.body;
+    const { path, method = 'GET', params, body, dateRange, period } = req.body;
+    const action = req.body.action || getActionFromPath(req.path);
 
     console.log('Main router processing request:', JSON.stringify(req.body, null, 2));
 
-    // Get secrets from Secret Manager
-    const secrets = await getSecrets();
-    let result;
-
-    // Route based on action (your specific requirements)
-    if (action) {
-      result = await handleActionRequest(action, req.body, secrets);
-    } 
-    // Legacy path-based routing (maintain backward compatibility)
-    else if (path) {
-      result = await handlePathRequest(path, method, params, body, dateRange, period, secrets);
-    }
-    else {
+    if (!action && !path) {
       return res.status(400).json({ 
         error: 'Action or path parameter required',
-        availableActions: [
-          'analyze_daily_calls',
-          'analyze_call_sentiment', 
-          'get_daily_summary',
-          'get_call_action_items',
-          'get_call_landing_points',
-          'get_call_hurdles',
-          'detailed_call_analysis'
-        ],
+        availableActions: ACTION_NAMES,
         examples: {
           dailyAnalysis: { action: 'analyze_daily_calls', period: 'yesterday' },
           callSentiment: { action: 'analyze_call_sentiment', period: 'today' },
-          detailedAnalysis: { action: 'detailed_call_analysis', callId: 'your_call_id' }
+          detailedAnalysis: { action: 'detailed_call_analysis', callId: 'your_call_id' },
+          methodologyScore: { action: 'score_call_methodology', callId: 'your_call_id', methodology: 'meddicc' }
         }
       });
     }
 
-    console.log('Request completed successfully');
-    res.status(200).json(result);
+    // Validate action requests before touching any credentials
+    const actionParams = action ? prepareActionParams(action, req.body) : null;
+
+    // Keys can carry a default time zone and Gong user for period-based actions
+    if (client && actionParams && 'period' in actionParams) {
+      actionParams.timeZone = actionParams.timeZone || client.timeZone;
+      actionParams.userEmail = actionParams.userEmail || client.gongUserEmail;
+    }
+
+    // ...and the team whose prompt templates AI analysis uses
+    if (client && actionParams && client.team) {
+      actionParams.team = actionParams.team || client.team;
+    }
+
+    // Check the key's permissions and count the request against its quota
+    if (client) {
+      apiKeys.authorizeAction(client, action || apiKeys.LEGACY_PATH_ACTION);
+      const usage = await apiKeys.reserveRequest(client);
+      apiKeys.setQuotaHeaders(res, client, usage);
+      console.log(`Request from API key "${client.name}" (${usage.requests} today)`);
+    }
+
+    // Get secrets from Secret Manager
+    const secrets = await getSecrets();
+
+    // Count AI tokens and outbound requests/retries while handling the request
+    const { result: { result, tokensUsed }, stats } = await trackHttpStats(() => apiKeys.meterTokens(() => {
+      // Route based on action (your specific requirements)
+      if (action) {
+        return handleActionRequest(action, actionParams, secrets);
+      }
+      // Legacy path-based routing (maintain backward compatibility)
+      return handlePathRequest(path, method, params, body, dateRange, period, secrets);
+    }));
+
+    if (client) {
+      await apiKeys.recordTokenUsage(client, tokensUsed);
+    }
+
+    console.log(`Request completed successfully (${tokensUsed} AI tokens, ${stats.retries} retries)`);
+
+    // Actions with a report template can answer in Markdown or HTML instead of JSON
+    const format = action && ACTIONS[action].template ? negotiateFormat(actionParams.format, req.get('accept')) : 'json';
+    if (format !== 'json') {
+      return res.status(200).type(CONTENT_TYPES[format]).send(render(ACTIONS[action].template, result, format));
+    }
+
+    res.status(200).json({ ...result, httpStats: stats });
 
   } catch (error) {
     console.error('Main router error:', error);
 
+    if (error instanceof apiKeys.ApiKeyError) {
+      if (error.statusCode === 429) {
+        res.set('Retry-After', String(apiKeys.secondsUntilReset()));
+      }
+      return res.status(error.statusCode).json({
+        error: error.message,
+        details: error.details,
+        timestamp: new Date().toISOString(),
+        requestId: req.get('x-cloud-trace-context') || 'unknown'
+      });
+    }
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        details: `${error.errors.length} invalid field(s)`,
+        invalidFields: error.errors,
+        timestamp: new Date().toISOString(),
+        requestId: req.get('x-cloud-trace-context') || 'unknown'
+      });
+    }
+
     // Determine appropriate error status and message
     let statusCode = 500;
     let errorMessage = 'Internal server error';
@@ -117,53 +179,101 @@ functions.http('gongApi', async (req, res) => {
 /**
  * Handle action-based requests (your specific requirements)
  */
-async function handleActionRequest(action, requestData, secrets) {
+async function handleActionRequest(action, params, secrets) {
   console.log(`Handling action: ${action}`);
 
+  const periodOptions = await getPeriodOptions(params, secrets);
+  const analysisOptions = { forceRefresh: params.forceRefresh === true, team: params.team };
+
   switch (action) {
     case 'analyze_daily_calls':
-      return await analyzeDailyCalls(requestData.period || 'yesterday', secrets);
+      return await analyzeDailyCalls(params.period, secrets, periodOptions, analysisOptions);
     
     case 'analyze_call_sentiment':
-      return await analyzeCallSentiment(requestData.period || 'today', requestData.callIds, secrets);
+      return await analyzeCallSentiment(params.period, params.callIds, secrets, periodOptions, analysisOptions);
     
     case 'get_daily_summary':
-      return await getDailySummary(requestData.period || 'yesterday', secrets);
+      return await getDailySummary(params.period, secrets, periodOptions);
     
     case 'get_call_action_items':
-      return await getCallActionItems(requestData.period || 'today', requestData.callIds, secrets);
+      return await getCallActionItems(params.period, params.callIds, secrets, periodOptions, analysisOptions);
     
     case 'get_call_landing_points':
-      return await getCallLandingPoints(requestData.period || 'today', requestData.callIds, secrets);
+      return await getCallLandingPoints(params.period, params.callIds, secrets, periodOptions, analysisOptions);
     
     case 'get_call_hurdles':
-      return await getCallHurdles(requestData.period || 'today', requestData.callIds, secrets);
+      return await getCallHurdles(params.period, params.callIds, secrets, periodOptions, analysisOptions);
     
     case 'detailed_call_analysis':
-      if (!requestData.callId) {
-        throw new Error('callId is required for detailed analysis');
-      }
-      return await detailedCallAnalysis(requestData.callId, secrets);
-    
-    default:
-      throw new Error(`Unknown action: ${action}. Available actions: analyze_daily_calls, analyze_call_sentiment, get_daily_summary, get_call_action_items, get_call_landing_points, get_call_hurdles, detailed_call_analysis`);
+      return await detailedCallAnalysis(params.callId, secrets, analysisOptions);
+
+    case 'score_call_methodology':
+      return await scoreCallMethodology(params.callId, params.methodology, analysisOptions);
+  }
+}
+
+/**
+ * Validate an action request against its definition and apply defaults
+ */
+function prepareActionParams(action, requestData) {
+  const definition = ACTIONS[action];
+  if (!definition) {
+    throw new ValidationError([
+      { field: 'action', message: `must be one of: ${ACTION_NAMES.join(', ')}` }
+    ], `Unknown action: ${action}`);
+  }
+
+  // Reject invalid fields up front instead of letting handlers guess
+  validateRequest(requestData, definition.request);
+  const params = applyActionDefaults(definition, requestData);
+
+  // Periods are free text, so check they parse before doing any work
+  if (params.period) {
+    parsePeriod(params.period);
   }
+
+  return params;
+}
+
+/**
+ * Time zone and week start for period-based actions. Without an explicit
+ * timeZone, the Gong user's own time zone is used when userEmail is known.
+ */
+async function getPeriodOptions(params, secrets) {
+  if (!('period' in params)) {
+    return {};
+  }
+
+  const timeZone = await resolveTimeZone({
+    timeZone: params.timeZone,
+    email: params.userEmail,
+    gongClient: params.userEmail ? createGongClient(createGongConfig(secrets)) : null
+  });
+
+  return { timeZone, weekStart: params.weekStart };
+}
+
+/**
+ * Fill in defaults from the action definition for fields the caller left empty
+ */
+function applyActionDefaults(definition, requestData) {
+  const params = {};
+
+  Object.keys(definition.request.properties).forEach(field => {
+    const value = requestData[field];
+    params[field] = value === undefined || value === null || value === ''
+      ? definition.defaults[field]
+      : value;
+  });
+
+  return params;
 }
 
 /**
  * Handle legacy path-based requests (maintain compatibility)
  */
 async function handlePathRequest(path, method, params, body, dateRange, period, secrets) {
-  const authHeader = createAuthHeader(secrets.accessKey, secrets.secretKey);
-  const gongConfig = {
-    baseUrl: secrets.baseUrl,
-    authHeader,
-    headers: {
-      'Authorization': authHeader,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    }
-  };
+  const gongConfig = createGongConfig(secrets);
 
   // Special handling for transcript requests
   if (path && (path.includes('/transcript') || path.includes('transcript'))) {
@@ -173,7 +283,7 @@ async function handlePathRequest(path, method, params, body, dateRange, period,
     }
     
     const callId = callIdMatch[1];
-    return await callFunction(FUNCTION_ENDPOINTS.transcript, {
+    return await callService('transcript', {
       callId: callId
     });
   } else {
@@ -207,23 +317,10 @@ async function handlePathRequest(path, method, params, body, dateRange, period,
  * YOUR REQUIREMENTS: Analyze all calls from a specific day
  * Returns: sentiment, landing points, hurdles, action items for each call
  */
-async function analyzeDailyCalls(period, secrets) {
+async function analyzeDailyCalls(period, secrets, periodOptions, analysisOptions) {
   console.log(`Starting daily calls analysis for period: ${period}`);
   
-  const dateRange = getDateRange(period);
-  
-  // Step 1: Get all calls for the period
-  const callsResponse = await callFunction(FUNCTION_ENDPOINTS.calls, {
-    method: 'GET',
-    query: {
-      fromDateTime: dateRange.fromDateTime,
-      toDateTime: dateRange.toDateTime,
-      limit: 100
-    }
-  });
-
-  const calls = callsResponse.calls || [];
-  console.log(`Found ${calls.length} calls for analysis`);
+  const { dateRange, calls, results: detailedResults, analysisCache } = await runCallAnalysisPipeline(period, undefined, periodOptions, analysisOptions);
 
   if (calls.length === 0) {
     return {
@@ -235,25 +332,80 @@ async function analyzeDailyCalls(period, secrets) {
     };
   }
 
-  // Step 2: Get transcripts for all calls
-  const callIds = calls.map(call => call.id);
-  const transcriptResponse = await callFunction(FUNCTION_ENDPOINTS.transcript, {
-    callIds: callIds
+  // Step 5: Generate overall summary
+  const successfulAnalyses = detailedResults.filter(r => r.analysisSuccess);
+  const overallSentiment = calculateOverallSentiment(successfulAnalyses);
+  const allActionItems = successfulAnalyses.flatMap(r => r.actionItems);
+  const allHurdles = successfulAnalyses.map(r => r.hurdles).filter(h => h !== 'No hurdles identified');
+
+  return {
+    period,
+    dateRange,
+    summary: {
+      totalCalls: calls.length,
+      analyzedCalls: successfulAnalyses.length,
+      overallSentiment,
+      totalActionItems: allActionItems.length,
+      totalHurdles: allHurdles.length,
+      averageCallDuration: calls.reduce((sum, call) => sum + (call.duration || 0), 0) / calls.length,
+      callsWithConcerns: successfulAnalyses.filter(r => r.keyInsights.concerns.length > 0).length,
+      highQualificationCalls: successfulAnalyses.filter(r => r.keyInsights.qualificationLevel === 'High').length
+    },
+    calls: detailedResults,
+    aggregatedInsights: {
+      commonHurdles: getMostCommonHurdles(allHurdles),
+      priorityActionItems: getPriorityActionItems(allActionItems),
+      buyingSignalsSummary: aggregateBuyingSignals(successfulAnalyses),
+      competitorMentions: aggregateCompetitorMentions(successfulAnalyses)
+    },
+    analysisCache,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Shared analysis pipeline used by every per-call action:
+ * calls -> transcripts -> AI analysis -> one structured result per call.
+ * Runs only on callIds when they are given, otherwise on every call in the period.
+ * Cached AI analyses are reused unless analysisOptions.forceRefresh is set.
+ */
+async function runCallAnalysisPipeline(period, callIds, periodOptions, analysisOptions = {}) {
+  const dateRange = callIds?.length > 0 ? null : getDateRange(period, periodOptions);
+
+  // Step 1: Get the calls to analyze
+  const { calls, missingCallIds } = await getCallsForAnalysis(dateRange, callIds);
+  console.log(`Found ${calls.length} calls for analysis`);
+
+  if (calls.length === 0) {
+    return { dateRange, calls, missingCallIds, results: [], analysisCache: null };
+  }
+
+  // Step 2: Get transcripts for all calls (only used to flag calls without one,
+  // so a failure here should not throw away the calls already fetched)
+  const targetCallIds = calls.map(call => call.id);
+  const transcriptResponse = await callService('transcript', {
+    callIds: targetCallIds
+  }).catch(error => {
+    console.error('Transcript lookup failed, continuing without transcripts:', error.message);
+    return {};
   });
 
   const transcripts = transcriptResponse.callTranscripts || [];
   console.log(`Retrieved ${transcripts.length} transcripts`);
 
   // Step 3: Analyze each call with AI
-  const analysisResponse = await callFunction(FUNCTION_ENDPOINTS.aiAnalysis, {
-    callIds: callIds,
-    analysisType: 'full'
+  const analysisResponse = await callService('aiAnalysis', {
+    callIds: targetCallIds,
+    analysisType: 'full',
+    forceRefresh: analysisOptions.forceRefresh,
+    team: analysisOptions.team
   });
+  apiKeys.addTokenUsage(analysisResponse.summary?.tokensUsed);
 
   const analyses = analysisResponse.results || [];
 
   // Step 4: Combine and structure the results for your requirements
-  const detailedResults = calls.map(call => {
+  const results = calls.map(call => {
     const transcript = transcripts.find(t => t.callId === call.id);
     const analysis = analyses.find(a => a.callId === call.id);
 
@@ -290,84 +442,118 @@ async function analyzeDailyCalls(period, secrets) {
       },
       
       hasTranscript: !!transcript,
-      analysisSuccess: !analysis?.error
+      analysisSuccess: !analysis?.error,
+      evidence: analysis?.analysis?.evidence || null,
+      transcriptCoverage: analysis?.coverage || null,
+      validationWarnings: analysis?.validationWarnings || []
     };
   });
 
-  // Step 5: Generate overall summary
-  const successfulAnalyses = detailedResults.filter(r => r.analysisSuccess);
-  const overallSentiment = calculateOverallSentiment(successfulAnalyses);
-  const allActionItems = successfulAnalyses.flatMap(r => r.actionItems);
-  const allHurdles = successfulAnalyses.map(r => r.hurdles).filter(h => h !== 'No hurdles identified');
+  return { dateRange, calls, missingCallIds, results, analysisCache: analysisResponse.summary?.cache || null };
+}
 
-  return {
-    period,
-    dateRange,
-    summary: {
-      totalCalls: calls.length,
-      analyzedCalls: successfulAnalyses.length,
-      overallSentiment,
-      totalActionItems: allActionItems.length,
-      totalHurdles: allHurdles.length,
-      averageCallDuration: calls.reduce((sum, call) => sum + (call.duration || 0), 0) / calls.length,
-      callsWithConcerns: successfulAnalyses.filter(r => r.keyInsights.concerns.length > 0).length,
-      highQualificationCalls: successfulAnalyses.filter(r => r.keyInsights.qualificationLevel === 'High').length
-    },
-    calls: detailedResults,
-    aggregatedInsights: {
-      commonHurdles: getMostCommonHurdles(allHurdles),
-      priorityActionItems: getPriorityActionItems(allActionItems),
-      buyingSignalsSummary: aggregateBuyingSignals(successfulAnalyses),
-      competitorMentions: aggregateCompetitorMentions(successfulAnalyses)
-    },
-    generatedAt: new Date().toISOString()
-  };
+/**
+ * Get the calls to analyze: the requested call IDs, or every call in the date range.
+ * Requested calls Gong does not know (404) are listed in missingCallIds rather
+ * than failing the request; any other lookup error still does.
+ */
+async function getCallsForAnalysis(dateRange, callIds) {
+  if (callIds?.length > 0) {
+    const lookups = await Promise.allSettled(callIds.map(callId =>
+      callService('calls', {
+        action: 'getCallDetails',
+        callId
+      })
+    ));
+
+    const failure = lookups.find(lookup => lookup.status === 'rejected' && lookup.reason.response?.status !== 404);
+    if (failure) {
+      throw failure.reason;
+    }
+
+    const missingCallIds = callIds.filter((callId, index) => lookups[index].status === 'rejected');
+    if (missingCallIds.length > 0) {
+      console.warn(`Calls not found in Gong: ${missingCallIds.join(', ')}`);
+    }
+
+    const calls = lookups
+      .map((lookup, index) => ({ response: lookup.value, callId: callIds[index] }))
+      .filter(({ response }) => response)
+      .map(({ response, callId }) => ({
+        ...response.call,
+        id: response.call?.id || callId,
+        participantNames: response.call?.participants
+          ?.map(p => p.fullName || p.name)
+          .filter(Boolean)
+          .join(', ')
+      }));
+
+    return { calls, missingCallIds };
+  }
+
+  const callsResponse = await callService('calls', {
+    method: 'GET',
+    query: {
+      fromDateTime: dateRange.fromDateTime,
+      toDateTime: dateRange.toDateTime,
+      limit: 100
+    }
+  });
+
+  return { calls: callsResponse.calls || [], missingCallIds: [] };
 }
 
 /**
  * YOUR REQUIREMENT: Get sentiment analysis for calls in a period
  */
-async function analyzeCallSentiment(period, callIds, secrets) {
+async function analyzeCallSentiment(period, callIds, secrets, periodOptions, analysisOptions) {
   console.log(`Analyzing call sentiment for period: ${period}`);
   
-  let targetCallIds = callIds;
-  
-  // If no specific call IDs provided, get all calls for the period
-  if (!targetCallIds || targetCallIds.length === 0) {
-    const dateRange = getDateRange(period);
-    const callsResponse = await callFunction(FUNCTION_ENDPOINTS.calls, {
-      method: 'GET',
-      query: {
-        fromDateTime: dateRange.fromDateTime,
-        toDateTime: dateRange.toDateTime,
-        limit: 100
-      }
-    });
-    targetCallIds = (callsResponse.calls || []).map(call => call.id);
-  }
+  const dateRange = callIds?.length > 0 ? null : getDateRange(period, periodOptions);
+  const { calls, missingCallIds } = await getCallsForAnalysis(dateRange, callIds);
+  const targetCallIds = calls.map(call => call.id);
 
   if (targetCallIds.length === 0) {
     return {
       period,
+      dateRange,
       message: 'No calls found for sentiment analysis',
-      sentimentSummary: { positive: 0, neutral: 0, negative: 0 }
+      sentimentSummary: { positive: 0, neutral: 0, negative: 0 },
+      missingCallIds
     };
   }
 
   // Get sentiment analysis
-  const analysisResponse = await callFunction(FUNCTION_ENDPOINTS.aiAnalysis, {
+  const analysisResponse = await callService('aiAnalysis', {
     callIds: targetCallIds,
-    analysisType: 'sentiment'
+    analysisType: 'sentiment',
+    forceRefresh: analysisOptions.forceRefresh,
+    team: analysisOptions.team
   });
-
-  const sentimentResults = (analysisResponse.results || []).map(result => ({
+  apiKeys.addTokenUsage(analysisResponse.summary?.tokensUsed);
+
+  // Calls without a transcript or whose analysis failed come back as error entries;
+  // they are reported, not counted as neutral calls
+  const results = analysisResponse.results || [];
+  const failedResults = results.filter(result => result.error);
+  missingCallIds.push(...failedResults
+    .filter(result => result.error === 'Transcript not found')
+    .map(result => result.callId));
+  const failedCalls = failedResults
+    .filter(result => result.error !== 'Transcript not found')
+    .map(result => ({ callId: result.callId, error: result.error }));
+
+  const sentimentResults = results.filter(result => !result.error).map(result => ({
     callId: result.callId,
     sentiment: result.analysis?.overallSentiment || 'neutral',
     confidence: result.analysis?.confidence || 0,
     customerSentiment: result.analysis?.customerSentiment || 'neutral',
     salespersonSentiment: result.analysis?.salespersonSentiment || 'neutral',
     concerns: result.analysis?.concerns || [],
-    enthusiasm: result.analysis?.enthusiasm || []
+    enthusiasm: result.analysis?.enthusiasm || [],
+    evidence: result.analysis?.evidence || null,
+    transcriptCoverage: result.coverage || null,
+    validationWarnings: result.validationWarnings || []
   }));
 
   // Calculate sentiment distribution
@@ -379,6 +565,7 @@ async function analyzeCallSentiment(period, callIds, secrets) {
 
   return {
     period,
+    dateRange,
     totalCallsAnalyzed: sentimentResults.length,
     sentimentDistribution,
     sentimentPercentages: {
@@ -390,20 +577,27 @@ async function analyzeCallSentiment(period, callIds, secrets) {
     insights: {
       mostPositiveCalls: sentimentResults.filter(r => r.sentiment === 'positive' && r.confidence > 0.7),
       concerningCalls: sentimentResults.filter(r => r.sentiment === 'negative' && r.concerns.length > 0),
-      averageConfidence: sentimentResults.reduce((sum, r) => sum + r.confidence, 0) / sentimentResults.length
-    }
+      averageConfidence: sentimentResults.length > 0
+        ? sentimentResults.reduce((sum, r) => sum + r.confidence, 0) / sentimentResults.length
+        : 0
+    },
+    missingCallIds,
+    failedCalls,
+    analysisCache: analysisResponse.summary?.cache || null
   };
 }
 
 /**
  * YOUR REQUIREMENT: Get daily summary of all calls
  */
-async function getDailySummary(period, secrets) {
+async function getDailySummary(period, secrets, periodOptions) {
   console.log(`Generating daily summary for period: ${period}`);
   
   // Call the daily summary function
-  const summaryResponse = await callFunction(FUNCTION_ENDPOINTS.dailySummary, {
-    period: period
+  const summaryResponse = await callService('dailySummary', {
+    period: period,
+    timeZone: periodOptions.timeZone,
+    weekStart: periodOptions.weekStart
   });
 
   return summaryResponse;
@@ -412,12 +606,12 @@ async function getDailySummary(period, secrets) {
 /**
  * YOUR REQUIREMENT: Get action items from all calls in a day
  */
-async function getCallActionItems(period, callIds, secrets) {
-  console.log(`Extracting action items for period: ${period}`);
+async function getCallActionItems(period, callIds, secrets, periodOptions, analysisOptions) {
+  console.log(`Extracting action items for period: ${period}`, callIds ? `(calls: ${callIds.join(', ')})` : '');
   
-  const analysisResult = await analyzeDailyCalls(period, secrets);
+  const analysisResult = await runCallAnalysisPipeline(period, callIds, periodOptions, analysisOptions);
   
-  const allActionItems = analysisResult.calls.flatMap(call => 
+  const allActionItems = analysisResult.results.flatMap(call => 
     call.actionItems.map(item => ({
       ...item,
       callId: call.callId,
@@ -435,6 +629,7 @@ async function getCallActionItems(period, callIds, secrets) {
 
   return {
     period,
+    dateRange: analysisResult.dateRange,
     totalActionItems: allActionItems.length,
     actionItemsByUrgency: {
       high: actionItemsByUrgency.high.length,
@@ -448,22 +643,26 @@ async function getCallActionItems(period, callIds, secrets) {
       ...actionItemsByUrgency.low
     ],
     summary: {
-      callsWithActionItems: analysisResult.calls.filter(call => call.actionItems.length > 0).length,
-      averageActionsPerCall: allActionItems.length / analysisResult.calls.length,
+      callsWithActionItems: analysisResult.results.filter(call => call.actionItems.length > 0).length,
+      averageActionsPerCall: analysisResult.results.length > 0
+        ? allActionItems.length / analysisResult.results.length
+        : 0,
       mostCommonOwners: getMostCommonActionOwners(allActionItems)
-    }
+    },
+    missingCallIds: analysisResult.missingCallIds,
+    analysisCache: analysisResult.analysisCache
   };
 }
 
 /**
  * YOUR REQUIREMENT: Get landing points (where deals stand) for all calls
  */
-async function getCallLandingPoints(period, callIds, secrets) {
-  console.log(`Analyzing call landing points for period: ${period}`);
+async function getCallLandingPoints(period, callIds, secrets, periodOptions, analysisOptions) {
+  console.log(`Analyzing call landing points for period: ${period}`, callIds ? `(calls: ${callIds.join(', ')})` : '');
   
-  const analysisResult = await analyzeDailyCalls(period, secrets);
+  const analysisResult = await runCallAnalysisPipeline(period, callIds, periodOptions, analysisOptions);
   
-  const landingPointsSummary = analysisResult.calls.map(call => ({
+  const landingPointsSummary = analysisResult.results.map(call => ({
     callId: call.callId,
     title: call.title,
     currentStage: call.landingPoint.currentStage,
@@ -481,6 +680,7 @@ async function getCallLandingPoints(period, callIds, secrets) {
 
   return {
     period,
+    dateRange: analysisResult.dateRange,
     totalCalls: landingPointsSummary.length,
     stageDistribution,
     landingPoints: landingPointsSummary,
@@ -492,19 +692,21 @@ async function getCallLandingPoints(period, callIds, secrets) {
       dealsInClosing: landingPointsSummary.filter(call => call.currentStage === 'Closing').length,
       highQualificationDeals: landingPointsSummary.filter(call => call.qualificationLevel === 'High').length,
       callsWithTimeline: landingPointsSummary.filter(call => call.timeline !== 'No timeline discussed').length
-    }
+    },
+    missingCallIds: analysisResult.missingCallIds,
+    analysisCache: analysisResult.analysisCache
   };
 }
 
 /**
  * YOUR REQUIREMENT: Get hurdles to signing for all calls
  */
-async function getCallHurdles(period, callIds, secrets) {
-  console.log(`Analyzing call hurdles for period: ${period}`);
+async function getCallHurdles(period, callIds, secrets, periodOptions, analysisOptions) {
+  console.log(`Analyzing call hurdles for period: ${period}`, callIds ? `(calls: ${callIds.join(', ')})` : '');
   
-  const analysisResult = await analyzeDailyCalls(period, secrets);
+  const analysisResult = await runCallAnalysisPipeline(period, callIds, periodOptions, analysisOptions);
   
-  const hurdlesData = analysisResult.calls.map(call => ({
+  const hurdlesData = analysisResult.results.map(call => ({
     callId: call.callId,
     title: call.title,
     hurdles: call.hurdles,
@@ -521,6 +723,7 @@ async function getCallHurdles(period, callIds, secrets) {
 
   return {
     period,
+    dateRange: analysisResult.dateRange,
     totalCallsWithHurdles: hurdlesData.length,
     hurdlesBreakdown: hurdlesData,
     analysis: {
@@ -531,32 +734,37 @@ async function getCallHurdles(period, callIds, secrets) {
         call.currentStage === 'Negotiation' || call.currentStage === 'Closing'
       )
     },
-    recommendations: generateHurdleRecommendations(allHurdles, allConcerns)
+    recommendations: generateHurdleRecommendations(allHurdles, allConcerns),
+    missingCallIds: analysisResult.missingCallIds,
+    analysisCache: analysisResult.analysisCache
   };
 }
 
 /**
  * YOUR REQUIREMENT: Detailed analysis of a specific call
  */
-async function detailedCallAnalysis(callId, secrets) {
+async function detailedCallAnalysis(callId, secrets, analysisOptions) {
   console.log(`Performing detailed analysis for call: ${callId}`);
   
   // Step 1: Get call details
-  const callResponse = await callFunction(FUNCTION_ENDPOINTS.calls, {
+  const callResponse = await callService('calls', {
     action: 'getCallDetails',
     callId: callId
   });
 
   // Step 2: Get transcript
-  const transcriptResponse = await callFunction(FUNCTION_ENDPOINTS.transcript, {
+  const transcriptResponse = await callService('transcript', {
     callId: callId
   });
 
   // Step 3: Get AI analysis
-  const analysisResponse = await callFunction(FUNCTION_ENDPOINTS.aiAnalysis, {
+  const analysisResponse = await callService('aiAnalysis', {
     callIds: [callId],
-    analysisType: 'full'
+    analysisType: 'full',
+    forceRefresh: analysisOptions.forceRefresh,
+    team: analysisOptions.team
   });
+  apiKeys.addTokenUsage(analysisResponse.summary?.tokensUsed);
 
   const callDetails = callResponse.call;
   const transcript = transcriptResponse.callTranscripts?.[0];
@@ -598,13 +806,62 @@ async function detailedCallAnalysis(callId, secrets) {
       keyMoments: transcript.analytics?.keyMoments || [],
       topicFlow: transcript.analytics?.topicFlow || []
     } : null,
-    recommendations: generateCallRecommendations(analysis, transcript)
+    recommendations: generateCallRecommendations(analysis, transcript),
+    evidence: analysis?.evidence || null,
+    transcriptCoverage: analysisResponse.results?.[0]?.coverage || null,
+    validationWarnings: analysisResponse.results?.[0]?.validationWarnings || [],
+    analysisCache: analysisResponse.summary?.cache || null
+  };
+}
+
+/**
+ * Score one call against a sales methodology (MEDDICC, BANT, SPICED or one from sales_methodologies)
+ */
+async function scoreCallMethodology(callId, methodology, analysisOptions) {
+  console.log(`Scoring call ${callId} against methodology: ${methodology || 'default'}`);
+
+  const analysisResponse = await callService('aiAnalysis', {
+    callIds: [callId],
+    analysisType: 'methodology',
+    methodology,
+    forceRefresh: analysisOptions.forceRefresh,
+    team: analysisOptions.team
+  });
+  apiKeys.addTokenUsage(analysisResponse.summary?.tokensUsed);
+
+  const result = analysisResponse.results?.[0];
+  const scorecard = result?.analysis;
+
+  if (!scorecard) {
+    return {
+      callId,
+      methodology: analysisResponse.summary?.methodology || null,
+      message: result?.details || result?.error || 'No scorecard available for this call',
+      analysisCache: analysisResponse.summary?.cache || null
+    };
+  }
+
+  return {
+    callId,
+    methodology: scorecard.methodology,
+    score: scorecard.score,
+    criteria: scorecard.criteria,
+    gaps: scorecard.gaps,
+    overallAssessment: scorecard.overallAssessment,
+    evidenceSummary: scorecard.evidence?.summary || null,
+    transcriptCoverage: result.coverage || null,
+    validationWarnings: result.validationWarnings || [],
+    analysisCache: analysisResponse.summary?.cache || null
   };
 }
 
 // Helper Functions
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const now = Date.now();
   
   if (now - lastSecretRefresh < CACHE_DURATION && Object.keys(secretsCache).length > 0) {
@@ -642,12 +899,51 @@ async function getSecrets() {
   }
 }
 
+function createGongConfig(secrets) {
+  const authHeader = createAuthHeader(secrets.accessKey, secrets.secretKey);
+  return {
+    baseUrl: secrets.baseUrl,
+    authHeader,
+    headers: {
+      'Authorization': authHeader,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    }
+  };
+}
+
 function createAuthHeader(accessKey, secretKey) {
   const credentials = `${accessKey}:${secretKey}`;
   const encoded = Buffer.from(credentials).toString('base64');
   return `Basic ${encoded}`;
 }
 
+function getActionFromPath(path) {
+  const match = path?.match(/^\/actions\/([a-z_]+)\/?$/);
+  return match ? match[1] : undefined;
+}
+
+function getServerUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL;
+  }
+
+  const protocol = req.get('x-forwarded-proto') || req.protocol || 'https';
+  const host = req.get('host');
+  return host ? `${protocol}://${host}` : undefined;
+}
+
+function setCorsHeaders(req, res) {
+  const origin = req.get('origin');
+  if (origin && (ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin))) {
+    res.set('Access-Control-Allow-Origin', origin);
+  }
+  res.set('Vary', 'Origin');
+  res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  res.set('Access-Control-Expose-Headers', 'X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After');
+}
+
 function parseDate(dateStr) {
   if (!dateStr) return null;
   
@@ -657,93 +953,31 @@ function parseDate(dateStr) {
   return date.toISOString();
 }
 
-function getDateRange(period) {
-  const now = new Date();
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-  
-  switch (period?.toLowerCase()) {
-    case 'today':
-      return {
-        fromDateTime: today.toISOString(),
-        toDateTime: new Date(today.getTime() + 24 * 60 * 60 * 1000).toISOString()
-      };
-      
-    case 'yesterday':
-      const yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000);
-      return {
-        fromDateTime: yesterday.toISOString(),
-        toDateTime: today.toISOString()
-      };
-      
-    case 'this week':
-      const startOfWeek = new Date(today);
-      startOfWeek.setDate(today.getDate() - today.getDay());
-      return {
-        fromDateTime: startOfWeek.toISOString(),
-        toDateTime: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString()
-      };
-      
-    case 'last week':
-      const lastWeekStart = new Date(today);
-      lastWeekStart.setDate(today.getDate() - today.getDay() - 7);
-      const lastWeekEnd = new Date(lastWeekStart);
-      lastWeekEnd.setDate(lastWeekStart.getDate() + 7);
-      return {
-        fromDateTime: lastWeekStart.toISOString(),
-        toDateTime: lastWeekEnd.toISOString()
-      };
-      
-    default:
-      // Default to last 30 days
-      const thirtyDaysAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
-      return {
-        fromDateTime: thirtyDaysAgo.toISOString(),
-        toDateTime: new Date(now.getTime() + 24 * 60 * 60 * 1000).toISOString()
-      };
-  }
-}
-
-async function callFunction(endpoint, data) {
-  try {
-    const response = await axios.post(endpoint, data, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 60000 // 60 second timeout
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error(`Error calling function ${endpoint}:`, error.response?.data || error.message);
-    throw error;
-  }
+/**
+ * Resolve a period to a date range in the caller's time zone (see shared/period.js)
+ */
+function getDateRange(period, periodOptions = {}) {
+  return resolvePeriod(period, periodOptions);
 }
 
 async function handleApiRequest(path, method, queryParams, body, gongConfig) {
-  const url = `${gongConfig.baseUrl}${path}`;
-  
-  const config = {
-    method: method.toLowerCase(),
-    url,
-    headers: gongConfig.headers,
-    timeout: 30000
-  };
+  // Passthrough requests return a single page; callers follow records.cursor themselves
+  const request = { method, path };
 
   // Add query parameters
   if (queryParams && Object.keys(queryParams).length > 0) {
-    config.params = queryParams;
+    request.params = queryParams;
   }
 
   // Add request body for POST/PUT requests
   if (body && (method.toUpperCase() === 'POST' || method.toUpperCase() === 'PUT')) {
-    config.data = body;
+    request.data = body;
   }
 
-  console.log('API request:', JSON.stringify({ url, method, params: queryParams, data: body }, null, 2));
+  console.log('API request:', JSON.stringify({ path, method, params: queryParams, data: body }, null, 2));
 
   try {
-    const response = await axios(config);
-    return response.data;
+    return await createGongClient(gongConfig).request(request);
   } catch (error) {
     console.error('API request failed:', error.response?.data || error.message);
     throw error;
@@ -987,6 +1221,6 @@ functions.http('health', (req, res) => {
       'landing-points-analysis',
       'detailed-call-analysis'
     ],
-    endpoints: Object.keys(FUNCTION_ENDPOINTS)
+    services: describeServices()
   });
 });
\ No newline at end of file
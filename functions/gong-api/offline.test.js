@@ -0,0 +1,128 @@
+// functions/gong-api/offline.test.js - End-to-end run of the router in offline mode (run with npm test)
+//
+// Every function runs in this process on the Gong fixtures, the in-memory
+// Firestore and the mock LLM, so the sibling functions need their
+// dependencies installed (npm install in each functions/ directory).
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.SERVICE_PROFILE = 'offline';
+process.env.API_KEY_AUTH = 'disabled';
+['SERVICE_MODE', 'OFFLINE_MODE', 'LLM_CONFIG_PATH', 'LLM_PROVIDER', 'LLM_MODEL', 'GONG_FIXTURES_DIR', 'LLM_FIXTURES_DIR'].forEach(name => {
+  delete process.env[name];
+});
+
+const { getFunction } = require('@google-cloud/functions-framework/testing');
+const { ACTIONS, SCHEMAS } = require('./actions');
+const { validate } = require('../shared/validation');
+require('./index');
+
+const gongApi = getFunction('gongApi');
+
+// The fixture calls of 14 October 2026 (UTC)
+const FIXTURE_DAY = '2026-10-14';
+const FIXTURE_CALL_IDS = ['7782342274025937001', '7782342274025937002', '7782342274025937003'];
+
+/**
+ * POST a JSON body to the router and resolve with { status, body }
+ */
+function post(body) {
+  return new Promise((resolve, reject) => {
+    const headers = { 'content-type': 'application/json' };
+    const req = { method: 'POST', path: '/', url: '/', headers, query: {}, body, get: name => headers[name.toLowerCase()] };
+    const res = {
+      statusCode: 200,
+      set() { return res; },
+      type() { return res; },
+      status(code) { res.statusCode = code; return res; },
+      json(data) { resolve({ status: res.statusCode, body: data }); return res; },
+      send(data) { resolve({ status: res.statusCode, body: data }); return res; }
+    };
+    Promise.resolve(gongApi(req, res)).catch(reject);
+  });
+}
+
+/**
+ * An action's response schema with every $ref, oneOf and allOf inlined, in the
+ * subset of JSON Schema that shared/validation.js checks
+ */
+function responseSchema(action) {
+  return inline({ $ref: `#/components/schemas/${ACTIONS[action].response}` });
+}
+
+function inline(schema) {
+  if (Array.isArray(schema)) return schema.map(inline);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  if (schema.$ref) {
+    const { $ref, ...rest } = schema;
+    return inline({ ...SCHEMAS[$ref.replace('#/components/schemas/', '')], ...rest });
+  }
+  if (schema.oneOf || schema.allOf) {
+    const { oneOf, allOf, ...rest } = schema;
+    const parts = inline(oneOf || allOf);
+    const types = [...new Set(parts.flatMap(part => [].concat(part.type || [])))];
+    return {
+      ...rest,
+      type: oneOf ? types : types[0],
+      properties: Object.assign({}, ...parts.map(part => part.properties || {}))
+    };
+  }
+
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, inline(value)]));
+}
+
+test('analyze_daily_calls analyzes the fixture calls of a day', async () => {
+  const { status, body } = await post({ action: 'analyze_daily_calls', period: FIXTURE_DAY, timeZone: 'UTC' });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(validate(body, responseSchema('analyze_daily_calls')), []);
+
+  assert.equal(body.dateRange.fromDate, FIXTURE_DAY);
+  assert.deepEqual(body.httpStats, { requests: 0, retries: 0, throttledMs: 0 }, 'offline runs send no HTTP requests');
+  assert.equal(body.summary.totalCalls, 3);
+  assert.equal(body.summary.analyzedCalls, 3);
+  assert.deepEqual(body.calls.map(call => call.callId).sort(), FIXTURE_CALL_IDS);
+  body.calls.forEach(call => {
+    assert.equal(call.hasTranscript, true, call.callId);
+    assert.equal(call.analysisSuccess, true, call.callId);
+  });
+
+  const stages = Object.fromEntries(body.calls.map(call => [call.callId, call.landingPoint.currentStage]));
+  assert.equal(stages['7782342274025937003'], 'Negotiation');
+  assert.ok(body.aggregatedInsights.competitorMentions.some(entry => entry.item === 'Salesloft'));
+});
+
+test('detailed_call_analysis analyzes one fixture call', async () => {
+  const { status, body } = await post({ action: 'detailed_call_analysis', callId: '7782342274025937002' });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(validate(body, responseSchema('detailed_call_analysis')), []);
+
+  assert.equal(body.callOverview.title, 'Globex - Product demo');
+  assert.equal(body.callOverview.participants.length, 2);
+  assert.equal(body.dealAnalysis.currentStage, 'Demo');
+  assert.equal(body.sentimentAnalysis.overall, 'positive');
+  assert.ok(body.transcriptAnalysis.totalWords > 0);
+  assert.ok(body.actionItems.length > 0);
+});
+
+test('calls the fixtures do not have are reported, not analyzed', async () => {
+  const { status, body } = await post({ action: 'get_call_action_items', callIds: ['7782342274025937001', 'unknown-call'] });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(validate(body, responseSchema('get_call_action_items')), []);
+  assert.deepEqual(body.missingCallIds, ['unknown-call']);
+});
+
+test('analyze_call_sentiment reports unknown calls instead of counting them as neutral', async () => {
+  const { status, body } = await post({ action: 'analyze_call_sentiment', callIds: ['7782342274025937002', 'unknown-call'] });
+
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(validate(body, responseSchema('analyze_call_sentiment')), []);
+  assert.deepEqual(body.missingCallIds, ['unknown-call']);
+  assert.deepEqual(body.failedCalls, []);
+  assert.equal(body.totalCallsAnalyzed, 1);
+  assert.deepEqual(body.callSentiments.map(call => call.callId), ['7782342274025937002']);
+  assert.equal(body.sentimentDistribution.positive + body.sentimentDistribution.neutral + body.sentimentDistribution.negative, 1);
+});
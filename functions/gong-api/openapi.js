@@ -0,0 +1,103 @@
+// functions/gong-api/openapi.js - OpenAPI 3.1 document generated from the action definitions
+const { ACTIONS, SCHEMAS } = require('./actions');
+const { version } = require('./package.json');
+
+/**
+ * Build the OpenAPI document for the gongApi router.
+ * Each action is published as its own operation under /actions/{action} so
+ * ChatGPT Actions can import them individually.
+ */
+function buildOpenApiSpec(serverUrl) {
+  const paths = {};
+
+  Object.entries(ACTIONS).forEach(([name, definition]) => {
+    paths[`/actions/${name}`] = {
+      post: {
+        operationId: toOperationId(name),
+        summary: definition.summary,
+        description: definition.description,
+        requestBody: {
+          required: definition.request.required.length > 0,
+          content: {
+            'application/json': {
+              schema: buildRequestSchema(definition)
+            }
+          }
+        },
+        responses: {
+          200: {
+            description: 'Successful response',
+            content: {
+              'application/json': {
+                schema: { $ref: `#/components/schemas/${definition.response}` }
+              },
+              ...(definition.template ? {
+                'text/markdown': { schema: { type: 'string' } },
+                'text/html': { schema: { type: 'string' } }
+              } : {})
+            }
+          },
+          400: errorResponse('Invalid request'),
+          401: errorResponse('Missing or invalid API key'),
+          403: errorResponse('API key disabled or not allowed to call this action'),
+          429: errorResponse('Daily request or token quota exceeded'),
+          500: errorResponse('Internal server error')
+        }
+      }
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Gong Call Assistant API',
+      description: 'Sales call analysis backed by Gong transcripts and AI analysis.',
+      version
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
+    components: {
+      schemas: SCHEMAS,
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        BearerAuth: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+function buildRequestSchema(definition) {
+  const properties = {};
+
+  Object.entries(definition.request.properties).forEach(([field, schema]) => {
+    const defaultValue = definition.defaults[field];
+    properties[field] = defaultValue !== undefined ? { ...schema, default: defaultValue } : schema;
+  });
+
+  const schema = { type: 'object', properties };
+  if (definition.request.required.length > 0) {
+    schema.required = definition.request.required;
+  }
+
+  return schema;
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: { $ref: '#/components/schemas/Error' }
+      }
+    }
+  };
+}
+
+function toOperationId(action) {
+  return action.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+module.exports = {
+  buildOpenApiSpec
+};
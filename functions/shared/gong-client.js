@@ -0,0 +1,211 @@
+// functions/shared/gong-client.js - Gong API v2 client shared by all functions
+//
+// List endpoints return one page per request plus a records.cursor; the list
+// methods here follow the cursor until Gong stops returning one, or until
+// maxRecords items have been collected. Gong answers 404 when a filter matches
+// nothing, which the list methods return as an empty list.
+//
+// Requests retry on 429/5xx and share one rate limiter per process, sized to
+// Gong's default limits (3 calls per second, 10,000 per day). Override with
+// GONG_RATE_LIMIT_PER_SECOND / GONG_RATE_LIMIT_PER_DAY.
+//
+// Links to calls in the Gong app use GONG_APP_URL, the host of your Gong workspace.
+//
+// In offline mode requests are answered from fixtures instead (see offline.js).
+
+const { sendRequest, createRateLimiter } = require('./http');
+const { isOfflineMode } = require('./services');
+const { answerGongRequest } = require('./offline');
+
+const REQUEST_TIMEOUT = 30000; // 30 second timeout
+const GONG_APP_URL = (process.env.GONG_APP_URL || 'https://us-22394.app.gong.io').replace(/\/+$/, '');
+
+const gongRateLimiter = createRateLimiter({
+  name: 'Gong API',
+  perSecond: Number(process.env.GONG_RATE_LIMIT_PER_SECOND) || 3,
+  perDay: Number(process.env.GONG_RATE_LIMIT_PER_DAY) || 10000
+});
+
+/**
+ * Create a client for the given config ({ baseUrl, headers } as built by createGongConfig)
+ */
+function createGongClient(gongConfig) {
+  /**
+   * Send a single request to the Gong API and return the response body
+   * @param {{ method?: string, path: string, params?: object, data?: object }} options
+   */
+  async function request({ method = 'GET', path, params, data }) {
+    if (isOfflineMode()) {
+      return answerGongRequest({ method, path, params, data });
+    }
+
+    const response = await sendRequest({
+      method: method.toLowerCase(),
+      url: `${gongConfig.baseUrl}${path}`,
+      headers: gongConfig.headers,
+      params,
+      data,
+      timeout: REQUEST_TIMEOUT
+    }, {
+      rateLimiter: gongRateLimiter,
+      label: `Gong ${method.toUpperCase()} ${path}`
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Collect every page of a list endpoint
+   * @param {string} itemsKey Field of the response body holding the page's items
+   */
+  async function paginate({ method = 'GET', path, params = {}, data = {}, itemsKey, maxRecords }) {
+    const items = [];
+    let cursor;
+    let pages = 0;
+
+    do {
+      let body;
+      try {
+        body = method === 'GET'
+          ? await request({ method, path, params: { ...params, cursor } })
+          : await request({ method, path, params, data: { ...data, cursor } });
+      } catch (error) {
+        if (error.response?.status === 404 && pages === 0) {
+          return [];
+        }
+        throw error;
+      }
+
+      items.push(...(body[itemsKey] || []));
+      cursor = body.records?.cursor;
+      pages++;
+    } while (cursor && !(maxRecords && items.length >= maxRecords));
+
+    if (pages > 1) {
+      console.log(`Gong ${path}: collected ${items.length} ${itemsKey} over ${pages} pages`);
+    }
+
+    return maxRecords ? items.slice(0, maxRecords) : items;
+  }
+
+  /**
+   * Get transcripts (POST /v2/calls/transcript)
+   * @param {{ callIds?: string[], fromDateTime?: string, toDateTime?: string }} filter
+   * @param {{ maxRecords?: number }} options
+   * @returns {Promise<Array<{ callId: string, transcript: object[] }>>}
+   */
+  async function getTranscripts(filter = {}, { maxRecords } = {}) {
+    return await paginate({
+      method: 'POST',
+      path: '/calls/transcript',
+      data: { filter },
+      itemsKey: 'callTranscripts',
+      maxRecords
+    });
+  }
+
+  return {
+    request,
+
+    /**
+     * List calls (GET /v2/calls)
+     * @param {{ fromDateTime?: string, toDateTime?: string, workspaceId?: string, callIds?: string[] }} filter
+     * @param {{ maxRecords?: number }} options
+     * @returns {Promise<object[]>} Gong call records
+     */
+    async listCalls(filter = {}, { maxRecords } = {}) {
+      return await paginate({ path: '/calls', params: filter, itemsKey: 'calls', maxRecords });
+    },
+
+    /**
+     * Get a single call (GET /v2/calls/{id})
+     * @returns {Promise<object>} The Gong call record
+     */
+    async getCall(callId) {
+      const body = await request({ path: `/calls/${encodeURIComponent(callId)}` });
+      return body.call || body;
+    },
+
+    getTranscripts,
+
+    /**
+     * List calls with extra content (POST /v2/calls/extensive), e.g. parties
+     * with their speakerId and affiliation
+     * @param {{ callIds?: string[], fromDateTime?: string, toDateTime?: string }} filter
+     * @param {object} contentSelector e.g. { exposedFields: { parties: true } }
+     * @param {{ maxRecords?: number }} options
+     * @returns {Promise<object[]>} Gong call records ({ metaData, parties, ... })
+     */
+    async listExtensiveCalls(filter = {}, contentSelector = {}, { maxRecords } = {}) {
+      return await paginate({
+        method: 'POST',
+        path: '/calls/extensive',
+        data: { filter, contentSelector },
+        itemsKey: 'calls',
+        maxRecords
+      });
+    },
+
+    /**
+     * Get the transcripts of specific calls. Call IDs alone are enough; pass a
+     * window (see getCallWindow) only to narrow the search. Calls Gong did not
+     * return a transcript for are listed in missingCallIds.
+     * @param {string[]} callIds
+     * @param {{ fromDateTime?: string, toDateTime?: string }} window
+     * @returns {Promise<{ transcripts: object[], missingCallIds: string[] }>}
+     */
+    async getTranscriptsForCalls(callIds, window = {}) {
+      const transcripts = await getTranscripts({ callIds, ...window });
+      const found = new Set(transcripts.map(transcript => transcript.callId));
+
+      return {
+        transcripts,
+        missingCallIds: callIds.filter(callId => !found.has(callId))
+      };
+    },
+
+    /**
+     * List users (GET /v2/users)
+     * @param {{ includeAvatars?: boolean }} params
+     * @param {{ maxRecords?: number }} options
+     * @returns {Promise<object[]>} Gong user records
+     */
+    async listUsers(params = {}, { maxRecords } = {}) {
+      return await paginate({ path: '/users', params, itemsKey: 'users', maxRecords });
+    }
+  };
+}
+
+/**
+ * Date window covering the given calls, from their `started` times with a day
+ * of margin on each side. Returns {} when no call has a start time.
+ */
+function getCallWindow(calls) {
+  const starts = calls
+    .map(call => new Date(call?.started).getTime())
+    .filter(time => !isNaN(time));
+
+  if (starts.length === 0) {
+    return {};
+  }
+
+  const DAY = 24 * 60 * 60 * 1000;
+  return {
+    fromDateTime: new Date(Math.min(...starts) - DAY).toISOString(),
+    toDateTime: new Date(Math.max(...starts) + DAY).toISOString()
+  };
+}
+
+/**
+ * Link to a call in the Gong app, optionally starting playback at a point in the call
+ */
+function getCallUrl(callId, startSeconds) {
+  const url = `${GONG_APP_URL}/call?id=${encodeURIComponent(callId)}`;
+  return startSeconds > 0 ? `${url}&start=${Math.floor(startSeconds)}` : url;
+}
+
+module.exports = {
+  createGongClient,
+  getCallWindow,
+  getCallUrl
+};
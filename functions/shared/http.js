@@ -0,0 +1,208 @@
+// functions/shared/http.js - Outbound HTTP with retries, backoff and client-side rate limiting
+//
+// sendRequest() wraps axios:
+//   - retries 429, 5xx and connection resets (ECONNRESET, ETIMEDOUT, EAI_AGAIN)
+//   - waits for Retry-After when the server sends one, otherwise backs off
+//     exponentially with full jitter
+//   - takes a token from an optional rate limiter before every attempt
+// trackHttpStats() counts requests, retries and throttling time for everything
+// sent while its callback runs, so handlers can report them in their response.
+
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 500, // ms
+  maxDelay: 30000, // ms; a longer Retry-After fails instead of waiting
+  retryOn: status => status === 429 || status >= 500
+};
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const statsStorage = new AsyncLocalStorage();
+
+/**
+ * Raised when a client-side rate limit cannot be satisfied (e.g. the daily allowance is used up)
+ */
+class RateLimitError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.statusCode = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Send a request with retries. Resolves with the axios response, plus
+ * response.retries (the number of retries it took).
+ * @param {object} config axios request config
+ * @param {{ retries?: number, baseDelay?: number, maxDelay?: number,
+ *           retryOn?: (status: number) => boolean, rateLimiter?: object, label?: string }} options
+ */
+async function sendRequest(config, options = {}) {
+  const { retries, baseDelay, maxDelay, retryOn, rateLimiter, label } = { ...RETRY_DEFAULTS, ...options };
+  const name = label || config.url;
+
+  for (let attempt = 0; ; attempt++) {
+    if (rateLimiter) {
+      recordStat('throttledMs', await rateLimiter.acquire());
+    }
+    recordStat('requests', 1);
+
+    try {
+      const response = await axios(config);
+      response.retries = attempt;
+      return response;
+    } catch (error) {
+      const delay = getRetryDelay(error, attempt, { baseDelay, maxDelay, retryOn });
+
+      if (attempt >= retries || delay === null) {
+        error.retries = attempt;
+        throw error;
+      }
+
+      console.warn(`${name}: ${describeError(error)}, retry ${attempt + 1}/${retries} in ${delay}ms`);
+      recordStat('retries', 1);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Token bucket limiting requests per second and per UTC day.
+ * Limits are per process: each function instance keeps its own bucket.
+ */
+function createRateLimiter({ perSecond, perDay, name = 'rate limiter' }) {
+  let tokens = perSecond;
+  let lastRefill = Date.now();
+  let day = currentDay();
+  let usedToday = 0;
+  let queue = Promise.resolve();
+
+  async function take() {
+    if (currentDay() !== day) {
+      day = currentDay();
+      usedToday = 0;
+    }
+    if (perDay && usedToday >= perDay) {
+      throw new RateLimitError(`${name}: daily limit of ${perDay} requests reached`, secondsUntilTomorrow());
+    }
+
+    let waited = 0;
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(perSecond, tokens + ((now - lastRefill) / 1000) * perSecond);
+      lastRefill = now;
+
+      if (tokens >= 1) {
+        tokens -= 1;
+        usedToday++;
+        return waited;
+      }
+
+      const wait = Math.ceil(((1 - tokens) / perSecond) * 1000);
+      waited += wait;
+      await sleep(wait);
+    }
+  }
+
+  return {
+    /**
+     * Wait for a token. Resolves with the milliseconds spent waiting.
+     */
+    acquire() {
+      // Hand out tokens in arrival order
+      const turn = queue.then(take);
+      queue = turn.catch(() => {});
+      return turn;
+    },
+
+    usage() {
+      return { day, usedToday, perDay, perSecond };
+    }
+  };
+}
+
+/**
+ * Run callback and count the HTTP requests sent while it runs.
+ * Resolves with { result, stats }; nested calls also add to the outer stats.
+ */
+async function trackHttpStats(callback) {
+  const stats = { requests: 0, retries: 0, throttledMs: 0 };
+  const parent = statsStorage.getStore();
+
+  try {
+    const result = await statsStorage.run(stats, callback);
+    return { result, stats };
+  } finally {
+    if (parent) {
+      Object.keys(stats).forEach(key => { parent[key] += stats[key]; });
+    }
+  }
+}
+
+// Helper Functions
+
+function getRetryDelay(error, attempt, { baseDelay, maxDelay, retryOn }) {
+  const status = error.response?.status;
+
+  if (status) {
+    if (!retryOn(status)) return null;
+
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    if (retryAfter !== null) {
+      return retryAfter <= maxDelay ? retryAfter : null;
+    }
+  } else if (!RETRYABLE_ERROR_CODES.includes(error.code)) {
+    return null;
+  }
+
+  // Exponential backoff with full jitter
+  return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function recordStat(key, value) {
+  const stats = statsStorage.getStore();
+  if (stats && value) {
+    stats[key] += value;
+  }
+}
+
+function describeError(error) {
+  return error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+}
+
+function currentDay() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function secondsUntilTomorrow() {
+  const tomorrow = new Date();
+  tomorrow.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((tomorrow.getTime() - Date.now()) / 1000);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  RateLimitError,
+  sendRequest,
+  createRateLimiter,
+  trackHttpStats
+};
@@ -0,0 +1,139 @@
+// functions/shared/http.test.js - Tests for retries, backoff and rate limiting (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimitError, sendRequest, createRateLimiter, trackHttpStats } = require('./http');
+
+// Short delays so backoff does not slow the tests down
+const FAST = { baseDelay: 1, label: 'test' };
+
+/**
+ * An axios adapter answering with the given statuses in turn (numbers), or
+ * failing with the given network error codes (strings)
+ */
+function scripted(...answers) {
+  const adapter = async config => {
+    adapter.calls++;
+    const answer = answers[Math.min(adapter.calls, answers.length) - 1];
+
+    if (typeof answer === 'string') {
+      throw Object.assign(new Error(answer), { code: answer });
+    }
+    const { status, headers = {} } = typeof answer === 'number' ? { status: answer } : answer;
+    const response = { status, statusText: '', headers, config, data: { status } };
+    if (status >= 400) {
+      throw Object.assign(new Error(`HTTP ${status}`), { response });
+    }
+    return response;
+  };
+  adapter.calls = 0;
+  return adapter;
+}
+
+test('sendRequest retries 429 and 5xx until a request succeeds', async () => {
+  const adapter = scripted(503, 429, 200);
+  const { result, stats } = await trackHttpStats(() => sendRequest({ url: 'http://gong.test/calls', adapter }, FAST));
+
+  assert.equal(result.status, 200);
+  assert.equal(result.retries, 2);
+  assert.equal(adapter.calls, 3);
+  assert.deepEqual(stats, { requests: 3, retries: 2, throttledMs: 0 });
+});
+
+test('sendRequest does not retry client errors', async () => {
+  const adapter = scripted(404);
+
+  await assert.rejects(sendRequest({ url: 'http://gong.test/calls/x', adapter }, FAST), error => {
+    assert.equal(error.response.status, 404);
+    assert.equal(error.retries, 0);
+    return true;
+  });
+  assert.equal(adapter.calls, 1);
+});
+
+test('sendRequest gives up after the configured number of retries', async () => {
+  const adapter = scripted(500);
+
+  await assert.rejects(sendRequest({ url: 'http://gong.test/calls', adapter }, { ...FAST, retries: 2 }), error => {
+    assert.equal(error.retries, 2);
+    return true;
+  });
+  assert.equal(adapter.calls, 3);
+});
+
+test('sendRequest retries connection resets but not other network errors', async () => {
+  const reset = scripted('ECONNRESET', 'ETIMEDOUT', 200);
+  assert.equal((await sendRequest({ url: 'http://gong.test', adapter: reset }, FAST)).retries, 2);
+
+  const refused = scripted('ECONNREFUSED');
+  await assert.rejects(sendRequest({ url: 'http://gong.test', adapter: refused }, FAST), { code: 'ECONNREFUSED' });
+  assert.equal(refused.calls, 1);
+});
+
+test('sendRequest honours retryOn', async () => {
+  const adapter = scripted(500);
+
+  await assert.rejects(sendRequest({ url: 'http://service.test', adapter }, { ...FAST, retryOn: status => status === 503 }));
+  assert.equal(adapter.calls, 1);
+});
+
+test('sendRequest waits for Retry-After, and fails when it is longer than maxDelay', async () => {
+  const shortWait = scripted({ status: 429, headers: { 'retry-after': '0' } }, 200);
+  assert.equal((await sendRequest({ url: 'http://gong.test', adapter: shortWait }, FAST)).retries, 1);
+
+  const longWait = scripted({ status: 429, headers: { 'retry-after': '120' } }, 200);
+  await assert.rejects(sendRequest({ url: 'http://gong.test', adapter: longWait }, { ...FAST, maxDelay: 1000 }), error => {
+    assert.equal(error.response.status, 429);
+    return true;
+  });
+  assert.equal(longWait.calls, 1);
+});
+
+test('a rate limiter spaces requests beyond its per-second allowance', async () => {
+  const limiter = createRateLimiter({ perSecond: 2, name: 'test' });
+  const started = Date.now();
+
+  const waits = await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+
+  assert.deepEqual(waits.slice(0, 2), [0, 0]);
+  assert.ok(waits[2] > 0, 'the third request waits for a token');
+  assert.ok(Date.now() - started >= 400);
+  assert.equal(limiter.usage().usedToday, 3);
+});
+
+test('a rate limiter rejects requests beyond its daily allowance', async () => {
+  const limiter = createRateLimiter({ perSecond: 10, perDay: 2, name: 'daily test' });
+
+  await limiter.acquire();
+  await limiter.acquire();
+  await assert.rejects(limiter.acquire(), error => {
+    assert.ok(error instanceof RateLimitError);
+    assert.equal(error.statusCode, 429);
+    assert.ok(error.retryAfter > 0 && error.retryAfter <= 24 * 60 * 60);
+    return true;
+  });
+});
+
+test('sendRequest reports the time spent waiting for the rate limiter', async () => {
+  const rateLimiter = createRateLimiter({ perSecond: 1, name: 'stats test' });
+  const adapter = scripted(200);
+
+  const { stats } = await trackHttpStats(async () => {
+    await sendRequest({ url: 'http://gong.test', adapter }, { ...FAST, rateLimiter });
+    await sendRequest({ url: 'http://gong.test', adapter }, { ...FAST, rateLimiter });
+  });
+
+  assert.equal(stats.requests, 2);
+  assert.ok(stats.throttledMs > 0);
+});
+
+test('nested trackHttpStats calls add to the outer stats', async () => {
+  const adapter = scripted(200);
+
+  const outer = await trackHttpStats(async () => {
+    await sendRequest({ url: 'http://gong.test', adapter }, FAST);
+    const inner = await trackHttpStats(() => sendRequest({ url: 'http://gong.test', adapter }, FAST));
+    assert.equal(inner.stats.requests, 1);
+  });
+
+  assert.equal(outer.stats.requests, 2);
+});
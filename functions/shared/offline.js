@@ -0,0 +1,219 @@
+// functions/shared/offline.js - Gong fixtures and an in-memory Firestore for offline runs
+//
+// Offline mode (the "offline" profile in services.config.json, or
+// OFFLINE_MODE=true) runs every function without Google Cloud or Gong:
+//   - Gong requests are answered from fixture files in GONG_FIXTURES_DIR
+//     (default shared/fixtures/gong): calls.json, transcripts.json and users.json,
+//     each holding the body of the matching Gong list endpoint
+//   - Secret Manager is not read; Gong credentials are placeholders
+//   - Firestore is an in-memory store shared by the functions in the process,
+//     empty at start and lost on exit
+// The AI analysis function also switches to the mock LLM provider.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'gong');
+
+// Secrets the functions use in place of Secret Manager
+const OFFLINE_GONG_SECRETS = {
+  accessKey: 'offline',
+  secretKey: 'offline',
+  baseUrl: 'offline://gong/v2'
+};
+
+let fixturesCache = null;
+let offlineFirestore = null;
+
+/**
+ * Answer a Gong API request from the fixtures, like the Gong endpoint would.
+ * Unknown calls and filters that match nothing fail with a 404 in the shape of
+ * an axios error, as Gong does.
+ * @param {{ method?: string, path: string, params?: object, data?: object }} request
+ * @returns {object} the response body
+ */
+function answerGongRequest({ method = 'GET', path: requestPath, params = {}, data = {} }) {
+  const { calls, callTranscripts, users } = loadFixtures();
+  const route = `${method.toUpperCase()} ${requestPath}`;
+
+  if (route === 'GET /calls') {
+    return listResponse('calls', calls.filter(call => matchesFilter(call, params)));
+  }
+
+  if (route === 'POST /calls/extensive') {
+    const matching = calls.filter(call => matchesFilter(call, data.filter));
+    return listResponse('calls', matching.map(({ parties, ...metaData }) => ({ metaData, parties })));
+  }
+
+  if (route === 'POST /calls/transcript') {
+    const callIds = new Set(calls.filter(call => matchesFilter(call, data.filter)).map(call => call.id));
+    return listResponse('callTranscripts', callTranscripts.filter(transcript => callIds.has(transcript.callId)));
+  }
+
+  if (route === 'GET /users') {
+    return listResponse('users', users);
+  }
+
+  const callMatch = route.match(/^GET \/calls\/([^/]+)$/);
+  if (callMatch) {
+    const call = calls.find(candidate => candidate.id === decodeURIComponent(callMatch[1]));
+    if (!call) {
+      throw notFound(`Call ${decodeURIComponent(callMatch[1])} is not in the offline fixtures`);
+    }
+    return { requestId: 'offline', call };
+  }
+
+  throw notFound(`No offline fixture for ${route}`);
+}
+
+/**
+ * The in-memory Firestore of this process, shared by the functions running in it
+ */
+function getOfflineFirestore() {
+  if (!offlineFirestore) {
+    offlineFirestore = createMemoryFirestore();
+  }
+  return offlineFirestore;
+}
+
+/**
+ * A new, empty in-memory Firestore. It covers what the functions use:
+ * collection().doc().get() and set() (with { merge }), collection().get(),
+ * collection().where(field, '==', value).get(), getAll() and runTransaction().
+ */
+function createMemoryFirestore() {
+  const collections = new Map();
+
+  const documentsOf = name => {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    return collections.get(name);
+  };
+
+  const snapshot = (id, data) => ({
+    id,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : structuredClone(data))
+  });
+
+  const query = (name, filters) => ({
+    where(field, operator, value) {
+      if (operator !== '==') {
+        throw new Error(`The offline Firestore does not support the "${operator}" operator`);
+      }
+      return query(name, [...filters, { field, value }]);
+    },
+
+    async get() {
+      const docs = [...documentsOf(name).entries()]
+        .filter(([, data]) => filters.every(({ field, value }) => data[field] === value))
+        .map(([id, data]) => snapshot(id, data));
+      return { docs, size: docs.length, empty: docs.length === 0, forEach: callback => docs.forEach(callback) };
+    }
+  });
+
+  const firestore = {
+    collection(name) {
+      return {
+        ...query(name, []),
+
+        doc(id) {
+          return {
+            id,
+            path: `${name}/${id}`,
+
+            async get() {
+              return snapshot(id, documentsOf(name).get(id));
+            },
+
+            async set(data, { merge = false } = {}) {
+              const existing = merge ? documentsOf(name).get(id) : undefined;
+              documentsOf(name).set(id, structuredClone({ ...existing, ...data }));
+            }
+          };
+        }
+      };
+    },
+
+    async getAll(...refs) {
+      return await Promise.all(refs.map(ref => ref.get()));
+    },
+
+    // Writes apply at once; a single process has no concurrent writers to retry against
+    async runTransaction(update) {
+      return await update({
+        get: ref => ref.get(),
+        set: (ref, data, options) => ref.set(data, options)
+      });
+    }
+  };
+
+  return firestore;
+}
+
+// Helper Functions
+
+function loadFixtures() {
+  if (fixturesCache) {
+    return fixturesCache;
+  }
+
+  const dir = process.env.GONG_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const read = (file, key) => {
+    const filePath = path.join(dir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8'))[key] || [] : [];
+  };
+
+  fixturesCache = {
+    calls: read('calls.json', 'calls'),
+    callTranscripts: read('transcripts.json', 'callTranscripts'),
+    users: read('users.json', 'users')
+  };
+  console.log(`Offline mode: ${fixturesCache.calls.length} Gong calls loaded from ${dir}`);
+
+  return fixturesCache;
+}
+
+/**
+ * Whether a call matches a Gong filter: callIds, a fromDateTime/toDateTime
+ * window on its start, and participantIds (one ID or a list)
+ */
+function matchesFilter(call, filter = {}) {
+  const started = new Date(call.started).getTime();
+  const participantIds = [].concat(filter.participantIds || []);
+
+  return (!filter.callIds || filter.callIds.includes(call.id)) &&
+    (!filter.fromDateTime || started >= new Date(filter.fromDateTime).getTime()) &&
+    (!filter.toDateTime || started < new Date(filter.toDateTime).getTime()) &&
+    (participantIds.length === 0 || participantIds.some(id =>
+      call.primaryUserId === id || (call.parties || []).some(party => party.userId === id)));
+}
+
+/**
+ * One page holding every match; Gong answers 404 when a filter matches nothing
+ */
+function listResponse(itemsKey, items) {
+  if (items.length === 0) {
+    throw notFound('No records found matching the filter');
+  }
+
+  return {
+    requestId: 'offline',
+    records: { totalRecords: items.length, currentPageSize: items.length, currentPageNumber: 0 },
+    [itemsKey]: structuredClone(items)
+  };
+}
+
+function notFound(message) {
+  const error = new Error(`Request failed with status code 404: ${message}`);
+  error.response = { status: 404, data: { requestId: 'offline', errors: [message] } };
+  return error;
+}
+
+module.exports = {
+  OFFLINE_GONG_SECRETS,
+  answerGongRequest,
+  getOfflineFirestore,
+  createMemoryFirestore
+};
@@ -0,0 +1,439 @@
+// functions/shared/period.js - Resolve named periods to date ranges in a time zone
+//
+// "today", "yesterday", "this week" etc. are calendar periods in the caller's
+// IANA time zone (e.g. America/Los_Angeles), not in the server's. Ranges are
+// half-open: fromDateTime is the first instant of the period and toDateTime the
+// first instant after it, both as UTC ISO strings.
+//
+// The time zone defaults to the Gong user's settings.timezone when a user is
+// known, then DEFAULT_TIME_ZONE, then UTC. Weeks start on WEEK_START (default sunday).
+//
+// Accepted periods (case-insensitive):
+//   today, yesterday
+//   this/last week, month, quarter, year; this/last fiscal quarter, fiscal year
+//   last N days/weeks/months/quarters/years   rolling window ending today
+//   Q3, Q3 2026, 2026-Q3                      calendar quarter
+//   FQ3, FY2026 Q3, Q3 FY26, FY2026           fiscal quarter / year
+//   October, Oct 2026, 2026-10, 2026          calendar month / year
+//   2026-10-01, 2026-10-01..2026-10-15        ISO date or inclusive range
+// Quarters and months without a year mean the most recent one that has started.
+// Fiscal years begin in FISCAL_YEAR_START_MONTH (1-12 or a month name, default 1)
+// and are named after the calendar year they end in. Anything else is rejected.
+
+const { ValidationError } = require('./validation');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const DEFAULT_PERIOD_DAYS = 30;
+const USER_CACHE_DURATION = 10 * 60 * 1000; // 10 minutes
+const PERIOD_EXAMPLES = 'today, yesterday, last week, last 7 days, this month, Q3, FY2026 Q1, 2026-10-01..2026-10-15';
+
+// Each pattern resolves its match to [start, end) local dates.
+// ctx: { today, firstWeekday, fiscalStartMonth }
+const PERIOD_PATTERNS = [
+  {
+    pattern: /^today$/,
+    resolve: (match, { today }) => [today, addDays(today, 1)]
+  },
+  {
+    pattern: /^yesterday$/,
+    resolve: (match, { today }) => [addDays(today, -1), today]
+  },
+  {
+    pattern: /^(?:(this|current|last|previous) )?(week|month|quarter|year|fiscal quarter|fiscal year)$/,
+    resolve: ([, which, unit], ctx) => {
+      const [start, end] = getCurrentUnit(unit, ctx);
+      return which === 'last' || which === 'previous'
+        ? [getPreviousUnitStart(unit, start), start]
+        : [start, end];
+    }
+  },
+  {
+    pattern: /^(?:last|past|previous) (\d+) (day|week|month|quarter|year)s?$/,
+    resolve: ([, count, unit], { today }) => {
+      const n = Number(count);
+      if (n < 1) return null;
+
+      const end = addDays(today, 1);
+      switch (unit) {
+        case 'day': return [addDays(end, -n), end];
+        case 'week': return [addDays(end, -7 * n), end];
+        case 'month': return [addDays(shiftMonths(today, -n), 1), end];
+        case 'quarter': return [addDays(shiftMonths(today, -3 * n), 1), end];
+        default: return [addDays(shiftMonths(today, -12 * n), 1), end];
+      }
+    }
+  },
+  {
+    pattern: /^(\d{4}-\d{2}-\d{2})(?:\s*\.\.\s*(\d{4}-\d{2}-\d{2}))?$/,
+    resolve: ([, from, to]) => {
+      const start = parseLocalDate(from);
+      const last = parseLocalDate(to || from);
+      if (!start || !last || compareDates(start, last) > 0) return null;
+      return [start, addDays(last, 1)];
+    }
+  },
+  {
+    pattern: /^(\d{4})-(\d{2})$/,
+    resolve: ([, year, month]) => monthRange(Number(year), Number(month))
+  },
+  {
+    pattern: /^(\d{4})$/,
+    resolve: ([, year]) => [{ year: Number(year), month: 1, day: 1 }, { year: Number(year) + 1, month: 1, day: 1 }]
+  },
+  {
+    pattern: /^q([1-4])(?:\s*(\d{4}))?$/,
+    resolve: ([, quarter, year], { today }) => quarterRange(Number(quarter), year && Number(year), 1, today)
+  },
+  {
+    pattern: /^(\d{4})\s*-?\s*q([1-4])$/,
+    resolve: ([, year, quarter], { today }) => quarterRange(Number(quarter), Number(year), 1, today)
+  },
+  {
+    pattern: /^fq([1-4])(?:\s*(?:fy)?\s*'?(\d{2}|\d{4}))?$/,
+    resolve: ([, quarter, year], ctx) => quarterRange(Number(quarter), year && toFullYear(year), ctx.fiscalStartMonth, ctx.today)
+  },
+  {
+    pattern: /^fy\s*'?(\d{2}|\d{4})\s*-?\s*q([1-4])$/,
+    resolve: ([, year, quarter], ctx) => quarterRange(Number(quarter), toFullYear(year), ctx.fiscalStartMonth, ctx.today)
+  },
+  {
+    pattern: /^q([1-4])\s*-?\s*fy\s*'?(\d{2}|\d{4})$/,
+    resolve: ([, quarter, year], ctx) => quarterRange(Number(quarter), toFullYear(year), ctx.fiscalStartMonth, ctx.today)
+  },
+  {
+    pattern: /^fy\s*'?(\d{2}|\d{4})$/,
+    resolve: ([, year], { fiscalStartMonth }) => {
+      const start = getFiscalYearStart(toFullYear(year), fiscalStartMonth);
+      return [start, addMonths(start, 12)];
+    }
+  },
+  {
+    pattern: /^([a-z]{3,9})(?:\s+(\d{4}))?$/,
+    resolve: ([, name, year], { today }) => {
+      const month = parseMonthName(name);
+      if (!month) return null;
+      if (year) return monthRange(Number(year), month);
+
+      // Most recent month with that name that has started
+      return monthRange(month <= today.month ? today.year : today.year - 1, month);
+    }
+  }
+];
+
+let userTimeZoneCache = { users: null, loadedAt: 0 };
+
+/**
+ * Resolve a period to a date range. Empty periods resolve to the last 30 days;
+ * periods that cannot be parsed raise a ValidationError on the period field.
+ * @param {string} period See the grammar at the top of this file
+ * @param {{ timeZone?: string, weekStart?: string, fiscalYearStart?: number|string, now?: Date }} options
+ * @returns {{ period: string, timeZone: string, fromDateTime: string, toDateTime: string,
+ *             fromDate: string, toDate: string }} fromDate/toDate are inclusive local dates
+ */
+function resolvePeriod(period, { timeZone, weekStart, fiscalYearStart, now = new Date() } = {}) {
+  const zone = timeZone || getDefaultTimeZone();
+  const today = getLocalDate(now, zone);
+  const name = normalizePeriod(period);
+
+  if (!name) {
+    return buildRange(`last ${DEFAULT_PERIOD_DAYS} days`, addDays(today, -DEFAULT_PERIOD_DAYS + 1), addDays(today, 1), zone);
+  }
+
+  const ctx = {
+    today,
+    firstWeekday: getWeekStartIndex(weekStart),
+    fiscalStartMonth: getFiscalStartMonth(fiscalYearStart)
+  };
+
+  for (const { pattern, resolve } of PERIOD_PATTERNS) {
+    const match = name.match(pattern);
+    const range = match && resolve(match, ctx);
+    if (range) {
+      return buildRange(name, range[0], range[1], zone);
+    }
+  }
+
+  throw invalidPeriod(period);
+}
+
+/**
+ * Check that a period can be resolved, without resolving it. Throws like resolvePeriod.
+ */
+function parsePeriod(period) {
+  resolvePeriod(period, { timeZone: 'UTC' });
+  return normalizePeriod(period);
+}
+
+/**
+ * Build a range from two local dates (end exclusive) in a time zone
+ */
+function buildRange(period, start, end, timeZone) {
+  return {
+    period,
+    timeZone,
+    fromDateTime: zonedDateToUtc(start, timeZone).toISOString(),
+    toDateTime: zonedDateToUtc(end, timeZone).toISOString(),
+    fromDate: formatLocalDate(start),
+    toDate: formatLocalDate(addDays(end, -1))
+  };
+}
+
+/**
+ * Pick the time zone for a request: the explicit one, else the Gong user's
+ * settings.timezone (looked up by userId or email), else DEFAULT_TIME_ZONE, else UTC.
+ * @param {{ timeZone?: string, userId?: string, email?: string, gongClient?: object }} options
+ */
+async function resolveTimeZone({ timeZone, userId, email, gongClient } = {}) {
+  if (timeZone) {
+    return timeZone;
+  }
+
+  if (gongClient && (userId || email)) {
+    try {
+      const userTimeZone = await getGongUserTimeZone(gongClient, { userId, email });
+      if (userTimeZone && isValidTimeZone(userTimeZone)) {
+        return userTimeZone;
+      }
+    } catch (error) {
+      console.warn('Could not read the Gong user time zone:', error.message);
+    }
+  }
+
+  return getDefaultTimeZone();
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIME_ZONE || 'UTC';
+}
+
+// Helper Functions
+
+async function getGongUserTimeZone(gongClient, { userId, email }) {
+  if (!userTimeZoneCache.users || Date.now() - userTimeZoneCache.loadedAt > USER_CACHE_DURATION) {
+    userTimeZoneCache = { users: await gongClient.listUsers(), loadedAt: Date.now() };
+  }
+
+  const user = userTimeZoneCache.users.find(u =>
+    (userId && u.id === userId) ||
+    (email && u.emailAddress?.toLowerCase() === email.toLowerCase())
+  );
+
+  return user?.settings?.timezone || null;
+}
+
+function normalizePeriod(period) {
+  return String(period || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function invalidPeriod(period) {
+  return new ValidationError([
+    { field: 'period', message: `could not understand "${period}". Examples: ${PERIOD_EXAMPLES}` }
+  ], `Unknown period: ${period}`);
+}
+
+/**
+ * [start, end) of the week, month, quarter or year containing today
+ */
+function getCurrentUnit(unit, { today, firstWeekday, fiscalStartMonth }) {
+  switch (unit) {
+    case 'week': {
+      const start = startOfWeek(today, firstWeekday);
+      return [start, addDays(start, 7)];
+    }
+    case 'month':
+      return monthRange(today.year, today.month);
+    case 'quarter':
+    case 'fiscal quarter': {
+      const start = startOfQuarter(today, unit === 'quarter' ? 1 : fiscalStartMonth);
+      return [start, addMonths(start, 3)];
+    }
+    default: {
+      const start = unit === 'year'
+        ? { year: today.year, month: 1, day: 1 }
+        : getFiscalYearStart(getFiscalYear(today, fiscalStartMonth), fiscalStartMonth);
+      return [start, addMonths(start, 12)];
+    }
+  }
+}
+
+function getPreviousUnitStart(unit, start) {
+  switch (unit) {
+    case 'week': return addDays(start, -7);
+    case 'month': return addMonths(start, -1);
+    case 'quarter':
+    case 'fiscal quarter': return addMonths(start, -3);
+    default: return addMonths(start, -12);
+  }
+}
+
+/**
+ * Quarter n of a (fiscal) year. Without a year, the most recent quarter n that has started.
+ */
+function quarterRange(quarter, year, firstMonth, today) {
+  const fiscalYear = year || getFiscalYear(today, firstMonth);
+  let start = addMonths(getFiscalYearStart(fiscalYear, firstMonth), 3 * (quarter - 1));
+
+  if (!year && compareDates(start, today) > 0) {
+    start = addMonths(start, -12);
+  }
+
+  return [start, addMonths(start, 3)];
+}
+
+function monthRange(year, month) {
+  if (month < 1 || month > 12) return null;
+  const start = { year, month, day: 1 };
+  return [start, addMonths(start, 1)];
+}
+
+function startOfQuarter(date, firstMonth) {
+  const monthsIntoQuarter = (date.month - firstMonth + 12) % 3;
+  return addMonths({ ...date, day: 1 }, -monthsIntoQuarter);
+}
+
+/**
+ * Fiscal years are named after the calendar year they end in
+ */
+function getFiscalYear(date, firstMonth) {
+  return firstMonth > 1 && date.month >= firstMonth ? date.year + 1 : date.year;
+}
+
+function getFiscalYearStart(fiscalYear, firstMonth) {
+  return { year: firstMonth > 1 ? fiscalYear - 1 : fiscalYear, month: firstMonth, day: 1 };
+}
+
+function getFiscalStartMonth(fiscalYearStart) {
+  const value = fiscalYearStart || process.env.FISCAL_YEAR_START_MONTH || 1;
+  const month = Number(value) || parseMonthName(String(value).toLowerCase());
+  return month >= 1 && month <= 12 ? month : 1;
+}
+
+function parseMonthName(name) {
+  const index = MONTHS.findIndex(month => month === name || (name.length >= 3 && month.startsWith(name)));
+  return index === -1 ? null : index + 1;
+}
+
+function toFullYear(year) {
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+}
+
+/**
+ * Parse YYYY-MM-DD, rejecting dates that do not exist (e.g. 2026-02-30)
+ */
+function parseLocalDate(text) {
+  const [year, month, day] = text.split('-').map(Number);
+  const date = addDays({ year, month, day }, 0);
+  return date.year === year && date.month === month && date.day === day ? date : null;
+}
+
+function compareDates(a, b) {
+  return (a.year - b.year) || (a.month - b.month) || (a.day - b.day);
+}
+
+function getWeekStartIndex(weekStart) {
+  const index = WEEKDAYS.indexOf((weekStart || process.env.WEEK_START || 'sunday').toLowerCase());
+  return index === -1 ? 0 : index;
+}
+
+/**
+ * Calendar date (year, month 1-12, day) of an instant in a time zone
+ */
+function getLocalDate(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  return { year: parts.year, month: parts.month, day: parts.day };
+}
+
+function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  });
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Milliseconds the zone is ahead of UTC at the given instant
+ */
+function getZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * First instant of a local date in a time zone
+ */
+function zonedDateToUtc({ year, month, day }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  let instant = wallClock - getZoneOffset(new Date(wallClock), timeZone);
+
+  // Re-check the offset at the result in case a DST change lies in between
+  const offset = getZoneOffset(new Date(instant), timeZone);
+  instant = wallClock - offset;
+
+  return new Date(instant);
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function addMonths({ year, month }, months) {
+  const date = new Date(Date.UTC(year, month - 1 + months, 1));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: 1 };
+}
+
+/**
+ * Same day n months away, clamped to the end of shorter months
+ */
+function shiftMonths(date, months) {
+  const target = addMonths(date, months);
+  const lastDay = addDays(addMonths(target, 1), -1).day;
+  return { ...target, day: Math.min(date.day, lastDay) };
+}
+
+function startOfWeek(date, firstWeekday) {
+  const weekday = new Date(Date.UTC(date.year, date.month - 1, date.day)).getUTCDay();
+  return addDays(date, -((weekday - firstWeekday + 7) % 7));
+}
+
+function formatLocalDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+module.exports = {
+  WEEKDAYS,
+  resolvePeriod,
+  parsePeriod,
+  resolveTimeZone,
+  isValidTimeZone,
+  buildRange,
+  getLocalDate,
+  parseLocalDate,
+  addDays,
+  addMonths,
+  formatLocalDate
+};
@@ -0,0 +1,123 @@
+// functions/shared/period.test.js - Tests for the period grammar and time zone handling (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePeriod, parsePeriod, resolveTimeZone } = require('./period');
+const { ValidationError } = require('./validation');
+
+// Test the built-in defaults, whatever the shell has configured
+delete process.env.DEFAULT_TIME_ZONE;
+delete process.env.WEEK_START;
+delete process.env.FISCAL_YEAR_START_MONTH;
+
+// Thursday, 15 October 2026
+const NOW = new Date('2026-10-15T12:00:00Z');
+
+function dates(period, options = {}) {
+  const range = resolvePeriod(period, { timeZone: 'UTC', now: NOW, ...options });
+  return [range.fromDate, range.toDate];
+}
+
+test('days', () => {
+  assert.deepEqual(dates('today'), ['2026-10-15', '2026-10-15']);
+  assert.deepEqual(dates('yesterday'), ['2026-10-14', '2026-10-14']);
+  assert.deepEqual(dates('2026-10-01'), ['2026-10-01', '2026-10-01']);
+  assert.deepEqual(dates('2026-10-01..2026-10-05'), ['2026-10-01', '2026-10-05']);
+  assert.deepEqual(dates('2026-10-01 .. 2026-10-05'), ['2026-10-01', '2026-10-05']);
+});
+
+test('weeks start on the requested weekday', () => {
+  assert.deepEqual(dates('this week'), ['2026-10-11', '2026-10-17']);
+  assert.deepEqual(dates('this week', { weekStart: 'monday' }), ['2026-10-12', '2026-10-18']);
+  assert.deepEqual(dates('last week', { weekStart: 'monday' }), ['2026-10-05', '2026-10-11']);
+  assert.deepEqual(dates('previous week'), ['2026-10-04', '2026-10-10']);
+});
+
+test('calendar months, quarters and years', () => {
+  assert.deepEqual(dates('month'), ['2026-10-01', '2026-10-31']);
+  assert.deepEqual(dates('last month'), ['2026-09-01', '2026-09-30']);
+  assert.deepEqual(dates('this quarter'), ['2026-10-01', '2026-12-31']);
+  assert.deepEqual(dates('last year'), ['2025-01-01', '2025-12-31']);
+  assert.deepEqual(dates('2026-02'), ['2026-02-01', '2026-02-28']);
+  assert.deepEqual(dates('2025'), ['2025-01-01', '2025-12-31']);
+  assert.deepEqual(dates('Oct 2025'), ['2025-10-01', '2025-10-31']);
+  assert.deepEqual(dates('Q3 2026'), ['2026-07-01', '2026-09-30']);
+  assert.deepEqual(dates('2026-Q1'), ['2026-01-01', '2026-03-31']);
+});
+
+test('quarters and months without a year are the most recent ones that have started', () => {
+  assert.deepEqual(dates('q4'), ['2026-10-01', '2026-12-31']);
+  assert.deepEqual(dates('q1'), ['2026-01-01', '2026-03-31']);
+  assert.deepEqual(dates('october'), ['2026-10-01', '2026-10-31']);
+  assert.deepEqual(dates('december'), ['2025-12-01', '2025-12-31']);
+});
+
+test('rolling windows end today', () => {
+  assert.deepEqual(dates('last 7 days'), ['2026-10-09', '2026-10-15']);
+  assert.deepEqual(dates('past 2 weeks'), ['2026-10-02', '2026-10-15']);
+  assert.deepEqual(dates('last 1 month'), ['2026-09-16', '2026-10-15']);
+  assert.deepEqual(dates('last 2 quarters'), ['2026-04-16', '2026-10-15']);
+});
+
+test('fiscal periods follow the fiscal year start and are named after the year they end in', () => {
+  const fiscal = { fiscalYearStart: 'february' };
+
+  assert.deepEqual(dates('FY2026', fiscal), ['2025-02-01', '2026-01-31']);
+  assert.deepEqual(dates('fy26', { fiscalYearStart: 2 }), ['2025-02-01', '2026-01-31']);
+  assert.deepEqual(dates('FQ1 FY26', fiscal), ['2025-02-01', '2025-04-30']);
+  assert.deepEqual(dates('FY2027 Q1', fiscal), ['2026-02-01', '2026-04-30']);
+  assert.deepEqual(dates('Q3 FY27', fiscal), ['2026-08-01', '2026-10-31']);
+  assert.deepEqual(dates('this fiscal year', fiscal), ['2026-02-01', '2027-01-31']);
+  assert.deepEqual(dates('this fiscal quarter', fiscal), ['2026-08-01', '2026-10-31']);
+  assert.deepEqual(dates('FY2026'), ['2026-01-01', '2026-12-31']);
+});
+
+test('periods are matched without regard to case and spacing', () => {
+  const range = resolvePeriod('  Last   WEEK ', { timeZone: 'UTC', now: NOW });
+  assert.equal(range.period, 'last week');
+  assert.equal(parsePeriod('This  Month'), 'this month');
+});
+
+test('an empty period means the last 30 days', () => {
+  const range = resolvePeriod('', { timeZone: 'UTC', now: NOW });
+  assert.equal(range.period, 'last 30 days');
+  assert.deepEqual([range.fromDate, range.toDate], ['2026-09-16', '2026-10-15']);
+});
+
+test('unknown or impossible periods are rejected on the period field', () => {
+  ['next week', 'last 0 days', '2026-02-30', '2026-10-05..2026-10-01', '2026-13', 'Q5', 'someday'].forEach(period => {
+    assert.throws(() => resolvePeriod(period, { now: NOW }), error => {
+      assert.ok(error instanceof ValidationError, period);
+      assert.equal(error.errors[0].field, 'period');
+      return true;
+    });
+  });
+  assert.throws(() => parsePeriod('fortnight'), /Unknown period: fortnight/);
+});
+
+test('ranges are calendar days in the time zone, across DST changes', () => {
+  const newYork = resolvePeriod('today', { timeZone: 'America/New_York', now: new Date('2026-10-15T03:00:00Z') });
+  assert.equal(newYork.fromDate, '2026-10-14');
+  assert.equal(newYork.fromDateTime, '2026-10-14T04:00:00.000Z');
+  assert.equal(newYork.toDateTime, '2026-10-15T04:00:00.000Z');
+
+  // Clocks go back on 1 November 2026 in Los Angeles: that day has 25 hours
+  const fallBack = resolvePeriod('today', { timeZone: 'America/Los_Angeles', now: new Date('2026-11-01T12:00:00Z') });
+  assert.equal(fallBack.fromDateTime, '2026-11-01T07:00:00.000Z');
+  assert.equal(fallBack.toDateTime, '2026-11-02T08:00:00.000Z');
+});
+
+test('resolveTimeZone prefers the explicit zone, then the Gong user, then the default', async () => {
+  const gongClient = {
+    listUsers: async () => [
+      { id: 'u1', emailAddress: 'Rep@Example.com', settings: { timezone: 'Europe/Paris' } },
+      { id: 'u2', emailAddress: 'bad@example.com', settings: { timezone: 'Not/AZone' } }
+    ]
+  };
+
+  assert.equal(await resolveTimeZone({ timeZone: 'Asia/Tokyo', email: 'rep@example.com', gongClient }), 'Asia/Tokyo');
+  assert.equal(await resolveTimeZone({ email: 'rep@example.com', gongClient }), 'Europe/Paris');
+  assert.equal(await resolveTimeZone({ userId: 'u1', gongClient }), 'Europe/Paris');
+  assert.equal(await resolveTimeZone({ userId: 'u2', gongClient }), 'UTC');
+  assert.equal(await resolveTimeZone({ email: 'nobody@example.com', gongClient }), 'UTC');
+  assert.equal(await resolveTimeZone({}), 'UTC');
+});
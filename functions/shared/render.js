@@ -0,0 +1,447 @@
+// functions/shared/render.js - Markdown and standalone HTML reports of analysis results
+//
+// A template turns one handler's JSON result into a document:
+//   { title, subtitle, sections: [{ heading, blocks: [block] }] }
+// where a block is a paragraph, a list, a table or a set of label/value fields.
+// The Markdown and HTML renderers only know about blocks, so every template
+// comes out the same in both formats. Empty blocks and sections are left out.
+//
+// Templates: dailyCalls (analyzeDailyCalls), callAnalysis (detailedCallAnalysis),
+// hurdles (getCallHurdles), dailySummary (generateDailySummary) and
+// methodologyScorecard (scoreCallMethodology).
+
+const FORMATS = ['json', 'markdown', 'html'];
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  markdown: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8'
+};
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/html': 'html'
+};
+
+const TEMPLATES = {
+  dailyCalls: data => ({
+    title: `Call analysis: ${data.period}`,
+    subtitle: describeRange(data.dateRange),
+    sections: data.summary ? [
+      {
+        heading: 'Overview',
+        blocks: [fields([
+          ['Calls', data.summary.totalCalls],
+          ['Analyzed', data.summary.analyzedCalls],
+          ['Overall sentiment', data.summary.overallSentiment],
+          ['Average duration', formatDuration(data.summary.averageCallDuration)],
+          ['Action items', data.summary.totalActionItems],
+          ['Calls with concerns', data.summary.callsWithConcerns],
+          ['Highly qualified calls', data.summary.highQualificationCalls]
+        ])]
+      },
+      {
+        heading: 'Calls',
+        blocks: [table(
+          ['Call', 'Date', 'Stage', 'Sentiment', 'Next steps'],
+          (data.calls || []).map(call => [
+            call.title, formatDate(call.date), call.landingPoint?.currentStage, call.sentiment?.overall, call.landingPoint?.nextSteps
+          ])
+        )]
+      },
+      { heading: 'Common hurdles', blocks: [list(data.aggregatedInsights?.commonHurdles, entry => `${entry.hurdle} (${entry.count})`)] },
+      { heading: 'Priority action items', blocks: [list(data.aggregatedInsights?.priorityActionItems, describeActionItem)] },
+      { heading: 'Buying signals', blocks: [list(data.aggregatedInsights?.buyingSignalsSummary, entry => `${entry.item} (${entry.count})`)] },
+      { heading: 'Competitor mentions', blocks: [list(data.aggregatedInsights?.competitorMentions, entry => `${entry.item} (${entry.count})`)] }
+    ] : [{ blocks: [paragraph(data.message || 'No calls found for the specified period')] }]
+  }),
+
+  callAnalysis: data => ({
+    title: data.callOverview?.title || `Call ${data.callOverview?.id}`,
+    subtitle: [formatDate(data.callOverview?.date), data.callOverview?.duration].filter(Boolean).join(' - '),
+    sections: [
+      {
+        heading: 'Overview',
+        blocks: [fields([
+          ['Call ID', data.callOverview?.id],
+          ['Participants', (data.callOverview?.participants || []).map(participant => participant.fullName || participant.name || participant.emailAddress)]
+        ])]
+      },
+      {
+        heading: 'Sentiment',
+        blocks: [
+          fields([
+            ['Overall', data.sentimentAnalysis?.overall],
+            ['Confidence', data.sentimentAnalysis?.confidence],
+            ['Customer', data.sentimentAnalysis?.customerSentiment],
+            ['Salesperson', data.sentimentAnalysis?.salespersonSentiment]
+          ]),
+          paragraph(data.sentimentAnalysis?.reasoning)
+        ]
+      },
+      {
+        heading: 'Deal',
+        blocks: [fields([
+          ['Stage', data.dealAnalysis?.currentStage],
+          ['Qualification', data.dealAnalysis?.qualificationLevel],
+          ['Next steps', data.dealAnalysis?.nextSteps],
+          ['Timeline', data.dealAnalysis?.timeline],
+          ['Hurdles', data.dealAnalysis?.hurdles]
+        ])]
+      },
+      { heading: 'Action items', blocks: [list(data.actionItems, describeActionItem)] },
+      {
+        heading: 'Business insights',
+        blocks: [
+          paragraph(data.businessInsights?.keyQuote && `"${data.businessInsights.keyQuote}"`),
+          fields([
+            ['Buying signals', data.businessInsights?.buyingSignals],
+            ['Concerns', data.businessInsights?.concerns],
+            ['Competitors', data.businessInsights?.competitorMentions],
+            ['Decision makers', data.businessInsights?.decisionMakers]
+          ])
+        ]
+      },
+      {
+        heading: 'Transcript',
+        blocks: [
+          fields([
+            ['Words', data.transcriptAnalysis?.totalWords],
+            ['Analyzed', data.transcriptCoverage && `${data.transcriptCoverage.percent}%`]
+          ]),
+          list(data.transcriptAnalysis?.keyMoments, moment => `${moment.timestamp || ''} ${moment.speaker ? `${moment.speaker}: ` : ''}${moment.content || describe(moment)}`.trim())
+        ]
+      },
+      {
+        heading: 'Evidence',
+        blocks: [list(
+          ['actionItems', 'concerns', 'buyingSignals'].flatMap(name => data.evidence?.[name] || []).filter(record => record.quote),
+          describeEvidence
+        )]
+      },
+      { heading: 'Recommendations', blocks: [list(data.recommendations, describeRecommendation)] }
+    ]
+  }),
+
+  hurdles: data => ({
+    title: `Hurdles to signing: ${data.period}`,
+    subtitle: describeRange(data.dateRange),
+    sections: data.totalCallsWithHurdles > 0 ? [
+      {
+        heading: 'Overview',
+        blocks: [fields([
+          ['Calls with hurdles', data.totalCallsWithHurdles],
+          ['In negotiation or closing', data.analysis?.urgentHurdles?.length]
+        ])]
+      },
+      { heading: 'Most common hurdles', blocks: [list(data.analysis?.mostCommonHurdles, entry => `${entry.item} (${entry.count})`)] },
+      { heading: 'Most common concerns', blocks: [list(data.analysis?.mostCommonConcerns, entry => `${entry.item} (${entry.count})`)] },
+      {
+        heading: 'Calls',
+        blocks: [table(
+          ['Call', 'Stage', 'Hurdles', 'Concerns'],
+          (data.hurdlesBreakdown || []).map(call => [call.title, call.currentStage, call.hurdles, call.concerns])
+        )]
+      },
+      { heading: 'Recommendations', blocks: [list(data.recommendations, describeRecommendation)] }
+    ] : [{ blocks: [paragraph('No hurdles were raised in these calls.')] }]
+  }),
+
+  methodologyScorecard: data => ({
+    title: `${data.methodology?.name || 'Methodology'} scorecard: call ${data.callId}`,
+    subtitle: data.score !== undefined ? `Score ${data.score}/100` : '',
+    sections: data.criteria ? [
+      { heading: 'Assessment', blocks: [paragraph(data.overallAssessment), fields([['Gaps', data.gaps]])] },
+      {
+        heading: 'Criteria',
+        blocks: [table(
+          ['Criterion', 'Score', 'Status', 'Summary'],
+          data.criteria.map(criterion => [criterion.name, `${criterion.score}/10`, criterion.status, criterion.summary])
+        )]
+      },
+      {
+        heading: 'Evidence',
+        blocks: [list(
+          data.criteria.flatMap(criterion => criterion.evidence || []).filter(record => record.quote),
+          describeEvidence
+        )]
+      },
+      {
+        heading: 'Ask next',
+        blocks: [list(
+          data.criteria.filter(criterion => criterion.missingInformation.length > 0),
+          criterion => `${criterion.name}: ${criterion.missingInformation.join(' ')}`
+        )]
+      }
+    ] : [{ blocks: [paragraph(data.message || 'No scorecard available for this call')] }]
+  }),
+
+  dailySummary: data => {
+    const summary = data.summary && typeof data.summary === 'object' ? data.summary : data;
+    const matching = summary.unfilteredCallCount !== undefined
+      ? `${summary.callCount} of ${summary.unfilteredCallCount} calls match this subscription`
+      : null;
+
+    return {
+      title: `Call summary for ${summary.date || `${summary.fromDate} to ${summary.toDate}`}`,
+      subtitle: summary.timeZone,
+      sections: summary.callCount > 0 ? [
+        {
+          heading: 'Overview',
+          blocks: [
+            paragraph(matching),
+            fields([
+              ['Calls', summary.callCount],
+              ['Analyzed', summary.coverage?.analyzedCalls],
+              ['Total duration', formatDuration(summary.totalDuration)],
+              ['Overall sentiment', summary.sentiment],
+              ['Sentiment', formatCounts(summary.sentimentBreakdown)],
+              ['Stages', formatCounts(summary.stages)]
+            ])
+          ]
+        },
+        { heading: 'Top hurdles', blocks: [list(summary.hurdles, entry => `${entry.hurdle} (${entry.mentions})`)] },
+        { heading: 'Competitors mentioned', blocks: [list(summary.competitorMentions, entry => `${entry.competitor} (${entry.mentions})`)] },
+        {
+          heading: 'Action items',
+          blocks: [table(
+            ['Task', 'Owner', 'Urgency', 'Call'],
+            (summary.actionItems || []).map(item => [item.task, item.owner, item.urgency, item.callTitle])
+          )]
+        },
+        {
+          heading: 'Calls',
+          blocks: [table(
+            ['Call', 'Stage', 'Sentiment', 'Next steps'],
+            (summary.insights || []).map(insight => [insight.title, insight.stage, insight.sentiment, insight.nextSteps])
+          )]
+        },
+        {
+          heading: 'Not analyzed',
+          blocks: [list(summary.coverage?.notAnalyzed, entry => `${entry.callId}: ${entry.reason}`)]
+        }
+      ] : [{ blocks: [paragraph(summary.summary || 'No calls found for this period')] }]
+    };
+  }
+};
+
+/**
+ * Pick the response format: an explicit format wins, then the Accept header
+ * (highest q first), else JSON
+ */
+function negotiateFormat(format, accept) {
+  if (format) {
+    return format;
+  }
+
+  const accepted = String(accept || '')
+    .split(',')
+    .map((entry, index) => {
+      const [type, ...params] = entry.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { type: type.trim(), q: q ? Number(q.slice(2)) : 1, index };
+    })
+    .filter(entry => ACCEPT_TYPES[entry.type] && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  return accepted.length > 0 ? ACCEPT_TYPES[accepted[0].type] : 'json';
+}
+
+/**
+ * Render data with a template as 'markdown' or 'html'
+ */
+function render(template, data, format) {
+  if (!TEMPLATES[template]) {
+    throw new Error(`Unknown template: ${template}`);
+  }
+
+  const document = TEMPLATES[template](data);
+  return format === 'html' ? toHtml(document) : toMarkdown(document);
+}
+
+// Helper Functions
+
+function paragraph(text) {
+  return { type: 'paragraph', text };
+}
+
+function list(items, describeItem = describe) {
+  return { type: 'list', items: (Array.isArray(items) ? items : []).map(describeItem).filter(Boolean) };
+}
+
+function table(columns, rows) {
+  return { type: 'table', columns, rows: rows.map(row => row.map(cell => describe(cell))) };
+}
+
+function fields(pairs) {
+  return { type: 'fields', fields: pairs.map(([label, value]) => [label, describe(value)]) };
+}
+
+function isEmpty(block) {
+  switch (block.type) {
+    case 'paragraph': return !block.text;
+    case 'list': return block.items.length === 0;
+    case 'table': return block.rows.length === 0;
+    case 'fields': return block.fields.every(([, value]) => !value);
+  }
+  return true;
+}
+
+function visibleSections(document) {
+  return document.sections
+    .map(section => ({ ...section, blocks: section.blocks.filter(block => !isEmpty(block)) }))
+    .filter(section => section.blocks.length > 0);
+}
+
+function toMarkdown(document) {
+  const lines = [`# ${escapeMarkdown(document.title)}`];
+  if (document.subtitle) lines.push('', `_${escapeMarkdown(document.subtitle)}_`);
+
+  visibleSections(document).forEach(section => {
+    if (section.heading) lines.push('', `## ${section.heading}`);
+
+    section.blocks.forEach(block => {
+      lines.push('');
+      switch (block.type) {
+        case 'paragraph':
+          lines.push(escapeMarkdown(block.text));
+          break;
+        case 'list':
+          block.items.forEach(item => lines.push(`- ${escapeMarkdown(item)}`));
+          break;
+        case 'fields':
+          block.fields.filter(([, value]) => value).forEach(([label, value]) => lines.push(`- **${label}:** ${escapeMarkdown(value)}`));
+          break;
+        case 'table':
+          lines.push(`| ${block.columns.join(' | ')} |`, `| ${block.columns.map(() => '---').join(' | ')} |`);
+          block.rows.forEach(row => lines.push(`| ${row.map(cell => escapeTableCell(cell)).join(' | ')} |`));
+          break;
+      }
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+function toHtml(document) {
+  const body = visibleSections(document).map(section => {
+    const blocks = section.blocks.map(block => {
+      switch (block.type) {
+        case 'paragraph':
+          return `<p>${escapeHtml(block.text)}</p>`;
+        case 'list':
+          return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+        case 'fields':
+          return `<dl>${block.fields.filter(([, value]) => value)
+            .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>`;
+        case 'table':
+          return `<table><thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>` +
+            `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+      }
+      return '';
+    }).join('\n');
+
+    return section.heading ? `<h2>${escapeHtml(section.heading)}</h2>\n${blocks}` : blocks;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Arial, sans-serif; color: #222; max-width: 960px; margin: 24px auto; padding: 0 16px; }
+h1 { font-size: 24px; margin-bottom: 4px; }
+h2 { font-size: 18px; border-bottom: 1px solid #ddd; padding-bottom: 4px; margin-top: 28px; }
+.subtitle { color: #666; margin-top: 0; }
+table { border-collapse: collapse; width: 100%; font-size: 14px; }
+th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+dl { display: grid; grid-template-columns: max-content auto; gap: 4px 16px; }
+dt { font-weight: 600; }
+dd { margin: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.title)}</h1>
+${document.subtitle ? `<p class="subtitle">${escapeHtml(document.subtitle)}</p>\n` : ''}${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Plain text for any value: lists are joined, known objects are summarized
+ */
+function describe(value) {
+  if (value === undefined || value === null || value === '') return '';
+  if (Array.isArray(value)) return value.map(describe).filter(Boolean).join(', ');
+  if (typeof value === 'object') {
+    return describe(value.task || value.action || value.recommendation || value.hurdle || value.item || value.name) || JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function describeActionItem(item) {
+  if (typeof item === 'string') return item;
+  const details = [item.owner, item.urgency && `${item.urgency} urgency`].filter(Boolean).join(', ');
+  return `${item.task}${details ? ` (${details})` : ''}`;
+}
+
+function describeEvidence(record) {
+  if (record.hallucinated) return `${record.item}: "${record.quote}" (not found in the transcript)`;
+  return `${record.item}: "${record.quote}" (${[record.timestamp, record.speaker, record.link].filter(Boolean).join(', ')})`;
+}
+
+function describeRecommendation(recommendation) {
+  if (typeof recommendation === 'string') return recommendation;
+  const text = recommendation.action || recommendation.recommendation;
+  const about = recommendation.issue ? `${recommendation.issue}: ` : '';
+  return `${about}${text}${recommendation.priority ? ` [${recommendation.priority}]` : ''}`;
+}
+
+function describeRange(dateRange) {
+  if (!dateRange?.fromDate) return '';
+  const dates = dateRange.fromDate === dateRange.toDate ? dateRange.fromDate : `${dateRange.fromDate} to ${dateRange.toDate}`;
+  return dateRange.timeZone ? `${dates} (${dateRange.timeZone})` : dates;
+}
+
+function formatCounts(counts) {
+  return Object.entries(counts || {}).map(([name, count]) => `${name} ${count}`).join(', ');
+}
+
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  const minutes = Math.round(seconds / 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+}
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return isNaN(date) ? String(value) : date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_<>])/g, '\\$1');
+}
+
+function escapeTableCell(text) {
+  return escapeMarkdown(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  FORMATS,
+  CONTENT_TYPES,
+  negotiateFormat,
+  render
+};
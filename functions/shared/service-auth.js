@@ -0,0 +1,261 @@
+// functions/shared/service-auth.js - Identity tokens for calls between functions
+//
+// The caller attaches a bearer token whose audience is the target URL; each
+// downstream handler verifies it before doing any work. Signing and
+// verification are pluggable, selected by SERVICE_AUTH_MODE:
+//   google - Google-signed ID tokens from the runtime service account (default in production)
+//   hmac   - tokens signed with SERVICE_AUTH_SECRET, for local runs and tests
+//   none   - no tokens (default outside production)
+// setTokenSigner / setTokenVerifier replace the active implementation entirely.
+
+const crypto = require('crypto');
+const { GoogleAuth, OAuth2Client } = require('google-auth-library');
+
+const HMAC_TOKEN_TTL = 5 * 60; // 5 minutes, in seconds
+
+let customSigner = null;
+let customVerifier = null;
+let googleAuth = null;
+let oauthClient = null;
+
+/**
+ * Raised when a request does not carry a valid service token
+ */
+class ServiceAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceAuthError';
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Headers to attach to a request sent to the given audience (the target URL)
+ */
+async function getServiceAuthHeaders(audience) {
+  const signer = getSigner();
+  if (!signer) {
+    return {};
+  }
+
+  const token = await signer.getToken(audience);
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Verify the bearer token on an incoming request. Resolves with the caller
+ * identity or throws ServiceAuthError.
+ */
+async function verifyServiceRequest(req) {
+  // In-process invocations never leave the process, so there is no token to check
+  if (req.inProcess) {
+    return { caller: 'in-process' };
+  }
+
+  const verifier = getVerifier();
+  if (!verifier) {
+    return { caller: 'anonymous' };
+  }
+
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    throw new ServiceAuthError('Missing bearer token');
+  }
+
+  return await verifier.verify(match[1], getExpectedAudiences(req));
+}
+
+/**
+ * Verify the request and send a 401 when it fails. Returns true when the
+ * handler may continue.
+ */
+async function requireServiceAuth(req, res) {
+  try {
+    const identity = await verifyServiceRequest(req);
+    req.serviceCaller = identity.caller;
+    return true;
+  } catch (error) {
+    console.warn('Rejected service request:', error.message);
+    res.status(401).json({
+      error: 'Unauthorized',
+      details: error instanceof ServiceAuthError ? error.message : 'Token verification failed',
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+}
+
+function setTokenSigner(signer) {
+  customSigner = signer;
+}
+
+function setTokenVerifier(verifier) {
+  customVerifier = verifier;
+}
+
+// Implementations
+
+function getAuthMode() {
+  if (process.env.SERVICE_AUTH_MODE) {
+    return process.env.SERVICE_AUTH_MODE;
+  }
+  return process.env.NODE_ENV === 'production' ? 'google' : 'none';
+}
+
+function getSigner() {
+  if (customSigner) {
+    return customSigner;
+  }
+
+  switch (getAuthMode()) {
+    case 'google':
+      return googleSigner;
+    case 'hmac':
+      return createHmacSigner(getHmacSecret());
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown SERVICE_AUTH_MODE: ${getAuthMode()}`);
+  }
+}
+
+function getVerifier() {
+  if (customVerifier) {
+    return customVerifier;
+  }
+
+  switch (getAuthMode()) {
+    case 'google':
+      return googleVerifier;
+    case 'hmac':
+      return createHmacVerifier(getHmacSecret());
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown SERVICE_AUTH_MODE: ${getAuthMode()}`);
+  }
+}
+
+const googleSigner = {
+  async getToken(audience) {
+    googleAuth = googleAuth || new GoogleAuth();
+    const client = await googleAuth.getIdTokenClient(audience);
+    return await client.idTokenProvider.fetchIdToken(audience);
+  }
+};
+
+const googleVerifier = {
+  async verify(token, audiences) {
+    oauthClient = oauthClient || new OAuth2Client();
+
+    let payload;
+    try {
+      const ticket = await oauthClient.verifyIdToken({ idToken: token, audience: audiences });
+      payload = ticket.getPayload();
+    } catch (error) {
+      throw new ServiceAuthError(`Invalid identity token: ${error.message}`);
+    }
+
+    const allowedInvokers = parseList(process.env.ALLOWED_INVOKERS);
+    if (allowedInvokers.length > 0 && !allowedInvokers.includes(payload.email)) {
+      throw new ServiceAuthError(`Caller ${payload.email || 'unknown'} is not allowed to invoke this function`);
+    }
+
+    return { caller: payload.email || payload.sub };
+  }
+};
+
+/**
+ * Fake signer for local runs and tests: payload.signature, HMAC-SHA256
+ */
+function createHmacSigner(secret, issuer = 'gong-functions') {
+  return {
+    async getToken(audience) {
+      const now = Math.floor(Date.now() / 1000);
+      const payload = base64url(JSON.stringify({ aud: audience, iss: issuer, iat: now, exp: now + HMAC_TOKEN_TTL }));
+      return `${payload}.${sign(payload, secret)}`;
+    }
+  };
+}
+
+function createHmacVerifier(secret) {
+  return {
+    async verify(token, audiences) {
+      const [payload, signature] = token.split('.');
+      const expected = sign(payload || '', secret);
+
+      if (!signature || signature.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new ServiceAuthError('Invalid token signature');
+      }
+
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+
+      if (claims.exp < Math.floor(Date.now() / 1000)) {
+        throw new ServiceAuthError('Token expired');
+      }
+      if (!audiences.includes(claims.aud)) {
+        throw new ServiceAuthError(`Token audience ${claims.aud} does not match this function`);
+      }
+
+      return { caller: claims.iss };
+    }
+  };
+}
+
+function getHmacSecret() {
+  if (!process.env.SERVICE_AUTH_SECRET) {
+    throw new Error('SERVICE_AUTH_SECRET is required when SERVICE_AUTH_MODE=hmac');
+  }
+  return process.env.SERVICE_AUTH_SECRET;
+}
+
+/**
+ * Audiences this function answers to: SERVICE_AUDIENCE when set, otherwise
+ * the URL the request arrived on and the cloudfunctions.net URL of this service.
+ */
+function getExpectedAudiences(req) {
+  const configured = parseList(process.env.SERVICE_AUDIENCE);
+  if (configured.length > 0) {
+    return configured;
+  }
+
+  const audiences = [];
+  const host = req.get('host');
+  const protocol = req.get('x-forwarded-proto') || req.protocol || 'https';
+
+  if (host) {
+    audiences.push(`${protocol}://${host}`);
+    audiences.push(`https://${host}`);
+  }
+
+  if (process.env.K_SERVICE && process.env.GOOGLE_CLOUD_PROJECT) {
+    const region = process.env.FUNCTION_REGION || 'us-central1';
+    audiences.push(`https://${region}-${process.env.GOOGLE_CLOUD_PROJECT}.cloudfunctions.net/${process.env.K_SERVICE}`);
+  }
+
+  return [...new Set(audiences)];
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  ServiceAuthError,
+  getServiceAuthHeaders,
+  verifyServiceRequest,
+  requireServiceAuth,
+  setTokenSigner,
+  setTokenVerifier,
+  createHmacSigner,
+  createHmacVerifier
+};
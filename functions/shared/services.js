@@ -0,0 +1,322 @@
+// functions/shared/services.js - Service discovery and invocation between functions
+//
+// Downstream URLs are resolved, in order, from:
+//   1. a per-service environment variable (CALLS_FUNCTION_URL, ...)
+//   2. the active profile in services.config.json (or SERVICES_CONFIG_PATH)
+//
+// The profile is SERVICE_PROFILE, else derived from NODE_ENV (production -> prod).
+// A profile in "in-process" mode (or SERVICE_MODE=in-process) loads the sibling
+// function modules and calls their handlers directly, without HTTP.
+// A profile with "offline": true (or OFFLINE_MODE=true) also replaces Gong,
+// Secret Manager and Firestore with local stand-ins (see offline.js).
+//
+// HTTP calls carry an identity token for the target URL (see service-auth.js).
+
+const fs = require('fs');
+const path = require('path');
+const { sendRequest } = require('./http');
+const { getServiceAuthHeaders } = require('./service-auth');
+
+const SERVICES = {
+  calls: {
+    envVar: 'CALLS_FUNCTION_URL',
+    functionName: 'gong-calls',
+    module: 'calls',
+    entryPoint: 'callsHandler'
+  },
+  transcript: {
+    envVar: 'TRANSCRIPT_FUNCTION_URL',
+    functionName: 'gong-transcript',
+    module: 'transcript',
+    entryPoint: 'transcriptHandler'
+  },
+  aiAnalysis: {
+    envVar: 'AI_ANALYSIS_FUNCTION_URL',
+    functionName: 'gong-ai-analysis',
+    module: 'ai-analysis',
+    entryPoint: 'aiAnalysisHandler'
+  },
+  dailySummary: {
+    envVar: 'DAILY_SUMMARY_FUNCTION_URL',
+    functionName: 'daily-summary',
+    module: 'daily-summary',
+    entryPoint: 'dailySummary'
+  },
+  weeklySummary: {
+    envVar: 'WEEKLY_SUMMARY_FUNCTION_URL',
+    functionName: 'weekly-summary',
+    module: 'daily-summary',
+    entryPoint: 'weeklySummary'
+  },
+  monthlySummary: {
+    envVar: 'MONTHLY_SUMMARY_FUNCTION_URL',
+    functionName: 'monthly-summary',
+    module: 'daily-summary',
+    entryPoint: 'monthlySummary'
+  },
+  users: {
+    envVar: 'USERS_FUNCTION_URL',
+    functionName: 'gong-users',
+    module: 'users',
+    entryPoint: 'usersHandler'
+  }
+};
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'services.config.json');
+const REQUEST_TIMEOUT = 60000; // 60 second timeout
+
+// Downstream calls can be expensive (AI analysis), so only retry when the
+// request never reached a healthy instance
+const SERVICE_RETRY = {
+  retries: 2,
+  retryOn: status => [429, 502, 503, 504].includes(status)
+};
+
+let configCache = null;
+const inProcessHandlers = new Map();
+
+/**
+ * Call another function by service name.
+ * Payloads of the form { method: 'GET', query } are sent as GET requests with
+ * query parameters; everything else is POSTed as the JSON body.
+ * options.timeout (ms) replaces the default timeout for slow requests.
+ */
+async function callService(name, payload, options = {}) {
+  const request = toServiceRequest(payload);
+
+  if (getServiceMode() === 'in-process') {
+    return await invokeInProcess(name, request);
+  }
+
+  const url = resolveServiceUrl(name);
+
+  try {
+    const authHeaders = await getServiceAuthHeaders(url);
+    const response = await sendRequest({
+      method: request.method.toLowerCase(),
+      url,
+      params: request.query,
+      data: request.method === 'GET' ? undefined : request.body,
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders,
+        ...request.headers
+      },
+      timeout: options.timeout || REQUEST_TIMEOUT
+    }, {
+      ...SERVICE_RETRY,
+      label: `Service ${name}`
+    });
+
+    return response.data;
+  } catch (error) {
+    console.error(`Error calling service ${name} (${url}):`, error.response?.data || error.message);
+    throw error;
+  }
+}
+
+/**
+ * Resolve the HTTP URL of a service for the active profile
+ */
+function resolveServiceUrl(name) {
+  const service = getService(name);
+
+  if (process.env[service.envVar]) {
+    return process.env[service.envVar];
+  }
+
+  const profile = getActiveProfile();
+
+  if (profile.services?.[name]) {
+    return profile.services[name];
+  }
+
+  if (profile.baseUrl) {
+    return `${expandPlaceholders(profile.baseUrl)}/${service.functionName}`;
+  }
+
+  throw new Error(`No URL configured for service "${name}". Set ${service.envVar} or add it to the "${getProfileName()}" profile.`);
+}
+
+/**
+ * Describe the resolved configuration (used by health checks)
+ */
+function describeServices() {
+  const mode = getServiceMode();
+
+  return {
+    profile: getProfileName(),
+    mode,
+    offline: isOfflineMode(),
+    services: Object.keys(SERVICES).reduce((acc, name) => {
+      if (mode === 'in-process') {
+        acc[name] = `in-process:${SERVICES[name].module}`;
+      } else {
+        try {
+          acc[name] = resolveServiceUrl(name);
+        } catch (error) {
+          acc[name] = null;
+        }
+      }
+      return acc;
+    }, {})
+  };
+}
+
+/**
+ * Whether functions run without Gong, Secret Manager and Firestore
+ */
+function isOfflineMode() {
+  if (process.env.OFFLINE_MODE) {
+    return process.env.OFFLINE_MODE === 'true';
+  }
+  return getActiveProfile().offline === true;
+}
+
+function getServiceMode() {
+  return process.env.SERVICE_MODE || getActiveProfile().mode || 'http';
+}
+
+function getProfileName() {
+  if (process.env.SERVICE_PROFILE) {
+    return process.env.SERVICE_PROFILE;
+  }
+
+  switch (process.env.NODE_ENV) {
+    case 'production':
+      return 'prod';
+    case 'staging':
+      return 'staging';
+    default:
+      return loadConfig().defaultProfile || 'dev';
+  }
+}
+
+function getActiveProfile() {
+  const name = getProfileName();
+  const profile = loadConfig().profiles?.[name];
+
+  if (!profile) {
+    throw new Error(`Unknown service profile: ${name}`);
+  }
+
+  return profile;
+}
+
+function loadConfig() {
+  if (configCache) {
+    return configCache;
+  }
+
+  const configPath = process.env.SERVICES_CONFIG_PATH || DEFAULT_CONFIG_PATH;
+  configCache = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  return configCache;
+}
+
+function getService(name) {
+  const service = SERVICES[name];
+  if (!service) {
+    throw new Error(`Unknown service: ${name}. Available services: ${Object.keys(SERVICES).join(', ')}`);
+  }
+  return service;
+}
+
+function expandPlaceholders(url) {
+  return url
+    .replace('{project}', process.env.GOOGLE_CLOUD_PROJECT || '')
+    .replace('{region}', process.env.FUNCTION_REGION || 'us-central1');
+}
+
+function toServiceRequest(payload = {}) {
+  if (payload.method === 'GET') {
+    return { method: 'GET', query: payload.query || {}, body: {}, headers: {} };
+  }
+
+  return { method: 'POST', query: {}, body: payload, headers: {} };
+}
+
+// In-process mode
+
+/**
+ * Load the sibling function module and run its HTTP handler with a minimal
+ * request/response pair. Non-2xx responses are thrown in the same shape as
+ * axios errors so callers handle both modes alike.
+ */
+async function invokeInProcess(name, request) {
+  const handler = loadInProcessHandler(name);
+
+  return await new Promise((resolve, reject) => {
+    const headers = Object.fromEntries(
+      Object.entries({ 'content-type': 'application/json', ...request.headers })
+        .map(([key, value]) => [key.toLowerCase(), value])
+    );
+
+    const req = {
+      method: request.method,
+      url: '/',
+      path: '/',
+      headers,
+      query: request.query,
+      body: request.body,
+      inProcess: true,
+      get: header => headers[header.toLowerCase()]
+    };
+
+    let settled = false;
+    const res = {
+      statusCode: 200,
+      set() { return res; },
+      status(code) { res.statusCode = code; return res; },
+      json(data) { settle(data); return res; },
+      send(data) { settle(data); return res; },
+      end() { settle(undefined); return res; }
+    };
+
+    function settle(data) {
+      if (settled) return;
+      settled = true;
+
+      if (res.statusCode >= 400) {
+        const error = new Error(data?.error || `Service ${name} responded with ${res.statusCode}`);
+        error.response = { status: res.statusCode, data };
+        reject(error);
+      } else {
+        resolve(data);
+      }
+    }
+
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+function loadInProcessHandler(name) {
+  if (inProcessHandlers.has(name)) {
+    return inProcessHandlers.get(name);
+  }
+
+  const service = getService(name);
+  const moduleDir = path.join(__dirname, '..', service.module);
+
+  // Each function registers its handlers with its own copy of the framework
+  const frameworkTesting = require(require.resolve('@google-cloud/functions-framework/testing', {
+    paths: [moduleDir]
+  }));
+
+  require(path.join(moduleDir, 'index.js'));
+  const handler = frameworkTesting.getFunction(service.entryPoint);
+
+  if (!handler) {
+    throw new Error(`Function ${service.entryPoint} was not registered by ${service.module}`);
+  }
+
+  inProcessHandlers.set(name, handler);
+  return handler;
+}
+
+module.exports = {
+  SERVICES,
+  callService,
+  resolveServiceUrl,
+  describeServices,
+  isOfflineMode
+};
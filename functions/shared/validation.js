@@ -0,0 +1,177 @@
+// functions/shared/validation.js - Schema-based request validation shared by the HTTP functions
+//
+// Schemas use a small subset of JSON Schema (type, enum, required, properties,
+// additionalProperties, items, minItems, maxItems, minLength, pattern, minimum,
+// maximum, format) so the same definitions can be published in the OpenAPI spec.
+// Besides date and date-time, format 'time-zone' accepts IANA zone names.
+
+/**
+ * Raised when a request does not match its schema. Carries every invalid field.
+ */
+class ValidationError extends Error {
+  constructor(errors, message = 'Request validation failed') {
+    super(message);
+    this.name = 'ValidationError';
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Validate a value against a schema and return the list of problems found
+ */
+function validate(value, schema, field = '') {
+  const errors = [];
+
+  if (value === undefined || value === null) {
+    return errors;
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : (schema.type ? [schema.type] : []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    errors.push({ field: field || '(body)', message: `must be of type ${types.join(' or ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match pattern ${schema.pattern}` });
+    }
+    if ((schema.format === 'date' || schema.format === 'date-time') && isNaN(Date.parse(value))) {
+      errors.push({ field, message: `must be a valid ${schema.format}` });
+    }
+    if (schema.format === 'time-zone' && !isTimeZone(value)) {
+      errors.push({ field, message: 'must be an IANA time zone such as America/Los_Angeles' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${field}[${index}]`));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined || value[name] === null || value[name] === '') {
+        errors.push({ field: joinField(field, name), message: 'is required' });
+      }
+    });
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+      errors.push(...validate(value[name], propertySchema, joinField(field, name)));
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(name => !properties[name])
+        .forEach(name => {
+          errors.push({ field: joinField(field, name), message: 'is not allowed' });
+        });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a request payload and throw a ValidationError listing every invalid field
+ */
+function validateRequest(data, schema) {
+  const errors = validate(data || {}, { type: 'object', ...schema });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return data;
+}
+
+/**
+ * Validate a POST body of the form { action, ... } against per-action schemas
+ */
+function validateAction(body, actionSchemas) {
+  const action = body?.action;
+  const actionNames = Object.keys(actionSchemas);
+
+  if (!action) {
+    throw new ValidationError([{ field: 'action', message: 'is required' }]);
+  }
+
+  if (!actionSchemas[action]) {
+    throw new ValidationError([
+      { field: 'action', message: `must be one of: ${actionNames.join(', ')}` }
+    ], `Unknown action: ${action}`);
+  }
+
+  return validateRequest(body, actionSchemas[action]);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && !isNaN(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function joinField(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+module.exports = {
+  ValidationError,
+  validate,
+  validateRequest,
+  validateAction
+};
@@ -0,0 +1,109 @@
+// functions/shared/validation.test.js - Tests for the schema validator (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ValidationError, validate, validateRequest, validateAction } = require('./validation');
+
+const fields = errors => errors.map(error => error.field);
+
+test('validate accepts values of the declared type', () => {
+  assert.deepEqual(validate('text', { type: 'string' }), []);
+  assert.deepEqual(validate(3, { type: 'integer' }), []);
+  assert.deepEqual(validate(2.5, { type: 'number' }), []);
+  assert.deepEqual(validate(false, { type: 'boolean' }), []);
+  assert.deepEqual(validate([], { type: 'array' }), []);
+  assert.deepEqual(validate({}, { type: 'object' }), []);
+  assert.deepEqual(validate(null, { type: ['string', 'null'] }), []);
+});
+
+test('validate reports a wrong type and stops checking that value', () => {
+  assert.deepEqual(validate(2.5, { type: 'integer' }), [{ field: '(body)', message: 'must be of type integer' }]);
+  assert.deepEqual(validate([], { type: 'object', required: ['a'] }), [{ field: '(body)', message: 'must be of type object' }]);
+  assert.deepEqual(validate({ a: 'x' }, { type: 'object', properties: { a: { type: ['number', 'null'], minimum: 1 } } }),
+    [{ field: 'a', message: 'must be of type number or null' }]);
+});
+
+test('validate skips missing values; required catches them', () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] };
+
+  assert.deepEqual(validate(undefined, { type: 'string' }), []);
+  assert.deepEqual(fields(validate({}, schema)), ['name']);
+  assert.deepEqual(fields(validate({ name: '' }, schema)), ['name']);
+  assert.deepEqual(validate({ name: 'x' }, schema), []);
+});
+
+test('validate checks enum, minLength, pattern and formats', () => {
+  assert.equal(validate('red', { enum: ['blue'] })[0].message, 'must be one of: blue');
+  assert.equal(validate('  ', { type: 'string', minLength: 1 }).length, 1);
+  assert.equal(validate('abc1', { type: 'string', pattern: '^[a-z]+$' }).length, 1);
+  assert.deepEqual(validate('2026-10-01', { type: 'string', format: 'date' }), []);
+  assert.equal(validate('not a date', { type: 'string', format: 'date-time' }).length, 1);
+  assert.deepEqual(validate('Europe/Berlin', { type: 'string', format: 'time-zone' }), []);
+  assert.equal(validate('Mars/Olympus', { type: 'string', format: 'time-zone' })[0].message,
+    'must be an IANA time zone such as America/Los_Angeles');
+});
+
+test('validate checks number bounds', () => {
+  const schema = { type: 'number', minimum: 0, maximum: 10 };
+
+  assert.deepEqual(validate(0, schema), []);
+  assert.deepEqual(validate(10, schema), []);
+  assert.equal(validate(-1, schema)[0].message, 'must be >= 0');
+  assert.equal(validate(11, schema)[0].message, 'must be <= 10');
+});
+
+test('validate checks list size and every item with its index', () => {
+  const schema = { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', minLength: 1 } };
+
+  assert.equal(validate([], schema)[0].message, 'must contain at least 1 item(s)');
+  assert.equal(validate(['a', 'b', 'c'], schema)[0].message, 'must contain at most 2 item(s)');
+  assert.deepEqual(fields(validate(['a', ''], schema, 'ids')), ['ids[1]']);
+});
+
+test('validate names nested fields by path and rejects extra properties when asked', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      options: {
+        type: 'object',
+        properties: { limit: { type: 'integer', minimum: 1 } }
+      }
+    }
+  };
+
+  assert.deepEqual(validate({ options: { limit: 0 }, extra: true }, schema), [
+    { field: 'options.limit', message: 'must be >= 1' },
+    { field: 'extra', message: 'is not allowed' }
+  ]);
+});
+
+test('validateRequest throws a ValidationError listing every invalid field', () => {
+  const schema = {
+    properties: { period: { type: 'string', minLength: 1 }, callIds: { type: 'array', items: { type: 'string' } } },
+    required: ['period']
+  };
+
+  assert.throws(() => validateRequest({ callIds: ['a', 2] }, schema), error => {
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(fields(error.errors), ['period', 'callIds[1]']);
+    return true;
+  });
+  assert.deepEqual(validateRequest({ period: 'today' }, schema), { period: 'today' });
+  assert.throws(() => validateRequest(null, schema), ValidationError);
+});
+
+test('validateAction requires a known action and validates its fields', () => {
+  const schemas = {
+    getCallDetails: { properties: { callId: { type: 'string', minLength: 1 } }, required: ['callId'] }
+  };
+
+  assert.throws(() => validateAction({}, schemas), /Request validation failed/);
+  assert.throws(() => validateAction({ action: 'deleteCall' }, schemas), error => {
+    assert.equal(error.message, 'Unknown action: deleteCall');
+    assert.equal(error.errors[0].message, 'must be one of: getCallDetails');
+    return true;
+  });
+  assert.throws(() => validateAction({ action: 'getCallDetails' }, schemas), ValidationError);
+  assert.doesNotThrow(() => validateAction({ action: 'getCallDetails', callId: 'c1' }, schemas));
+});
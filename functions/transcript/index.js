@@ -1,7 +1,11 @@
 // functions/transcript/index.js - Enhanced transcript processing function
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
-const axios = require('axios');
+const { requireServiceAuth } = require('../shared/service-auth');
+const { createGongClient } = require('../shared/gong-client');
+const { isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS } = require('../shared/offline');
+const { RateLimitError, trackHttpStats } = require('../shared/http');
 
 // Initialize Secret Manager client
 const secretClient = new SecretManagerServiceClient();
@@ -31,6 +35,11 @@ functions.http('transcriptHandler', async (req, res) => {
     return;
   }
 
+  // Only accept calls signed by other functions in this project
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
     console.log('Transcript request with body:', req.body);
 
@@ -64,39 +73,30 @@ functions.http('transcriptHandler', async (req, res) => {
     
     console.log('Processing transcript request for call IDs:', targetCallIds);
     
-    // Build Gong transcript request (matching your exact format)
-    const transcriptRequest = {
-      filter: {
-        callIds: targetCallIds,
-        fromDateTime: "2023-01-01T00:00:00Z",
-        toDateTime: "2025-12-31T23:59:59Z"
-      }
-    };
-    
-    console.log('Making transcript request to Gong:', JSON.stringify(transcriptRequest, null, 2));
-    
-    // Make request to Gong API
-    const response = await axios.post(`${gongConfig.baseUrl}/calls/transcript`, transcriptRequest, {
-      headers: gongConfig.headers,
-      timeout: 30000
-    });
-    
-    const data = response.data;
-    console.log(`Retrieved transcripts for ${data.callTranscripts ? data.callTranscripts.length : 0} calls`);
+    // Fetch every page of transcripts by call ID alone, so calls from any date are found
+    const { result: { transcripts: callTranscripts, missingCallIds }, stats } = await trackHttpStats(() =>
+      createGongClient(gongConfig).getTranscriptsForCalls(targetCallIds)
+    );
+    console.log(`Retrieved transcripts for ${callTranscripts.length} calls`);
+
+    if (missingCallIds.length > 0) {
+      console.warn(`No transcript returned for calls: ${missingCallIds.join(', ')}`);
+    }
     
     // Process and enhance transcript response (matching your implementation)
     const enhancedResponse = {
-      callTranscripts: data.callTranscripts ? data.callTranscripts.map(transcript => ({
+      callTranscripts: callTranscripts.map(transcript => ({
         callId: transcript.callId,
         transcript: transcript.transcript ? processTranscriptEntries(transcript.transcript) : [],
         // Add enhanced analytics
         analytics: analyzeTranscriptContent(transcript.transcript),
         conversationText: extractConversationText(transcript.transcript)
-      })) : [],
+      })),
       
       transcriptSummary: {
-        totalTranscripts: data.callTranscripts ? data.callTranscripts.length : 0,
+        totalTranscripts: callTranscripts.length,
         requestedCallIds: targetCallIds,
+        missingCallIds,
         processedAt: new Date().toISOString(),
         enhancedFeatures: {
           speakerAnalysis: true,
@@ -104,7 +104,8 @@ functions.http('transcriptHandler', async (req, res) => {
           topicExtraction: true,
           conversationFlow: true
         }
-      }
+      },
+      httpStats: stats
     };
     
     console.log('Returning enhanced transcript response');
@@ -119,6 +120,10 @@ functions.http('transcriptHandler', async (req, res) => {
     if (error.response) {
       statusCode = error.response.status;
       errorMessage = error.response.data?.message || 'Gong transcript request failed';
+    } else if (error instanceof RateLimitError) {
+      statusCode = 429;
+      errorMessage = 'Gong API rate limit reached';
+      res.set('Retry-After', String(error.retryAfter));
     }
 
     res.status(statusCode).json({
@@ -303,6 +308,10 @@ function analyzeTranscriptContent(transcriptArray) {
 // Helper Functions
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const now = Date.now();
   
   if (now - lastSecretRefresh < CACHE_DURATION && Object.keys(secretsCache).length > 0) {
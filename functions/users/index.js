@@ -1,7 +1,12 @@
 // functions/users/index.js - Complete enhanced users management function
 const functions = require('@google-cloud/functions-framework');
 const { SecretManagerServiceClient } = require('@google-cloud/secret-manager');
-const axios = require('axios');
+const { ValidationError, validateAction } = require('../shared/validation');
+const { createGongClient } = require('../shared/gong-client');
+const { isOfflineMode } = require('../shared/services');
+const { OFFLINE_GONG_SECRETS } = require('../shared/offline');
+const { RateLimitError, trackHttpStats } = require('../shared/http');
+const { requireServiceAuth } = require('../shared/service-auth');
 
 // Initialize Secret Manager client
 const secretClient = new SecretManagerServiceClient();
@@ -26,32 +31,50 @@ functions.http('usersHandler', async (req, res) => {
     return;
   }
 
+  // Only accept calls signed by other functions in this project
+  if (!(await requireServiceAuth(req, res))) {
+    return;
+  }
+
   try {
     console.log('Users function - Processing request:', req.method, req.url);
 
+    // Validate POST actions before touching any credentials
+    if (req.method === 'POST') {
+      validateAction(req.body, OPERATION_SCHEMAS);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
     // Get secrets from Secret Manager
     const secrets = await getSecrets();
     const gongConfig = createGongConfig(secrets);
 
-    let result;
-
-    // Handle different user-related endpoints
-    switch (req.method) {
-      case 'GET':
-        result = await handleGetUsers(req, gongConfig);
-        break;
-      case 'POST':
-        result = await handleUserOperation(req, gongConfig);
-        break;
-      default:
-        return res.status(405).json({ error: 'Method not allowed' });
-    }
+    // Handle different user-related endpoints, counting Gong requests and retries
+    const { result, stats } = await trackHttpStats(async () => {
+      switch (req.method) {
+        case 'GET':
+          return await handleGetUsers(req, gongConfig);
+        case 'POST':
+          return await handleUserOperation(req, gongConfig);
+      }
+    });
 
     console.log('Users function - Request completed successfully');
-    res.status(200).json(result);
+    res.status(200).json({ ...result, httpStats: stats });
 
   } catch (error) {
     console.error('Users function error:', error);
+
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        error: error.message,
+        invalidFields: error.errors,
+        timestamp: new Date().toISOString()
+      });
+    }
     
     let statusCode = 500;
     let errorMessage = 'Internal server error';
@@ -59,6 +82,10 @@ functions.http('usersHandler', async (req, res) => {
     if (error.response) {
       statusCode = error.response.status;
       errorMessage = error.response.data?.message || 'Gong users request failed';
+    } else if (error instanceof RateLimitError) {
+      statusCode = 429;
+      errorMessage = 'Gong API rate limit reached';
+      res.set('Retry-After', String(error.retryAfter));
     }
 
     res.status(statusCode).json({
@@ -77,9 +104,7 @@ async function handleGetUsers(req, gongConfig) {
 
   console.log('Users request received with params:', { workspace, active, email, limit });
 
-  const params = {
-    limit: parseInt(limit)
-  };
+  const params = {};
 
   // Add filters if provided
   if (active !== undefined) {
@@ -93,15 +118,8 @@ async function handleGetUsers(req, gongConfig) {
   console.log('Making request to Gong API');
 
   // Make request to Gong API (matching your Vercel implementation)
-  const response = await axios.get(`${gongConfig.baseUrl}/users`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  const data = response.data;
-  console.log(`Retrieved ${data.users ? data.users.length : 0} users from Gong`);
-
-  const users = data.users || data.records || [];
+  const users = await createGongClient(gongConfig).listUsers(params, { maxRecords: parseInt(limit) });
+  console.log(`Retrieved ${users.length} users from Gong`);
 
   // Enhanced user data processing
   const processedUsers = users.map(user => ({
@@ -165,11 +183,79 @@ async function handleGetUsers(req, gongConfig) {
   return enhancedResponse;
 }
 
+const USER_ID_PROPERTY = { type: 'string', minLength: 1 };
+
+// Request schemas for each POST action
+const OPERATION_SCHEMAS = {
+  getUserDetails: {
+    properties: { userId: USER_ID_PROPERTY },
+    required: ['userId']
+  },
+  getUserStats: {
+    properties: { userId: USER_ID_PROPERTY },
+    required: ['userId']
+  },
+  searchUsers: {
+    properties: {
+      data: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          filters: {
+            type: 'object',
+            properties: {
+              active: { type: 'boolean' },
+              role: { type: 'string' },
+              department: { type: 'string' },
+              hasRecentActivity: { type: 'boolean' }
+            }
+          },
+          limit: { type: 'integer', minimum: 1, maximum: 1000 }
+        }
+      }
+    }
+  },
+  getUserActivity: {
+    properties: {
+      userId: USER_ID_PROPERTY,
+      data: {
+        type: 'object',
+        properties: {
+          days: { type: 'integer', minimum: 1, maximum: 365 },
+          includeDetails: { type: 'boolean' }
+        }
+      }
+    },
+    required: ['userId']
+  },
+  getUserCalls: {
+    properties: {
+      userId: USER_ID_PROPERTY,
+      data: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 1000 },
+          fromDate: { type: 'string', format: 'date-time' },
+          toDate: { type: 'string', format: 'date-time' },
+          callType: {
+            type: 'string',
+            enum: ['demo', 'discovery', 'follow-up', 'onboarding', 'check-in', 'closing', 'general']
+          },
+          minDuration: { type: 'number', minimum: 0 },
+          sortBy: { type: 'string', enum: ['started', 'duration', 'title'] },
+          sortOrder: { type: 'string', enum: ['asc', 'desc'] }
+        }
+      }
+    },
+    required: ['userId']
+  }
+};
+
 /**
  * Handle POST requests for user operations
  */
 async function handleUserOperation(req, gongConfig) {
-  const { action, userId, data } = req.body;
+  const { action, userId, data = {} } = req.body;
 
   console.log('User operation:', { action, userId });
 
@@ -188,9 +274,6 @@ async function handleUserOperation(req, gongConfig) {
     
     case 'getUserCalls':
       return await getUserCalls(userId, data, gongConfig);
-    
-    default:
-      throw new Error(`Unknown action: ${action}`);
   }
 }
 
@@ -202,28 +285,25 @@ async function getUserDetails(userId, gongConfig) {
     throw new Error('User ID is required');
   }
 
-  // Get user details
-  const userResponse = await axios.get(`${gongConfig.baseUrl}/users`, {
-    headers: gongConfig.headers
-  });
+  const gong = createGongClient(gongConfig);
 
-  const user = userResponse.data.users?.find(u => u.id === userId);
+  // Get user details
+  const users = await gong.listUsers();
+  const user = users.find(u => u.id === userId);
   
   if (!user) {
     throw new Error('User not found');
   }
 
-  // Get user's recent calls
-  const callsResponse = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params: {
-      participantIds: userId,
-      limit: 10,
-      fromDateTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() // Last 30 days
-    }
+  // Get user's 10 most recent calls
+  const calls = await gong.listCalls({
+    participantIds: userId,
+    fromDateTime: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString() // Last 30 days
   });
 
-  const recentCalls = callsResponse.data.records || callsResponse.data.calls || [];
+  const recentCalls = calls
+    .sort((a, b) => new Date(b.started) - new Date(a.started))
+    .slice(0, 10);
 
   return {
     user: {
@@ -265,18 +345,12 @@ async function getUserStats(userId, gongConfig) {
   const startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000); // Last 30 days
 
   // Get user's calls for the period
-  const callsResponse = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params: {
-      participantIds: userId,
-      fromDateTime: startDate.toISOString(),
-      toDateTime: endDate.toISOString(),
-      limit: 1000
-    }
+  const calls = await createGongClient(gongConfig).listCalls({
+    participantIds: userId,
+    fromDateTime: startDate.toISOString(),
+    toDateTime: endDate.toISOString()
   });
 
-  const calls = callsResponse.data.records || callsResponse.data.calls || [];
-
   // Calculate comprehensive statistics
   const stats = {
     period: {
@@ -328,7 +402,7 @@ async function getUserStats(userId, gongConfig) {
 async function searchUsers(searchData, gongConfig) {
   const { query, filters = {}, limit = 50 } = searchData;
 
-  const params = { limit };
+  const params = {};
 
   // Add search filters
   if (filters.active !== undefined) {
@@ -339,12 +413,8 @@ async function searchUsers(searchData, gongConfig) {
     params.role = filters.role;
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/users`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  let users = response.data.users || response.data.records || [];
+  // Text search and filters run locally, so fetch every user
+  let users = await createGongClient(gongConfig).listUsers(params);
 
   // Apply text search if query provided
   if (query) {
@@ -371,7 +441,7 @@ async function searchUsers(searchData, gongConfig) {
   }
 
   return {
-    users: users.map(user => ({
+    users: users.slice(0, limit).map(user => ({
       id: user.id,
       emailAddress: user.emailAddress,
       firstName: user.firstName,
@@ -402,18 +472,12 @@ async function getUserActivity(userId, options, gongConfig) {
   const startDate = new Date(endDate.getTime() - days * 24 * 60 * 60 * 1000);
 
   // Get user's calls for the period
-  const callsResponse = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params: {
-      participantIds: userId,
-      fromDateTime: startDate.toISOString(),
-      toDateTime: endDate.toISOString(),
-      limit: 1000
-    }
+  const calls = await createGongClient(gongConfig).listCalls({
+    participantIds: userId,
+    fromDateTime: startDate.toISOString(),
+    toDateTime: endDate.toISOString()
   });
 
-  const calls = callsResponse.data.records || callsResponse.data.calls || [];
-
   // Group calls by day
   const activityByDay = {};
   calls.forEach(call => {
@@ -480,8 +544,7 @@ async function getUserCalls(userId, options, gongConfig) {
   } = options || {};
 
   const params = {
-    participantIds: userId,
-    limit: parseInt(limit)
+    participantIds: userId
   };
 
   // Add date filters
@@ -496,12 +559,7 @@ async function getUserCalls(userId, options, gongConfig) {
     params.toDateTime = now.toISOString();
   }
 
-  const response = await axios.get(`${gongConfig.baseUrl}/calls`, {
-    headers: gongConfig.headers,
-    params
-  });
-
-  let calls = response.data.records || response.data.calls || [];
+  let calls = await createGongClient(gongConfig).listCalls(params);
 
   // Apply filters
   if (callType) {
@@ -530,7 +588,7 @@ async function getUserCalls(userId, options, gongConfig) {
   });
 
   // Process calls
-  const processedCalls = calls.map(call => ({
+  const processedCalls = calls.slice(0, parseInt(limit)).map(call => ({
     id: call.id,
     title: call.title,
     started: call.started,
@@ -563,6 +621,10 @@ async function getUserCalls(userId, options, gongConfig) {
 // Helper Functions
 
 async function getSecrets() {
+  if (isOfflineMode()) {
+    return OFFLINE_GONG_SECRETS;
+  }
+
   const now = Date.now();
   
   if (now - lastSecretRefresh < CACHE_DURATION && Object.keys(secretsCache).length > 0) {
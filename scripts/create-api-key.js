@@ -0,0 +1,57 @@
+// scripts/create-api-key.js - Issue an API key for the gongApi router
+//
+// Generates a random key, stores its SHA-256 hash in Firestore (api_keys) and
+// prints the key once. Run `npm install` in functions/gong-api first.
+//
+// Usage: node scripts/create-api-key.js <name> [actions] [requestsPerDay] [tokensPerDay]
+//   actions: comma-separated action names, legacy_path, or * for all (default *).
+//            Quote the * so the shell does not expand it to file names.
+//   example: node scripts/create-api-key.js chatgpt-action '*' 500 2000000
+
+const crypto = require('crypto');
+const path = require('path');
+
+const gongApiDir = path.join(__dirname, '..', 'functions', 'gong-api');
+const { Firestore } = require(require.resolve('@google-cloud/firestore', { paths: [gongApiDir] }));
+const { hashKey, LEGACY_PATH_ACTION } = require(path.join(gongApiDir, 'api-keys'));
+const { ACTION_NAMES } = require(path.join(gongApiDir, 'actions'));
+
+const [name, actions = '*', requestsPerDay, tokensPerDay] = process.argv.slice(2);
+
+if (!name) {
+  console.error('Usage: node scripts/create-api-key.js <name> [actions] [requestsPerDay] [tokensPerDay]');
+  process.exit(1);
+}
+
+const allowedActions = actions.split(',').map(action => action.trim()).filter(Boolean);
+const knownActions = ['*', LEGACY_PATH_ACTION, ...ACTION_NAMES];
+const unknownActions = allowedActions.filter(action => !knownActions.includes(action));
+
+if (allowedActions.length === 0 || unknownActions.length > 0) {
+  console.error(unknownActions.length > 0 ? `Unknown action(s): ${unknownActions.join(', ')}` : 'No actions given');
+  console.error(`Actions must be '*', ${LEGACY_PATH_ACTION} or any of: ${ACTION_NAMES.join(', ')}`);
+  process.exit(1);
+}
+
+async function main() {
+  const apiKey = `gk_${crypto.randomBytes(24).toString('base64url')}`;
+  const quota = {};
+  if (requestsPerDay) quota.requestsPerDay = Number(requestsPerDay);
+  if (tokensPerDay) quota.tokensPerDay = Number(tokensPerDay);
+
+  await new Firestore().collection('api_keys').doc(hashKey(apiKey)).set({
+    name,
+    active: true,
+    allowedActions,
+    quota,
+    createdAt: new Date()
+  });
+
+  console.log(`Created API key "${name}". Store it now, it cannot be shown again:`);
+  console.log(apiKey);
+}
+
+main().catch(error => {
+  console.error('Failed to create API key:', error.message);
+  process.exit(1);
+});
@@ -4,6 +4,8 @@ REM scripts/deploy.bat - Windows deployment script for Google Cloud Functions
 set PROJECT_ID=gong-chatgpt-integration
 set REGION=us-central1
 set RUNTIME=nodejs18
+set FUNCTIONS_SA=gong-functions-sa@%PROJECT_ID%.iam.gserviceaccount.com
+set DOWNSTREAM_ENV=NODE_ENV=production,SERVICE_AUTH_MODE=google,ALLOWED_INVOKERS=%FUNCTIONS_SA%,GOOGLE_CLOUD_PROJECT=%PROJECT_ID%,FUNCTION_REGION=%REGION%
 
 echo 🚀 Starting deployment to Google Cloud Functions
 
@@ -21,7 +23,8 @@ gcloud config set project %PROJECT_ID%
 
 REM Deploy main function (replaces your Vercel middleware)
 echo 🚢 Deploying main Gong API function
-cd functions\gong-api
+node scripts\stage-function.js gong-api
+cd build\gong-api
 
 gcloud functions deploy gong-api ^
   --gen2 ^
@@ -35,7 +38,8 @@ gcloud functions deploy gong-api ^
   --max-instances=100 ^
   --min-instances=1 ^
   --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="NODE_ENV=production,SERVICE_PROFILE=prod,SERVICE_AUTH_MODE=google,GOOGLE_CLOUD_PROJECT=%PROJECT_ID%,FUNCTION_REGION=%REGION%" ^
   --quiet
 
 if %errorlevel% neq 0 (
@@ -49,7 +53,8 @@ cd ..\..
 
 REM Deploy calls function (enhanced call management)
 echo 🚢 Deploying enhanced calls function
-cd functions\calls
+node scripts\stage-function.js calls
+cd build\calls
 
 gcloud functions deploy gong-calls ^
   --gen2 ^
@@ -62,15 +67,17 @@ gcloud functions deploy gong-calls ^
   --timeout=540s ^
   --max-instances=50 ^
   --min-instances=0 ^
-  --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
   --quiet
 
 cd ..\..
 
 REM Deploy users function
 echo 🚢 Deploying users management function
-cd functions\users
+node scripts\stage-function.js users
+cd build\users
 
 gcloud functions deploy gong-users ^
   --gen2 ^
@@ -83,15 +90,17 @@ gcloud functions deploy gong-users ^
   --timeout=300s ^
   --max-instances=20 ^
   --min-instances=0 ^
-  --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
   --quiet
 
 cd ..\..
 
 REM Deploy transcript function
 echo 🚢 Deploying transcript processing function
-cd functions\transcript
+node scripts\stage-function.js transcript
+cd build\transcript
 
 gcloud functions deploy gong-transcript ^
   --gen2 ^
@@ -104,15 +113,17 @@ gcloud functions deploy gong-transcript ^
   --timeout=540s ^
   --max-instances=20 ^
   --min-instances=0 ^
-  --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
   --quiet
 
 cd ..\..
 
 REM Deploy AI analysis function
 echo 🚢 Deploying AI analysis function
-cd functions\ai-analysis
+node scripts\stage-function.js ai-analysis
+cd build\ai-analysis
 
 gcloud functions deploy gong-ai-analysis ^
   --gen2 ^
@@ -125,15 +136,17 @@ gcloud functions deploy gong-ai-analysis ^
   --timeout=540s ^
   --max-instances=10 ^
   --min-instances=0 ^
-  --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
   --quiet
 
 cd ..\..
 
 REM Deploy daily summary function
 echo 🚢 Deploying daily summary function
-cd functions\daily-summary
+node scripts\stage-function.js daily-summary
+cd build\daily-summary
 
 gcloud functions deploy daily-summary ^
   --gen2 ^
@@ -146,12 +159,65 @@ gcloud functions deploy daily-summary ^
   --timeout=540s ^
   --max-instances=5 ^
   --min-instances=0 ^
-  --allow-unauthenticated ^
-  --set-env-vars="NODE_ENV=production" ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
+  --quiet
+
+cd ..\..
+
+REM Deploy weekly rollup function (same source as daily-summary)
+echo 🚢 Deploying weekly summary function
+node scripts\stage-function.js daily-summary
+cd build\daily-summary
+
+gcloud functions deploy weekly-summary ^
+  --gen2 ^
+  --runtime=%RUNTIME% ^
+  --region=%REGION% ^
+  --source=. ^
+  --entry-point=weeklySummary ^
+  --trigger=https ^
+  --memory=1GB ^
+  --timeout=540s ^
+  --max-instances=5 ^
+  --min-instances=0 ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
+  --quiet
+
+cd ..\..
+
+REM Deploy monthly rollup function (same source as daily-summary)
+echo 🚢 Deploying monthly summary function
+node scripts\stage-function.js daily-summary
+cd build\daily-summary
+
+gcloud functions deploy monthly-summary ^
+  --gen2 ^
+  --runtime=%RUNTIME% ^
+  --region=%REGION% ^
+  --source=. ^
+  --entry-point=monthlySummary ^
+  --trigger=https ^
+  --memory=1GB ^
+  --timeout=540s ^
+  --max-instances=5 ^
+  --min-instances=0 ^
+  --no-allow-unauthenticated ^
+  --service-account=%FUNCTIONS_SA% ^
+  --set-env-vars="%DOWNSTREAM_ENV%" ^
   --quiet
 
 cd ..\..
 
+REM Only the router's service account may invoke the downstream functions
+echo 🔐 Granting invoker access to %FUNCTIONS_SA%
+for %%f in (gong-calls gong-users gong-transcript gong-ai-analysis daily-summary weekly-summary monthly-summary) do (
+    gcloud functions add-invoker-policy-binding %%f --region=%REGION% --member="serviceAccount:%FUNCTIONS_SA%" --quiet
+)
+
 REM Get function URLs
 echo ✅ Deployment completed!
 echo.
@@ -164,6 +230,8 @@ for /f "tokens=*" %%i in ('gcloud functions describe gong-users --region=%REGION
 for /f "tokens=*" %%i in ('gcloud functions describe gong-transcript --region=%REGION% --gen2 --format="value(serviceConfig.uri)"') do set TRANSCRIPT_URL=%%i
 for /f "tokens=*" %%i in ('gcloud functions describe gong-ai-analysis --region=%REGION% --gen2 --format="value(serviceConfig.uri)"') do set AI_URL=%%i
 for /f "tokens=*" %%i in ('gcloud functions describe daily-summary --region=%REGION% --gen2 --format="value(serviceConfig.uri)"') do set SUMMARY_URL=%%i
+for /f "tokens=*" %%i in ('gcloud functions describe weekly-summary --region=%REGION% --gen2 --format="value(serviceConfig.uri)"') do set WEEKLY_URL=%%i
+for /f "tokens=*" %%i in ('gcloud functions describe monthly-summary --region=%REGION% --gen2 --format="value(serviceConfig.uri)"') do set MONTHLY_URL=%%i
 
 echo Main API (ChatGPT endpoint): %MAIN_URL%
 echo Enhanced Calls: %CALLS_URL%
@@ -171,6 +239,8 @@ echo Users Management: %USERS_URL%
 echo Transcript Processing: %TRANSCRIPT_URL%
 echo AI Analysis: %AI_URL%
 echo Daily Summary: %SUMMARY_URL%
+echo Weekly Summary: %WEEKLY_URL%
+echo Monthly Summary: %MONTHLY_URL%
 
 REM Save URLs to file
 echo # Gong Cloud Functions URLs > function-urls.txt
@@ -184,6 +254,8 @@ echo ## Advanced Functions >> function-urls.txt
 echo Transcript Processing: %TRANSCRIPT_URL% >> function-urls.txt
 echo AI Analysis: %AI_URL% >> function-urls.txt
 echo Daily Summary: %SUMMARY_URL% >> function-urls.txt
+echo Weekly Summary: %WEEKLY_URL% >> function-urls.txt
+echo Monthly Summary: %MONTHLY_URL% >> function-urls.txt
 echo. >> function-urls.txt
 echo Deployment Date: %date% %time% >> function-urls.txt
 
@@ -197,6 +269,9 @@ echo 2. 🧪 Test the integration with ChatGPT
 echo 3. 📊 Monitor function logs: gcloud functions logs tail gong-api --region=%REGION%
 echo 4. 🔍 Try advanced features like AI analysis and daily summaries
 echo.
+echo 🔐 Only gong-api is public. The other functions require an identity token from %FUNCTIONS_SA%;
+echo    a Cloud Scheduler job for daily-summary, weekly-summary or monthly-summary must use that account with an OIDC token.
+echo.
 echo 💡 Pro tip: The main API function is backward compatible with your existing ChatGPT setup
 echo    while the other functions provide enhanced capabilities for advanced use cases.
 echo.
@@ -0,0 +1,53 @@
+// scripts/stage-function.js - Build a deployable source directory for one function
+//
+// Functions require modules from functions/shared via '../shared/...'. Cloud
+// Functions only uploads the --source directory, so this copies the function
+// and the shared modules into build/<name>/functions/ and writes a package.json
+// at build/<name> whose "main" points at the function's index.js.
+//
+// Usage: node scripts/stage-function.js <function-dir-name>
+
+const fs = require('fs');
+const path = require('path');
+
+const rootDir = path.resolve(__dirname, '..');
+const functionsDir = path.join(rootDir, 'functions');
+const name = process.argv[2];
+
+if (!name || !fs.existsSync(path.join(functionsDir, name, 'package.json'))) {
+  console.error(`Unknown function: ${name || '(none)'}`);
+  process.exit(1);
+}
+
+const stageDir = path.join(rootDir, 'build', name);
+fs.rmSync(stageDir, { recursive: true, force: true });
+
+const copyOptions = {
+  recursive: true,
+  filter: source => path.basename(source) !== 'node_modules'
+};
+
+fs.cpSync(path.join(functionsDir, name), path.join(stageDir, 'functions', name), copyOptions);
+fs.cpSync(path.join(functionsDir, 'shared'), path.join(stageDir, 'functions', 'shared'), copyOptions);
+
+const functionPackage = readJson(path.join(functionsDir, name, 'package.json'));
+const sharedPackage = readJson(path.join(functionsDir, 'shared', 'package.json'));
+
+const stagedPackage = {
+  name: functionPackage.name,
+  version: functionPackage.version,
+  private: true,
+  main: `functions/${name}/index.js`,
+  dependencies: {
+    ...(sharedPackage.dependencies || {}),
+    ...(functionPackage.dependencies || {})
+  },
+  engines: functionPackage.engines
+};
+
+fs.writeFileSync(path.join(stageDir, 'package.json'), JSON.stringify(stagedPackage, null, 2) + '\n');
+console.log(`Staged ${name} in ${path.relative(rootDir, stageDir)}`);
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
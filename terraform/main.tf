@@ -90,6 +90,13 @@ resource "google_project_iam_member" "function_sa_firestore_user" {
   member  = "serviceAccount:${google_service_account.function_sa.email}"
 }
 
+# Lets the router call the downstream functions, which do not allow unauthenticated access
+resource "google_project_iam_member" "function_sa_invoker" {
+  project = var.project_id
+  role    = "roles/run.invoker"
+  member  = "serviceAccount:${google_service_account.function_sa.email}"
+}
+
 # Firestore database for analytics
 resource "google_firestore_database" "gong_analytics" {
   project     = var.project_id